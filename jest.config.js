@@ -0,0 +1,20 @@
+/**
+ * Jest — service tests run in jsdom; suites marked `@jest-environment node`
+ * (the mock ClearNode end-to-end tests) run in Node.
+ */
+export default {
+  roots: ['<rootDir>/src'],
+  testMatch: ['**/*.test.js'],
+  testEnvironment: 'jsdom',
+  setupFiles: ['<rootDir>/jest.setup.js'],
+  transform: {
+    '\\.[jt]sx?$': [
+      'babel-jest',
+      {
+        presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+        babelrc: false,
+        configFile: false,
+      },
+    ],
+  },
+};
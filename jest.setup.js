@@ -0,0 +1,10 @@
+// jsdom leaves out globals that viem and the service rely on
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+import { logger } from './src/services/logger';
+
+Object.assign(globalThis, { TextEncoder, TextDecoder });
+if (!globalThis.crypto?.randomUUID) globalThis.crypto = webcrypto;
+
+// Keep the service's log lines out of the test output; the ring buffer still records them
+logger.setLevel('silent');
@@ -0,0 +1,246 @@
+/**
+ * MockClearNode — a local WebSocket server speaking the Nitrolite RPC
+ * envelope, for integration tests and for running the app without the
+ * Yellow sandbox.
+ *
+ * Ledgers (per address and per app session), app sessions and session keys
+ * come from ClearNodeSimulator. On top of it every request is
+ * signature-checked the way ClearNode does it:
+ *   - auth_verify (challenge): EIP-712 `Policy` signed by the wallet, with
+ *     the application name as domain
+ *   - every authenticated request: ECDSA signature by the registered
+ *     session key over the `req` payload
+ *
+ * Scripted scenarios make chosen requests misbehave:
+ *   { method: 'submit_app_state', action: 'error', message: 'insufficient funds', after: 1, times: 1 }
+ * - `action`: 'error' (rejected, not applied), 'drop' (applied, never
+ *   answered) or 'disconnect' (connection cut before it is handled)
+ * - `after`: matching requests to let through first, counted from when the
+ *   rule is added (default 0)
+ * - `times`: how often the rule applies (default 1; null = every time)
+ */
+
+import { WebSocket, WebSocketServer } from 'ws';
+import { EIP712AuthTypes, RPCMethod } from '@erc7824/nitrolite';
+import { isAddressEqual, keccak256, recoverAddress, recoverTypedDataAddress, toHex } from 'viem';
+import ClearNodeSimulator from '../src/services/ClearNodeSimulator.js';
+
+// Public requests — sent unsigned by the Nitrolite client
+const UNSIGNED_METHODS = new Set([
+  RPCMethod.AuthRequest,
+  RPCMethod.Ping,
+  RPCMethod.GetLedgerTransactions,
+  RPCMethod.GetAppSessions,
+]);
+
+class MockClearNode {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port] — 0 picks a free port (default 8001)
+   * @param {string} [options.host] — interface to listen on (default 127.0.0.1)
+   * @param {Array<Object>} [options.scenario] — scripted rules, see above
+   * @param {Object} [options.simulator] — ClearNodeSimulator options (latency defaults to 0)
+   */
+  constructor(options = {}) {
+    this.options = {
+      port: options.port ?? 8001,
+      host: options.host || '127.0.0.1',
+    };
+    this.simulator = new ClearNodeSimulator({
+      latency: { min: 0, max: 0 },
+      ...options.simulator,
+    });
+    this.rules = [];
+    (options.scenario || []).forEach((rule) => this.script(rule));
+    this.server = null;
+  }
+
+  /**
+   * Start listening.
+   *
+   * @returns {Promise<string>} the ws:// URL to connect to
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocketServer({ host: this.options.host, port: this.options.port });
+      this.server.once('error', reject);
+      this.server.once('listening', () => {
+        this.server.off('error', reject);
+        resolve(this.url);
+      });
+      this.server.on('connection', (socket) => this._serve(socket));
+    });
+  }
+
+  /**
+   * Close every connection and stop listening.
+   *
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) return Promise.resolve();
+    this.simulator.dropConnections();
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * ws:// URL of the running server.
+   */
+  get url() {
+    const { port } = this.server.address();
+    return `ws://${this.options.host}:${port}`;
+  }
+
+  /**
+   * Add a scenario rule (see the module comment).
+   */
+  script(rule) {
+    if (!['error', 'drop', 'disconnect'].includes(rule.action)) {
+      throw new Error(`Unknown scenario action: ${rule.action}`);
+    }
+    this.rules.push({ method: '*', after: 0, times: 1, ...rule, seen: 0 });
+  }
+
+  /**
+   * Cut every client connection, as if the network went away.
+   */
+  dropConnections() {
+    this.simulator.dropConnections();
+  }
+
+  /**
+   * @private
+   */
+  _serve(socket) {
+    const connection = this.simulator.attach({
+      deliver: (message) => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      },
+      close: () => socket.terminate(),
+    });
+
+    // Signature checks are async — keep the client's order
+    let queue = Promise.resolve();
+    socket.on('message', (data) => {
+      queue = queue.then(() => this._handle(socket, connection, String(data)));
+    });
+    socket.on('close', () => connection.close());
+  }
+
+  /**
+   * @private
+   */
+  async _handle(socket, connection, data) {
+    let request;
+    try {
+      request = JSON.parse(data);
+    } catch {
+      connection.receive(data); // answered as malformed
+      return;
+    }
+    const [requestId, method] = request?.req || [];
+
+    const rule = this._takeRule(method);
+    if (rule?.action === 'disconnect') {
+      socket.terminate();
+      return;
+    }
+
+    try {
+      await this._verifySignature(connection, request);
+    } catch (err) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(
+          JSON.stringify({
+            res: [requestId ?? 0, RPCMethod.Error, { error: err.message }, Date.now()],
+            sig: [],
+          })
+        );
+      }
+      return;
+    }
+
+    if (rule?.action === 'error') this.simulator.failNext(method, rule.message);
+    if (rule?.action === 'drop') this.simulator.dropNext(method);
+    connection.receive(data);
+  }
+
+  /**
+   * The rule that applies to this request, if any. Every matching rule
+   * counts the request towards its `after`.
+   * @private
+   */
+  _takeRule(method) {
+    let applied = null;
+    for (const rule of this.rules) {
+      if (rule.times !== null && rule.times <= 0) continue;
+      if (rule.method !== '*' && rule.method !== method) continue;
+      rule.seen++;
+      if (!applied && rule.seen > rule.after) applied = rule;
+    }
+    if (applied && applied.times !== null) applied.times--;
+    return applied;
+  }
+
+  /**
+   * Throws when the request is not signed by the wallet (auth) or the
+   * connection's session key. Requests the simulator rejects anyway
+   * (no pending challenge, not authenticated) are left to it.
+   * @private
+   */
+  async _verifySignature(connection, request) {
+    const [, method, params = {}] = request.req || [];
+    if (UNSIGNED_METHODS.has(method)) return;
+
+    const signature = request.sig?.[0];
+
+    if (method === RPCMethod.AuthVerify) {
+      if (params.jwt || !connection.challenge) return;
+      const auth = connection.challenge.request;
+      const signer = await this._recover(() =>
+        recoverTypedDataAddress({
+          domain: { name: auth.application },
+          types: EIP712AuthTypes,
+          primaryType: 'Policy',
+          message: {
+            challenge: params.challenge,
+            scope: auth.scope,
+            wallet: auth.address,
+            session_key: auth.session_key,
+            expires_at: BigInt(auth.expires_at),
+            allowances: auth.allowances,
+          },
+          signature,
+        })
+      );
+      if (!isAddressEqual(signer, auth.address)) {
+        throw new Error('invalid signature: auth_verify is not signed by the wallet');
+      }
+      return;
+    }
+
+    if (!connection.auth) return;
+    const signer = await this._recover(() =>
+      recoverAddress({ hash: keccak256(toHex(JSON.stringify(request.req))), signature })
+    );
+    if (!isAddressEqual(signer, connection.auth.sessionKey)) {
+      throw new Error(`invalid signature: ${method} is not signed by the session key`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _recover(recover) {
+    try {
+      return await recover();
+    } catch {
+      throw new Error('invalid signature');
+    }
+  }
+}
+
+export default MockClearNode;
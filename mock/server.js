@@ -0,0 +1,37 @@
+/**
+ * Run the mock ClearNode locally:
+ *
+ *   npm run mock:clearnode -- [--port 8001] [--scenario path/to/scenario.json]
+ *
+ * then point the app at it:
+ *
+ *   VITE_NITROLITE_WS_URL=ws://127.0.0.1:8001 npm run dev
+ *
+ * A scenario file is a JSON array of rules (see MockClearNode.js).
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import MockClearNode from './MockClearNode.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8001' },
+    host: { type: 'string', default: '127.0.0.1' },
+    scenario: { type: 'string' },
+  },
+});
+
+const scenario = values.scenario ? JSON.parse(readFileSync(values.scenario, 'utf8')) : [];
+const clearNode = new MockClearNode({ port: Number(values.port), host: values.host, scenario });
+
+const url = await clearNode.start();
+console.log(`[MOCK] 🟡 Mock ClearNode listening on ${url}`);
+if (scenario.length > 0) console.log(`[MOCK] 📜 Scenario: ${scenario.length} rule(s)`);
+
+const shutdown = async () => {
+  await clearNode.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
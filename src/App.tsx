@@ -2,6 +2,8 @@ import { Routes, Route } from 'react-router-dom'
 import { Layout } from './components/Layout'
 import { HomePage } from './pages/HomePage'
 import { StreamerPage } from './pages/StreamerPage'
+import { ActivityPage } from './pages/ActivityPage'
+import { ReceiptsPage } from './pages/ReceiptsPage'
 import LandingPage from './pages/LandingPage'
 import { YellowProvider } from './hooks/useYellow'
 
@@ -13,6 +15,8 @@ export default function App() {
         <Route element={<Layout />}>
           <Route path="/home" element={<HomePage />} />
           <Route path="/streamer/:ensName" element={<StreamerPage />} />
+          <Route path="/activity" element={<ActivityPage />} />
+          <Route path="/receipts" element={<ReceiptsPage />} />
           <Route path="/" element={<LandingPage />} />
         </Route>
       </Routes>
@@ -1,6 +1,8 @@
 import { Link } from 'react-router-dom'
 import { useAccount } from 'wagmi'
 import { ConnectButton } from './ConnectButton'
+import { SessionKeyStatus } from './SessionKeyStatus'
+import { SettlementStatus } from './SettlementStatus'
 import { useYellow } from '../hooks/useYellow'
 import { useState } from 'react'
 
@@ -12,8 +14,11 @@ const STREAMER_ADDRESS =
 export function Header() {
   const { isConnected } = useAccount()
   const {
-    isStreamActive,
+    findSession,
+    status,
+    cancelInitialize,
     isConnectedToYellow,
+    isReconnecting,
     isInitializing,
     toggleStream,
     usdcBalance,
@@ -22,6 +27,8 @@ export function Header() {
     error,
   } = useYellow()
   const [isToggling, setIsToggling] = useState(false)
+  // Other streamers may have sessions open too — the header toggles this one
+  const isStreamActive = findSession(STREAMER_ADDRESS) !== null
 
   const handleToggle = async () => {
     if (isToggling) return
@@ -77,6 +84,22 @@ export function Header() {
             >
               Explore
             </Link>
+            {isConnected && (
+              <Link 
+                to="/activity" 
+                className="text-yt-text-secondary hover:text-yt-text transition-colors duration-200 font-medium"
+              >
+                Activity
+              </Link>
+            )}
+            {isConnected && (
+              <Link 
+                to="/receipts" 
+                className="text-yt-text-secondary hover:text-yt-text transition-colors duration-200 font-medium"
+              >
+                Receipts
+              </Link>
+            )}
           </nav>
 
           {/* Stream Switcher — only visible when wallet is connected */}
@@ -89,6 +112,12 @@ export function Header() {
                 <span className="text-yt-text-secondary">USDC</span>
               </div>
 
+              {/* Session key expiry — renew / revoke */}
+              <SessionKeyStatus />
+
+              {/* Unresolved on-chain settlement — retry before going live again */}
+              <SettlementStatus />
+
               {/* Go Live / End Stream — settlement (USDC transfer) happens on End Stream */}
               <button
               onClick={handleToggle}
@@ -107,7 +136,9 @@ export function Header() {
               {/* Status dot */}
               <span
                 className={`w-2.5 h-2.5 rounded-full ${
-                  isStreamActive
+                  isReconnecting
+                    ? 'bg-yellow-400 animate-pulse'
+                    : isStreamActive
                     ? 'bg-red-500 animate-pulse'
                     : isConnectedToYellow
                       ? 'bg-green-400'
@@ -138,8 +169,18 @@ export function Header() {
                       d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"
                     />
                   </svg>
-                  <span>{isSettling ? 'Settling tips…' : isWaitingForSettlement ? 'Confirming settlement…' : 'Connecting…'}</span>
+                  <span>
+                    {isSettling
+                      ? 'Settling tips…'
+                      : isWaitingForSettlement
+                        ? 'Confirming settlement…'
+                        : status === 'authenticating'
+                          ? 'Sign in wallet…'
+                          : 'Connecting…'}
+                  </span>
                 </>
+              ) : isReconnecting ? (
+                <span>Reconnecting…</span>
               ) : isStreamActive ? (
                 <>
                   <svg
@@ -173,6 +214,16 @@ export function Header() {
               )}
             </button>
 
+              {/* Cancel a hung connection or a wallet prompt the user won't answer */}
+              {isToggling && isInitializing && (
+                <button
+                  onClick={cancelInitialize}
+                  className="text-xs text-yt-text-secondary hover:text-yt-text transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+
               {/* Error toast */}
               {error && (
                 <span className="hidden lg:block text-xs text-red-400 max-w-[200px] truncate" title={error}>
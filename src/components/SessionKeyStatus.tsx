@@ -0,0 +1,58 @@
+import { useYellow } from '../hooks/useYellow'
+
+/** Minutes left as "12m" / "<1m" */
+function formatRemaining(expiresAt: number) {
+  const minutes = Math.floor((expiresAt - Date.now()) / 60000)
+  return minutes < 1 ? '<1m' : `${minutes}m`
+}
+
+/**
+ * Session key badge for the header: asks to renew shortly before the key
+ * expires (one wallet signature, whenever the user clicks) and lets the
+ * user revoke this device's key.
+ */
+export function SessionKeyStatus() {
+  const { sessionKey, isRenewingSessionKey, renewSessionKey, revokeSessionKey } = useYellow()
+
+  if (!sessionKey?.expiresAt) return null
+
+  const handleRevoke = () => {
+    if (window.confirm('Revoke this device\'s session key? Tipping stops until you sign a new one.')) {
+      revokeSessionKey()
+    }
+  }
+
+  if (!sessionKey.expiringSoon) {
+    return (
+      <button
+        onClick={handleRevoke}
+        className="hidden md:flex items-center gap-1 px-2 py-1 rounded-full text-xs text-yt-text-secondary hover:text-red-400 transition-colors"
+        title={`Session key ${sessionKey.address} — valid until ${new Date(sessionKey.expiresAt).toLocaleTimeString()}. Click to revoke.`}
+      >
+        🔑
+      </button>
+    )
+  }
+
+  return (
+    <button
+      onClick={() => renewSessionKey()}
+      disabled={isRenewingSessionKey}
+      className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${
+        sessionKey.expired
+          ? 'bg-red-500/15 text-red-400 border-red-500/30 hover:bg-red-500/25'
+          : 'bg-yellow-400/15 text-yellow-400 border-yellow-400/30 hover:bg-yellow-400/25'
+      }`}
+      title="Sign once in your wallet to keep tipping without popups"
+    >
+      🔑
+      <span>
+        {isRenewingSessionKey
+          ? 'Renewing…'
+          : sessionKey.expired
+            ? 'Session expired · Renew'
+            : `Renew session (${formatRemaining(sessionKey.expiresAt)})`}
+      </span>
+    </button>
+  )
+}
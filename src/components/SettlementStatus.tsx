@@ -0,0 +1,42 @@
+import { useYellow } from '../hooks/useYellow'
+import { formatAmount } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+
+/**
+ * Settlement badge for the header: shows a payout that is still being
+ * confirmed, or one that failed (or was interrupted by a reload) with a
+ * Retry button. New sessions stay blocked until it is confirmed.
+ */
+export function SettlementStatus() {
+  const { unresolvedSettlements, retrySettlement, isSettling } = useYellow()
+  const [settlement] = unresolvedSettlements
+
+  if (!settlement) return null
+
+  const owed = settlement.legs
+    .filter((leg) => leg.status !== 'confirmed')
+    .reduce((sum, leg) => sum + BigInt(leg.amount), 0n)
+  const amount = `$${formatAmount(owed, USDC_DECIMALS)}`
+
+  if (settlement.status !== 'failed') {
+    return (
+      <span
+        className="hidden md:flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border bg-yellow-400/15 text-yellow-400 border-yellow-400/30"
+        title={`Settlement of session ${settlement.sessionId} is being confirmed on-chain`}
+      >
+        ⏳ <span>Settling {amount}…</span>
+      </span>
+    )
+  }
+
+  return (
+    <button
+      onClick={() => retrySettlement(settlement.id)}
+      disabled={isSettling}
+      className="flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold border transition-colors bg-red-500/15 text-red-400 border-red-500/30 hover:bg-red-500/25 disabled:opacity-60 disabled:cursor-not-allowed"
+      title={settlement.error ?? 'The on-chain settlement did not go through'}
+    >
+      ⚠ <span>{amount} unsettled · Retry</span>
+    </button>
+  )
+}
@@ -1,27 +1,88 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { useYellow } from '../hooks/useYellow'
+import { parseAmount } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+import type { SpendPolicyConfig, SpendPolicyRules, TipPolicyCheck } from '../services/YellowTokService'
 
 interface SpendLimitModalProps {
   isOpen: boolean
-  onConfirm: (limit: number) => void
+  /** `limit` is the session budget; `rules` the other spend policy limits */
+  onConfirm: (limit: number, rules: SpendPolicyRules) => void
+  /** Rules in force, to start editing from */
+  policy?: SpendPolicyConfig | null
+  /** The check that refused the last tip, if that is why the modal opened */
+  notice?: TipPolicyCheck | null
 }
 
 const PRESET_LIMITS = [10, 25, 50, 100, 250]
 
-export function SpendLimitModal({ isOpen, onConfirm }: SpendLimitModalProps) {
+const POLICY_FIELDS = [
+  { key: 'perDay', label: 'Daily limit', prefix: '$' },
+  { key: 'perStreamerPerDay', label: 'Per streamer / day', prefix: '$' },
+  { key: 'maxTipsPerMinute', label: 'Tips per minute', prefix: '#' },
+  { key: 'confirmAbove', label: 'Confirm tips above', prefix: '$' },
+] as const
+
+type PolicyField = (typeof POLICY_FIELDS)[number]['key']
+
+// Empty = no limit
+const isValidPolicyValue = (key: PolicyField, value: string) => {
+  if (!value) return true
+  if (key === 'maxTipsPerMinute') return Number.isInteger(Number(value)) && Number(value) > 0
+  try {
+    return parseAmount(value, USDC_DECIMALS) > 0n
+  } catch {
+    return false
+  }
+}
+
+export function SpendLimitModal({ isOpen, onConfirm, policy = null, notice = null }: SpendLimitModalProps) {
   const [selectedLimit, setSelectedLimit] = useState<number>(10)
   const [customLimit, setCustomLimit] = useState<string>('')
   const [useCustom, setUseCustom] = useState(false)
+  const [policyValues, setPolicyValues] = useState<Record<PolicyField, string>>({
+    perDay: '',
+    perStreamerPerDay: '',
+    maxTipsPerMinute: '',
+    confirmAbove: '',
+  })
   const { usdcBalance, isUsdcLoading } = useYellow()
 
+  // Start from the rules in force every time the modal opens
+  useEffect(() => {
+    if (!isOpen) return
+    setPolicyValues({
+      perDay: policy?.perDay ?? '',
+      perStreamerPerDay: policy?.perStreamerPerDay ?? '',
+      maxTipsPerMinute: policy?.maxTipsPerMinute?.toString() ?? '',
+      confirmAbove: policy?.confirmAbove ?? '',
+    })
+  }, [isOpen, policy])
+
   if (!isOpen) return null
 
   const finalLimit = useCustom && customLimit ? parseFloat(customLimit) : selectedLimit
   const insufficientBalance = usdcBalance < finalLimit
 
+  // USDC has 6 decimals — finer amounts are rejected, not rounded
+  const isValidLimit = (() => {
+    try {
+      return parseAmount(useCustom && customLimit ? customLimit : finalLimit, USDC_DECIMALS) > 0n
+    } catch {
+      return false
+    }
+  })()
+
+  const isValidPolicy = POLICY_FIELDS.every(({ key }) => isValidPolicyValue(key, policyValues[key]))
+
   const handleConfirm = () => {
-    if (finalLimit > 0) {
-      onConfirm(finalLimit)
+    if (isValidLimit && isValidPolicy) {
+      onConfirm(finalLimit, {
+        perDay: policyValues.perDay || null,
+        perStreamerPerDay: policyValues.perStreamerPerDay || null,
+        maxTipsPerMinute: policyValues.maxTipsPerMinute ? Number(policyValues.maxTipsPerMinute) : null,
+        confirmAbove: policyValues.confirmAbove || null,
+      })
     }
   }
 
@@ -32,7 +93,7 @@ export function SpendLimitModal({ isOpen, onConfirm }: SpendLimitModalProps) {
 
       {/* Modal */}
       <div className="fixed inset-0 z-50 flex items-center justify-center p-4 animate-fade-in">
-        <div className="bg-yt-surface rounded-3xl border border-yt-border shadow-2xl max-w-md w-full overflow-hidden animate-scale-in">
+        <div className="bg-yt-surface rounded-3xl border border-yt-border shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto animate-scale-in">
           {/* Header */}
           <div className="p-6 border-b border-yt-border">
             <div className="flex items-center gap-3 mb-2">
@@ -59,6 +120,17 @@ export function SpendLimitModal({ isOpen, onConfirm }: SpendLimitModalProps) {
 
           {/* Content */}
           <div className="p-6 space-y-6">
+            {/* Why the last tip was refused */}
+            {notice && notice.violations.length > 0 && (
+              <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 space-y-1">
+                {notice.violations.map((violation) => (
+                  <p key={violation.rule} className="text-xs text-red-400 font-medium">
+                    ⛔ {violation.message}
+                  </p>
+                ))}
+              </div>
+            )}
+
             {/* Preset options */}
             <div>
               <label className="text-sm font-medium text-yt-text-secondary mb-3 block">
@@ -123,6 +195,38 @@ export function SpendLimitModal({ isOpen, onConfirm }: SpendLimitModalProps) {
               </div>
             </div>
 
+            {/* Spend policy: limits beyond this session (empty = no limit) */}
+            <div>
+              <label className="text-sm font-medium text-yt-text-secondary mb-3 block">
+                More Limits <span className="text-yt-text-muted font-normal">(optional)</span>
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {POLICY_FIELDS.map(({ key, label, prefix }) => (
+                  <label key={key} className="block">
+                    <span className="text-xs text-yt-text-muted">{label}</span>
+                    <div className="relative mt-1">
+                      <span className="absolute left-3 top-1/2 -translate-y-1/2 text-yt-text-muted text-sm">
+                        {prefix}
+                      </span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={key === 'maxTipsPerMinute' ? 1 : 'any'}
+                        placeholder="No limit"
+                        value={policyValues[key]}
+                        onChange={(e) => setPolicyValues((values) => ({ ...values, [key]: e.target.value }))}
+                        className={`w-full pl-7 pr-2 py-2 bg-yt-bg-elevated border-2 rounded-lg text-sm text-yt-text placeholder:text-yt-text-muted focus:outline-none transition-colors ${
+                          isValidPolicyValue(key, policyValues[key])
+                            ? 'border-yt-border focus:border-yt-primary'
+                            : 'border-red-500/60'
+                        }`}
+                      />
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+
             {/* USDC Wallet Balance */}
             <div className={`p-4 rounded-xl border ${
               insufficientBalance
@@ -160,7 +264,7 @@ export function SpendLimitModal({ isOpen, onConfirm }: SpendLimitModalProps) {
           <div className="p-6 border-t border-yt-border">
             <button
               onClick={handleConfirm}
-              disabled={insufficientBalance || finalLimit <= 0}
+              disabled={insufficientBalance || !isValidLimit || !isValidPolicy}
               className="w-full py-3 bg-yt-primary text-yt-bg font-bold rounded-xl hover:bg-yt-primary-hover transition-all hover:scale-[1.02] active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
             >
               {insufficientBalance
@@ -1,13 +1,28 @@
+import { formatAmount, percentOf } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+import type { TipPolicyCheck } from '../services/YellowTokService'
+
 interface SpendMeterProps {
-  spent: number
-  limit: number
+  /** Spent so far, in USDC base units */
+  spent: bigint
+  /** Session budget, in USDC base units */
+  limit: bigint
+  /** Session key allowance left according to ClearNode, in USDC base units */
+  allowanceLeft?: bigint | null
+  /** Session balance tracked locally vs read back from the ClearNode ledger, in USDC base units */
+  balanceCheck?: { local: bigint; verified: bigint | null } | null
+  /** Spend policy check for the selected tip: today's caps, rate limit, violations */
+  policy?: TipPolicyCheck | null
   onEditLimit?: () => void
   className?: string
 }
 
-export function SpendMeter({ spent, limit, onEditLimit, className = '' }: SpendMeterProps) {
-  const percentage = Math.min((spent / limit) * 100, 100)
-  const remaining = Math.max(limit - spent, 0)
+export function SpendMeter({ spent, limit, allowanceLeft = null, balanceCheck = null, policy = null, onEditLimit, className = '' }: SpendMeterProps) {
+  const percentage = Math.min(percentOf(spent, limit), 100)
+  const remaining = limit > spent ? limit - spent : 0n
+  const usage = policy?.usage
+  // The session cap is this meter's own bar — only list the other rules
+  const policyWarnings = policy?.warnings.filter((warning) => warning.rule !== 'session_cap') ?? []
   
   // Color based on percentage
   const getColor = () => {
@@ -83,17 +98,94 @@ export function SpendMeter({ spent, limit, onEditLimit, className = '' }: SpendM
         {/* Stats */}
         <div className="flex items-center justify-between text-xs">
           <div className="flex items-baseline gap-1">
-            <span className="font-bold text-yt-text">${spent.toFixed(2)}</span>
+            <span className="font-bold text-yt-text">${formatAmount(spent, USDC_DECIMALS)}</span>
             <span className="text-yt-text-muted">spent</span>
           </div>
           <div className="flex items-baseline gap-1">
-            <span className="font-bold text-yt-text">${remaining.toFixed(2)}</span>
+            <span className="font-bold text-yt-text">${formatAmount(remaining, USDC_DECIMALS)}</span>
             <span className="text-yt-text-muted">left</span>
           </div>
         </div>
 
+        {/* Server-enforced cap: what the session key may still move */}
+        {allowanceLeft !== null && (
+          <div
+            className="mt-1 flex items-center justify-between text-[10px] text-yt-text-muted"
+            title="Enforced by ClearNode: the session key cannot move more than this"
+          >
+            <span>🔐 Key allowance</span>
+            <span className="font-mono">${formatAmount(allowanceLeft, USDC_DECIMALS)} left</span>
+          </div>
+        )}
+
+        {/* Ledger reconciliation: does ClearNode agree with what we tracked? */}
+        {balanceCheck?.verified != null && (
+          balanceCheck.verified === balanceCheck.local ? (
+            <div
+              className="mt-1 flex items-center justify-between text-[10px] text-yt-text-muted"
+              title="Session balance matches the Yellow Network ledger"
+            >
+              <span>✓ Ledger verified</span>
+              <span className="font-mono">${formatAmount(balanceCheck.verified, USDC_DECIMALS)}</span>
+            </div>
+          ) : (
+            <div
+              className="mt-1 flex items-center justify-between text-[10px] text-red-400"
+              title={`Tracked locally: $${formatAmount(balanceCheck.local, USDC_DECIMALS)}`}
+            >
+              <span>⚠️ Ledger differs</span>
+              <span className="font-mono">${formatAmount(balanceCheck.verified, USDC_DECIMALS)}</span>
+            </div>
+          )
+        )}
+
+        {/* Spend policy: caps that span sessions, and the rate limit */}
+        {usage?.daily.limit != null && (
+          <div
+            className="mt-1 flex items-center justify-between text-[10px] text-yt-text-muted"
+            title={`Resets at ${new Date(usage.daily.resetsAt).toLocaleTimeString()}`}
+          >
+            <span>📅 Today</span>
+            <span className="font-mono">
+              ${formatAmount(usage.daily.used, USDC_DECIMALS)} / ${formatAmount(usage.daily.limit, USDC_DECIMALS)}
+            </span>
+          </div>
+        )}
+        {usage?.streamer.limit != null && (
+          <div className="mt-1 flex items-center justify-between text-[10px] text-yt-text-muted">
+            <span>🎯 This streamer today</span>
+            <span className="font-mono">
+              ${formatAmount(usage.streamer.used, USDC_DECIMALS)} / ${formatAmount(usage.streamer.limit, USDC_DECIMALS)}
+            </span>
+          </div>
+        )}
+        {usage?.rate.limit != null && (
+          <div className="mt-1 flex items-center justify-between text-[10px] text-yt-text-muted">
+            <span>⚡ Tips this minute</span>
+            <span className="font-mono">
+              {usage.rate.count} / {usage.rate.limit}
+            </span>
+          </div>
+        )}
+
+        {/* Why the last tap was refused, or which cap is getting close */}
+        {policy && (policy.violations.length > 0 || policyWarnings.length > 0) && (
+          <div className="mt-2 pt-2 border-t border-white/10 space-y-1">
+            {policy.violations.map((violation) => (
+              <p key={violation.rule} className="text-xs text-red-400 font-medium">
+                ⛔ {violation.message}
+              </p>
+            ))}
+            {policyWarnings.map((warning) => (
+              <p key={warning.rule} className="text-xs text-orange-400">
+                ⚠️ {warning.message}
+              </p>
+            ))}
+          </div>
+        )}
+
         {/* Warning message */}
-        {percentage >= 90 && remaining > 0 && (
+        {percentage >= 90 && remaining > 0n && (
           <div className="mt-2 pt-2 border-t border-white/10">
             <p className="text-xs text-red-400 font-medium flex items-center gap-1">
               <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
@@ -109,7 +201,7 @@ export function SpendMeter({ spent, limit, onEditLimit, className = '' }: SpendM
         )}
 
         {/* Limit reached */}
-        {remaining === 0 && (
+        {remaining === 0n && (
           <div className="mt-2 pt-2 border-t border-white/10">
             <p className="text-xs text-red-400 font-medium flex items-center gap-1">
               <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
@@ -0,0 +1,79 @@
+import { useTipFeed, useYellow } from '../hooks/useYellow'
+import { formatAmount } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+
+/** "just now" / "3m ago" / "14:05" */
+function formatWhen(timestamp: number) {
+  const seconds = Math.floor((Date.now() - timestamp) / 1000)
+  if (seconds < 60) return 'just now'
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+interface TipFeedProps {
+  /** Most tips shown at once */
+  limit?: number
+}
+
+/**
+ * Streamer view: tips credited to the connected wallet, as they arrive
+ * from ClearNode. Tips only come in while connected to Yellow Network.
+ */
+export function TipFeed({ limit = 20 }: TipFeedProps) {
+  const { tips, totalReceived, isListening, clear } = useTipFeed(limit)
+  const { initialize, isInitializing } = useYellow()
+
+  return (
+    <div className="bg-yt-surface rounded-2xl border border-yt-border overflow-hidden mb-8">
+      <div className="p-4 border-b border-yt-border flex items-center justify-between">
+        <h2 className="font-semibold text-yt-text flex items-center gap-2">
+          🎁 Incoming tips
+          {isListening && <span className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />}
+        </h2>
+        <div className="flex items-center gap-3 text-sm">
+          <span className="font-mono text-yt-primary">${formatAmount(totalReceived, USDC_DECIMALS)}</span>
+          {tips.length > 0 && (
+            <button onClick={clear} className="text-xs text-yt-text-muted hover:text-yt-text transition-colors">
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {!isListening ? (
+        <div className="p-6 text-center">
+          <p className="text-yt-text-muted text-sm mb-3">Connect to Yellow Network to see tips as they arrive.</p>
+          <button
+            onClick={() => initialize()}
+            disabled={isInitializing}
+            className="px-4 py-2 bg-yt-primary text-yt-bg text-sm font-bold rounded-xl hover:bg-yt-primary-hover transition-colors disabled:opacity-60"
+          >
+            {isInitializing ? 'Connecting…' : 'Start receiving'}
+          </button>
+        </div>
+      ) : tips.length === 0 ? (
+        <div className="p-6 text-center text-yt-text-muted text-sm">Waiting for tips…</div>
+      ) : (
+        <ul className="divide-y divide-yt-border">
+          {tips.map((tip) => (
+            <li key={tip.id} className="p-4 flex items-start justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm text-yt-text font-mono truncate">
+                  {tip.sender ? `${tip.sender.slice(0, 6)}...${tip.sender.slice(-4)}` : 'Unknown sender'}
+                </p>
+                {tip.message && <p className="text-sm text-yt-text-secondary break-words">{tip.message}</p>}
+              </div>
+              <div className="text-right shrink-0">
+                <p className="font-bold text-yt-primary">+${formatAmount(tip.units.creatorReceives, USDC_DECIMALS)}</p>
+                <p className="text-xs text-yt-text-muted">
+                  {(tip.count ?? 1) > 1 && `${tip.count} taps · `}
+                  {formatWhen(tip.timestamp)}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -1,22 +1,29 @@
 import { useState } from 'react'
+import { parseAmount, toDecimalString } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
 
 export interface TipOption {
   id: string
   name: string
   icon: string
-  price: string
-  priceValue: number
+  /** Exact price in USDC base units */
+  priceUnits: bigint
   description: string
   color: string
 }
 
+const usdc = (amount: string) => parseAmount(amount, USDC_DECIMALS)
+
+/** "1 USDC", "0.5 USDC" */
+export const formatTipPrice = (tip: TipOption) =>
+  `${toDecimalString(tip.priceUnits, USDC_DECIMALS)} USDC`
+
 export const TIP_OPTIONS: TipOption[] = [
   {
     id: 'heart',
     name: 'Heart',
     icon: '❤️',
-    price: '1 USDC',
-    priceValue: 1,
+    priceUnits: usdc('1'),
     description: 'Pure love',
     color: 'from-red-500 to-pink-500',
   },
@@ -24,8 +31,7 @@ export const TIP_OPTIONS: TipOption[] = [
     id: 'fire',
     name: 'Fire',
     icon: '🔥',
-    price: '2 USDC',
-    priceValue: 2,
+    priceUnits: usdc('2'),
     description: 'This is hot!',
     color: 'from-orange-500 to-red-500',
   },
@@ -33,8 +39,7 @@ export const TIP_OPTIONS: TipOption[] = [
     id: 'star',
     name: 'Star',
     icon: '⭐',
-    price: '5 USDC',
-    priceValue: 5,
+    priceUnits: usdc('5'),
     description: 'You\'re a star',
     color: 'from-yellow-400 to-orange-400',
   },
@@ -42,8 +47,7 @@ export const TIP_OPTIONS: TipOption[] = [
     id: 'diamond',
     name: 'Diamond',
     icon: '💎',
-    price: '10 USDC',
-    priceValue: 10,
+    priceUnits: usdc('10'),
     description: 'Premium content',
     color: 'from-cyan-400 to-blue-500',
   },
@@ -51,8 +55,7 @@ export const TIP_OPTIONS: TipOption[] = [
     id: 'rocket',
     name: 'Rocket',
     icon: '🚀',
-    price: '20 USDC',
-    priceValue: 20,
+    priceUnits: usdc('20'),
     description: 'To the moon!',
     color: 'from-purple-500 to-pink-500',
   },
@@ -60,8 +63,7 @@ export const TIP_OPTIONS: TipOption[] = [
     id: 'crown',
     name: 'Crown',
     icon: '👑',
-    price: '50 USDC',
-    priceValue: 50,
+    priceUnits: usdc('50'),
     description: 'The king/queen',
     color: 'from-yellow-500 to-amber-500',
   },
@@ -160,7 +162,7 @@ export function TipModal({ isOpen, onClose, onSelectTip }: TipModalProps) {
                     
                     {/* Price */}
                     <div className="text-yt-primary font-bold text-lg">
-                      {tip.price}
+                      {formatTipPrice(tip)}
                     </div>
                     
                     {/* Description */}
@@ -5,6 +5,9 @@ import { TipAnimationLayer, TipAnimation } from './TipAnimationLayer'
 import { SpendLimitModal } from './SpendLimitModal'
 import { SpendMeter } from './SpendMeter'
 import { useYellow } from '../hooks/useYellow'
+import { parseAmount, toDecimalString } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+import type { SpendPolicyRules, TipPolicyCheck } from '../services/YellowTokService'
 
 interface TipSystemProps {
   streamerAddress: `0x${string}`
@@ -12,7 +15,12 @@ interface TipSystemProps {
 }
 
 const SPEND_LIMIT_KEY = 'yellowtok_spend_limit'
-const SPENT_AMOUNT_KEY = 'yellowtok_spent_amount'
+// Spend total of earlier versions, which never reset — the spend policy tracks usage now
+const LEGACY_SPENT_AMOUNT_KEY = 'yellowtok_spent_amount'
+
+// Amounts are stored as decimal USDC strings ("12.5") and handled as base units
+const toUnits = (value: string | number) => parseAmount(value, USDC_DECIMALS)
+const toStored = (units: bigint) => toDecimalString(units, USDC_DECIMALS)
 
 export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
   const { isConnected: isWalletConnected } = useAccount()
@@ -20,30 +28,43 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
     isInitialized,
     isInitializing,
     isConnectedToYellow,
-    isStreamActive,
-    session,
+    findSession,
+    queuedTipCount,
     initialize,
     createSession,
     sendTip,
     endSession,
+    allowance,
+    setSpendLimit: registerSpendLimit,
+    spendPolicy,
+    setSpendPolicy,
+    checkTipPolicy,
   } = useYellow()
 
   const [isModalOpen, setIsModalOpen] = useState(false)
   const [isLimitModalOpen, setIsLimitModalOpen] = useState(false)
   const [currentTip, setCurrentTip] = useState<TipOption | null>(null)
   const [animations, setAnimations] = useState<TipAnimation[]>([])
-  const [localSpent, setLocalSpent] = useState(0)
-  const [spendLimit, setSpendLimit] = useState<number | null>(null)
+  const [spendLimit, setSpendLimit] = useState<bigint | null>(null)
+  // Spend policy verdict for the selected tip; updated on every tap
+  const [policyCheck, setPolicyCheck] = useState<TipPolicyCheck | null>(null)
+
+  // Session with the streamer on this page (others may be open too)
+  const streamSession = findSession(streamerAddress)
+  const isStreamActive = streamSession !== null
+  const sessionSpent = streamSession?.units.spent ?? 0n
 
   // Check for existing limit on mount
   useEffect(() => {
     const savedLimit = localStorage.getItem(SPEND_LIMIT_KEY)
-    const savedSpent = localStorage.getItem(SPENT_AMOUNT_KEY)
-    
+    localStorage.removeItem(LEGACY_SPENT_AMOUNT_KEY)
+
     if (savedLimit) {
-      setSpendLimit(parseFloat(savedLimit))
-      if (savedSpent) {
-        setLocalSpent(parseFloat(savedSpent))
+      try {
+        setSpendLimit(toUnits(savedLimit))
+      } catch {
+        // Unreadable (e.g. float-drifted) values → ask for a fresh limit
+        setIsLimitModalOpen(true)
       }
     } else {
       // Show limit modal on first visit
@@ -51,28 +72,30 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
     }
   }, [])
 
-  // Save spent amount to localStorage
+  // Re-check when the tip, the session's spend or the rules change
   useEffect(() => {
-    if (spendLimit !== null) {
-      localStorage.setItem(SPENT_AMOUNT_KEY, localSpent.toString())
-    }
-  }, [localSpent, spendLimit])
+    setPolicyCheck(currentTip ? checkTipPolicy(toStored(currentTip.priceUnits), streamerAddress) : null)
+  }, [currentTip, sessionSpent, spendPolicy, checkTipPolicy, streamerAddress])
 
   // Session is now controlled by the stream toggle in the Header.
   // No auto-initialize here — user clicks “Go Live” first.
 
-  const handleConfirmLimit = async (limit: number) => {
-    setSpendLimit(limit)
-    localStorage.setItem(SPEND_LIMIT_KEY, limit.toString())
-    localStorage.setItem(SPENT_AMOUNT_KEY, '0')
-    setLocalSpent(0)
+  const handleConfirmLimit = async (limit: number, rules: SpendPolicyRules) => {
+    const limitUnits = toUnits(limit)
+    // The limit becomes the session key's ClearNode allowance; if the user
+    // declines the re-registration, keep the modal open
+    if (!(await registerSpendLimit(limit))) return
+    // …and the policy's per-session cap, next to the daily/streamer/rate rules
+    if (!setSpendPolicy({ ...rules, perSession: toStored(limitUnits) })) return
+    setSpendLimit(limitUnits)
+    localStorage.setItem(SPEND_LIMIT_KEY, toStored(limitUnits))
     setIsLimitModalOpen(false)
   }
 
   const handleEditLimit = async () => {
-    // End current session before changing limit
-    if (session) {
-      await endSession()
+    // End this streamer's session before changing limit
+    if (streamSession) {
+      await endSession(streamSession.sessionId)
     }
     setIsLimitModalOpen(true)
   }
@@ -99,9 +122,13 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
       if (!currentTip) return
       if (!isStreamActive) return // Must go live first
 
-      // Check spending limits
-      if (spendLimit !== null && localSpent >= spendLimit) return
-      if (spendLimit !== null && localSpent + currentTip.priceValue > spendLimit) return
+      // Session/daily/streamer caps and the rate limit (queued tips count too);
+      // a refused tap shows why in the spend meter
+      const amount = toStored(currentTip.priceUnits)
+      const check = checkTipPolicy(amount, streamerAddress, { aggregate: true })
+      setPolicyCheck(check)
+      if (!check.allowed) return
+      if (check.requiresConfirmation && !window.confirm(`Send a $${amount} ${currentTip.name}?`)) return
 
       const rect = e.currentTarget.getBoundingClientRect()
       const x = ((e.clientX - rect.left) / rect.width) * 100
@@ -117,15 +144,16 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
 
       setAnimations((prev) => [...prev, newAnimation])
 
-      // Update local tracking immediately (optimistic)
-      setLocalSpent((prev) => prev + currentTip.priceValue)
-
-      // Send tip through Yellow Network state channel (off-chain, $0 gas)
-      if (isStreamActive) {
-        sendTip(currentTip.priceValue, streamerAddress, currentTip.name)
-      }
+      // Send tip through Yellow Network state channel (off-chain, $0 gas).
+      // Taps in quick succession go out as one transfer; each keeps its own
+      // animation and journal part. The spend meter only moves once ClearNode
+      // confirms the transfer.
+      sendTip(amount, streamerAddress, currentTip.name, {
+        confirmed: check.requiresConfirmation,
+        aggregate: true,
+      })
     },
-    [currentTip, spendLimit, localSpent, isStreamActive, sendTip, streamerAddress]
+    [currentTip, isStreamActive, checkTipPolicy, sendTip, streamerAddress]
   )
 
   // Cuando termina una animación, la removemos
@@ -156,6 +184,11 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
                   {isStreamActive ? 'Tap to send' : 'Go Live to tip ↑'}
                 </span>
                 <span className="text-sm font-semibold text-yt-primary">{currentTip.name}</span>
+                {queuedTipCount > 0 && (
+                  <span className="text-[10px] text-yellow-400">
+                    {queuedTipCount} queued · sending when back online
+                  </span>
+                )}
               </div>
               <div
                 className={`w-2 h-2 rounded-full ml-1 ${
@@ -174,8 +207,15 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
         {/* Spend Meter */}
         {spendLimit !== null && (
           <SpendMeter 
-            spent={localSpent} 
+            spent={sessionSpent} 
             limit={spendLimit} 
+            allowanceLeft={allowance?.remaining ?? null}
+            balanceCheck={
+              streamSession
+                ? { local: streamSession.units.currentBalance, verified: streamSession.units.verifiedBalance }
+                : null
+            }
+            policy={policyCheck}
             onEditLimit={handleEditLimit}
             className="absolute top-16 left-4 z-20"
           />
@@ -219,6 +259,8 @@ export function TipSystem({ streamerAddress, className = '' }: TipSystemProps) {
       <SpendLimitModal
         isOpen={isLimitModalOpen}
         onConfirm={handleConfirmLimit}
+        policy={spendPolicy}
+        notice={policyCheck}
       />
 
       <style>{`
@@ -7,13 +7,16 @@
 
 import { useState, useCallback } from 'react'
 import { useAccount, useReadContract, useWriteContract, useWaitForTransactionReceipt, usePublicClient, useWalletClient } from 'wagmi'
-import { parseUnits, formatUnits } from 'viem'
 import {
   USDC_SEPOLIA_ADDRESS,
   YELLOW_CUSTODY_ADDRESS,
   ERC20_ABI,
   USDC_DECIMALS,
 } from '../config/contracts'
+import { parseAmount, formatAmount, toNumber } from '../services/money'
+import { logger, LOG_NAMESPACES } from '../services/logger'
+
+const log = logger.child(LOG_NAMESPACES.SETTLEMENT)
 
 export function useUSDC() {
   const { address } = useAccount()
@@ -77,19 +80,17 @@ export function useUSDC() {
   })
 
   // ── Derived values ──────────────────────────────────────────────
-  const balance = rawBalance != null
-    ? parseFloat(formatUnits(rawBalance as bigint, USDC_DECIMALS))
-    : 0
-
-  const allowance = rawAllowance != null
-    ? parseFloat(formatUnits(rawAllowance as bigint, USDC_DECIMALS))
-    : 0
+  const balanceUnits = (rawBalance as bigint | undefined) ?? 0n
+  const allowanceUnits = (rawAllowance as bigint | undefined) ?? 0n
+  const balance = toNumber(balanceUnits, USDC_DECIMALS)
+  const allowance = toNumber(allowanceUnits, USDC_DECIMALS)
 
   /**
    * Approve `amount` USDC to the Yellow custody contract.
+   * Throws if `amountInDollars` has more than USDC_DECIMALS decimals.
    */
-  const approveUSDC = (amountInDollars: number) => {
-    const units = parseUnits(amountInDollars.toString(), USDC_DECIMALS)
+  const approveUSDC = (amountInDollars: number | string) => {
+    const units = parseAmount(amountInDollars, USDC_DECIMALS)
 
     writeContract({
       address: USDC_SEPOLIA_ADDRESS,
@@ -100,26 +101,25 @@ export function useUSDC() {
   }
 
   /**
-   * TRANSFER: Send USDC from wallet → any address (settlement, custody, etc.)
-   * Used at End Stream to settle only the spent amount to the streamer.
-   * Returns the tx hash when confirmed.
+   * SUBMIT a USDC transfer from wallet → `toAddress` without waiting for it.
+   * `units` is the exact amount in USDC base units.
+   * Resolves with the tx hash; throws if the wallet refuses or is missing.
    */
-  const transferUSDC = useCallback(async (amountInDollars: number, toAddress: `0x${string}`): Promise<`0x${string}` | null> => {
+  const sendUSDC = useCallback(async (units: bigint, toAddress: `0x${string}`): Promise<`0x${string}`> => {
     if (!walletClient || !publicClient || !address) {
-      setDepositError(new Error('Wallet not connected'))
-      return null
+      throw new Error('Wallet not connected')
     }
 
     setIsDepositing(true)
     setDepositError(null)
 
     try {
-      const units = parseUnits(amountInDollars.toString(), USDC_DECIMALS)
+      const amountInDollars = formatAmount(units, USDC_DECIMALS)
 
-      console.log(`🔗 [ON-CHAIN] Transferring $${amountInDollars} USDC (settlement)...`)
-      console.log(`🔗 [ON-CHAIN] From: ${address}`)
-      console.log(`🔗 [ON-CHAIN] To: ${toAddress}`)
-      console.log(`🔗 [ON-CHAIN] Amount: ${units.toString()} units (${amountInDollars} USDC)`)
+      log.info(`🔗 Transferring $${amountInDollars} USDC on-chain...`)
+      log.debug(`🔗 From: ${address}`)
+      log.debug(`🔗 To: ${toAddress}`)
+      log.debug(`🔗 Amount: ${units.toString()} units (${amountInDollars} USDC)`)
 
       // Send the real transfer tx
       const hash = await walletClient.writeContract({
@@ -129,28 +129,41 @@ export function useUSDC() {
         args: [toAddress, units],
       })
 
-      console.log(`📝 [ON-CHAIN] Settlement tx submitted: ${hash}`)
-      console.log(`🔍 [ON-CHAIN] View on Etherscan: https://sepolia.etherscan.io/tx/${hash}`)
+      log.info(`📝 Settlement tx submitted: ${hash}`)
+      log.info(`🔍 View on Etherscan: https://sepolia.etherscan.io/tx/${hash}`)
       setDepositTxHash(hash)
-
-      // Wait for confirmation
-      const receipt = await publicClient.waitForTransactionReceipt({ hash })
-      console.log(`✅ [ON-CHAIN] Settlement CONFIRMED in block ${receipt.blockNumber}`)
-      console.log(`💸 [ON-CHAIN] $${amountInDollars} USDC sent to streamer`)
-
-      // Refetch balances after settlement
-      refetchBalance()
-      refetchAllowance()
-
-      setIsDepositing(false)
       return hash
     } catch (err) {
-      console.error('❌ [ON-CHAIN] Settlement transfer failed:', err)
+      log.error('❌ Settlement transfer failed:', err)
       setDepositError(err instanceof Error ? err : new Error('Settlement failed'))
+      throw err
+    } finally {
       setIsDepositing(false)
-      return null
     }
-  }, [walletClient, publicClient, address, refetchBalance, refetchAllowance])
+  }, [walletClient, publicClient, address])
+
+  /**
+   * WAIT for a submitted transfer (also one sent before a reload).
+   * Resolves true once confirmed, false if it reverted; throws if the
+   * receipt cannot be fetched.
+   */
+  const waitForTransfer = useCallback(async (hash: `0x${string}`): Promise<boolean> => {
+    if (!publicClient) {
+      throw new Error('Wallet not connected')
+    }
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash })
+    if (receipt.status !== 'success') {
+      log.error(`❌ Settlement tx ${hash} reverted in block ${receipt.blockNumber}`)
+      return false
+    }
+    log.info(`✅ Settlement confirmed in block ${receipt.blockNumber}`)
+
+    // Refetch balances after settlement
+    refetchBalance()
+    refetchAllowance()
+    return true
+  }, [publicClient, refetchBalance, refetchAllowance])
 
   /** Refresh both balance and allowance from chain */
   const refetch = () => {
@@ -159,10 +172,14 @@ export function useUSDC() {
   }
 
   return {
-    /** USDC balance in dollars (e.g. 42.5 means 42.5 USDC) */
+    /** USDC balance in dollars (e.g. 42.5 means 42.5 USDC) — display only */
     balance,
-    /** Current allowance to Yellow custody in dollars */
+    /** Exact USDC balance in base units */
+    balanceUnits,
+    /** Current allowance to Yellow custody in dollars — display only */
     allowance,
+    /** Exact allowance in base units */
+    allowanceUnits,
     /** Whether balance is being fetched */
     isBalanceLoading,
     /** Whether allowance is being fetched */
@@ -180,8 +197,10 @@ export function useUSDC() {
     /** Reset approve state */
     resetApprove,
 
-    /** Transfer USDC to any address (used for settlement) */
-    transferUSDC,
+    /** Submit a USDC transfer; resolves with the tx hash (used for settlement) */
+    sendUSDC,
+    /** Wait for a submitted transfer: true when confirmed, false when reverted */
+    waitForTransfer,
     /** Whether a transfer tx is in progress */
     isDepositing,
     /** Whether we're waiting for deposit confirmation */
@@ -15,15 +15,132 @@ import React, {
   useEffect,
 } from 'react'
 import { useAccount, useWalletClient } from 'wagmi'
-import YellowTokService from '../services/YellowTokService'
+import YellowTokService, {
+  ERROR_CODES,
+  YellowTokError,
+  ValidationError,
+  WalletError,
+  ConnectionError,
+  SettlementError,
+  toYellowTokError,
+  receiptsToJSON,
+  receiptsToCSV,
+} from '../services/YellowTokService'
+import type ClearNodeSimulator from '../services/ClearNodeSimulator'
+import SettlementStore, { SETTLEMENT_STATUS, isUnresolved, type Settlement } from '../services/SettlementStore'
 import type {
   SessionInfo,
   SendTipResult,
   CreateSessionResult,
   EndSessionResult,
   SpendingLimitCheck,
+  SendTipOptions,
+  SpendPolicyConfig,
+  SpendPolicyRules,
+  TipPolicyCheck,
+  TipJournalEntry,
+  SessionReceipt,
+  QueuedTip,
+  TipReceivedEvent,
+  TransactionHistoryOptions,
+  TransactionHistoryPage,
+  SessionKeyInfo,
+  SessionKeyAllowance,
+  ConnectionState,
+  EventName,
+  EventListener,
+  Unsubscribe,
 } from '../services/YellowTokService'
 import { useUSDC } from './useUSDC'
+import { parseAmount, formatAmount } from '../services/money'
+import { logger, LOG_LEVELS, LOG_NAMESPACES, type LogLevel } from '../services/logger'
+import { USDC_DECIMALS } from '../config/contracts'
+
+const SPEND_LIMIT_KEY = 'yellowtok_spend_limit'
+const SPEND_POLICY_KEY = 'yellowtok_spend_policy'
+const DEBUG_REPORT_FILENAME = 'yellowtok-debug-report.json'
+const RECEIPTS_FILENAME = 'yellowtok-receipts'
+const CLEARNODE_URL = import.meta.env.VITE_NITROLITE_WS_URL || 'wss://clearnet-sandbox.yellow.com/ws'
+
+// Nothing reaches the console in production builds unless VITE_LOG_LEVEL asks for it;
+// the logger's ring buffer still records everything for debug reports
+const requestedLogLevel = import.meta.env.VITE_LOG_LEVEL
+const unknownLogLevel = !!requestedLogLevel && !LOG_LEVELS.includes(requestedLogLevel as LogLevel)
+logger.setLevel(
+  requestedLogLevel && !unknownLogLevel
+    ? (requestedLogLevel as LogLevel)
+    : import.meta.env.PROD ? 'silent' : 'debug'
+)
+const log = {
+  yellow: logger.child(LOG_NAMESPACES.YELLOW),
+  local: logger.child(LOG_NAMESPACES.LOCAL),
+  settlement: logger.child(LOG_NAMESPACES.SETTLEMENT),
+}
+if (unknownLogLevel) {
+  log.local.warn(`⚠️ Unknown VITE_LOG_LEVEL "${requestedLogLevel}", expected one of ${LOG_LEVELS.join(', ')}`)
+}
+
+// VITE_YELLOW_SIMULATOR=true → talk to an in-process ClearNode (demo funds, no network).
+// It is imported on first connect, so builds without the flag leave it out.
+const USE_SIMULATOR = import.meta.env.VITE_YELLOW_SIMULATOR === 'true'
+const SIMULATOR_URL = 'sim://clearnode' // ClearNodeSimulator's SIMULATOR_URL
+let simulator: ClearNodeSimulator | null = null
+
+/** Import and start the simulated ClearNode, once */
+async function loadSimulator(): Promise<ClearNodeSimulator> {
+  if (!simulator) {
+    const { default: Simulator } = await import('../services/ClearNodeSimulator')
+    simulator = new Simulator()
+    log.yellow.info('🧪 Using the simulated ClearNode (VITE_YELLOW_SIMULATOR)')
+  }
+  return simulator
+}
+
+// On-chain payouts of closed sessions, persisted so they survive reloads
+const settlementStore = new SettlementStore()
+// Sessions this page is closing right now; their `closing` settlements are not leftovers
+const closingSessions = new Set<string>()
+
+/** Save `content` as a file through a temporary object URL */
+const downloadFile = (content: string, filename: string, type: string) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Spend policy saved by `setSpendPolicy` on an earlier visit. Before there
+ * was one, the spend limit alone was the per-session cap (null if none or unreadable).
+ */
+const loadSpendPolicy = (): SpendPolicyRules | null => {
+  try {
+    const saved = localStorage.getItem(SPEND_POLICY_KEY)
+    if (saved) return JSON.parse(saved)
+    const limit = localStorage.getItem(SPEND_LIMIT_KEY)
+    return limit && parseAmount(limit, USDC_DECIMALS) > 0n ? { perSession: limit } : null
+  } catch {
+    return null
+  }
+}
+
+/** Calls made before `initialize()` has connected the service */
+const notInitialized = () =>
+  new ConnectionError('Yellow Network not initialized', { code: ERROR_CODES.NOT_CONNECTED })
+
+/** Error to refuse a new session with while this wallet has an unresolved settlement (null if none) */
+const unresolvedSettlementError = async (payer: string | null | undefined) => {
+  if (!payer) return null
+  const [unresolved] = await settlementStore.list({ payer, unresolved: true })
+  return unresolved
+    ? new SettlementError('An earlier session has not been settled on-chain yet. Retry its settlement first.', {
+        code: ERROR_CODES.SETTLEMENT_PENDING,
+        details: { settlementId: unresolved.id },
+      })
+    : null
+}
 
 // ─── Window type extension for ethereum provider ──────────────────
 declare global {
@@ -36,18 +153,47 @@ declare global {
 
 // ─── Context value shape ──────────────────────────────────────────
 export interface UseYellowReturn {
-  /** Whether the service has been initialized and connected to ClearNode */
+  /**
+   * Connection state from the service's state machine:
+   * idle → connecting → authenticating → ready ⇄ reconnecting → failed / closed
+   */
+  status: ConnectionState
+  /** `status === 'ready'` — connected and authenticated, tips go out right away */
   isInitialized: boolean
-  /** Whether initialization is currently in progress */
+  /** `status` is `connecting` or `authenticating` */
   isInitializing: boolean
-  /** Whether the WebSocket to Yellow ClearNode is active */
+  /** `status === 'ready'` */
   isConnectedToYellow: boolean
-  /** Whether the streaming session is actively running */
+  /** `status === 'reconnecting'` — connection dropped, being restored (tips are queued) */
+  isReconnecting: boolean
+  /** Whether at least one streaming session is open */
   isStreamActive: boolean
-  /** Current active streaming session info (null if none) */
+  /** Most recently opened streaming session (null if none) */
   session: SessionInfo | null
+  /** Every open streaming session, oldest first (one per streamer) */
+  sessions: SessionInfo[]
+  /** Open session by session id or streamer address (null if none) */
+  findSession: (sessionOrStreamerId: string) => SessionInfo | null
   /** Last error message from Yellow Network operations */
   error: string | null
+  /** The typed error behind `error`: stable `code`, `retryable` and the original `cause` */
+  lastError: YellowTokError | null
+  /** Persisted tip history (newest first), including pending and failed tips */
+  tipJournal: TipJournalEntry[]
+  /** Signed receipts of closed sessions, most recently closed first */
+  receipts: SessionReceipt[]
+  /** Tips made while offline, sent in order once Yellow Network is back */
+  queuedTips: QueuedTip[]
+  /** Number of queued tips */
+  queuedTipCount: number
+  /** Tips received by this wallet while connected, newest first (bounded) */
+  receivedTips: TipReceivedEvent[]
+  /** This device's session key and its expiry (null before initialize or after revoke) */
+  sessionKey: SessionKeyInfo | null
+  /** Whether the wallet prompt for a new session key is open */
+  isRenewingSessionKey: boolean
+  /** Session key allowance left, as reported by ClearNode (null = unknown) */
+  allowance: SessionKeyAllowance | null
 
   // ── USDC on-chain data ──────────────────────────────────────────
   /** Real USDC balance from wallet (on-chain) */
@@ -66,9 +212,15 @@ export interface UseYellowReturn {
   isSettling: boolean
   /** Whether waiting for settlement tx to confirm on-chain */
   isWaitingForSettlement: boolean
+  /** On-chain settlements of closed sessions, newest first (persisted across reloads) */
+  settlements: Settlement[]
+  /** Settlements not confirmed yet — no new session opens while there is one */
+  unresolvedSettlements: Settlement[]
 
-  /** Connect wallet + open WebSocket to ClearNode */
-  initialize: () => Promise<boolean>
+  /** Connect wallet + open WebSocket to ClearNode; abort `signal` (or call `cancelInitialize`) to give up */
+  initialize: (signal?: AbortSignal) => Promise<boolean>
+  /** Cancel a pending initialize (wallet signature or hung connection) */
+  cancelInitialize: () => void
   /** Approve USDC spending to Yellow custody (1 on-chain tx) */
   approveUSDC: (amount: number) => void
   /** Refresh on-chain balances */
@@ -79,21 +231,60 @@ export interface UseYellowReturn {
     depositAmount: number,
     isPartner?: boolean
   ) => Promise<CreateSessionResult | null>
-  /** Send a tip off-chain through the state channel ($0 gas) */
+  /** Send a tip off-chain through the state channel ($0 gas); `{ confirmed }` for tips above the threshold */
   sendTip: (
-    amount: number,
+    amount: number | string,
     streamerAddress: string,
-    message?: string
+    message?: string,
+    options?: SendTipOptions
   ) => Promise<SendTipResult | null>
-  /** Close the session and settle everything on-chain (1 tx) */
-  endSession: () => Promise<EndSessionResult | null>
-  /** Toggle stream on/off — controls the Yellow Network session lifecycle */
+  /** Close a session (default: the most recent one) */
+  endSession: (sessionOrStreamerId?: string) => Promise<EndSessionResult | null>
+  /** Toggle the session with this streamer on/off, settling on-chain when it ends */
   toggleStream: (streamerAddress: string, depositAmount: number) => Promise<void>
-  /** Check if a tip would exceed the spending limit */
+  /** Run a failed settlement again; submitted transfers are re-checked, never re-sent */
+  retrySettlement: (settlementId: string) => Promise<boolean>
+  /** Spend policy rules in force (daily/streamer/session caps, rate limit, confirmation threshold) */
+  spendPolicy: SpendPolicyConfig | null
+  /** What `sendTip` would decide for this tip: violations, warnings and usage per rule */
+  checkTipPolicy: (
+    amount: number | string,
+    streamerAddress: string,
+    options?: Pick<SendTipOptions, 'aggregate'>
+  ) => TipPolicyCheck
+  /** Replace the spend policy (saved on this device); null removes every limit */
+  setSpendPolicy: (rules: SpendPolicyRules | null) => boolean
+  /** @deprecated Single fixed limit; use `checkTipPolicy` */
   checkSpendingLimit: (
     tipAmount: number,
-    spendingLimit: number
+    spendingLimit: number,
+    sessionOrStreamerId?: string
   ) => SpendingLimitCheck
+  /** Reload the tip journal from persistent storage */
+  refreshTipJournal: () => Promise<void>
+  /** Reload the session receipts from persistent storage */
+  refreshReceipts: () => Promise<void>
+  /** Save receipts (default: all) as a JSON document or a CSV sheet */
+  downloadReceipts: (format: 'json' | 'csv', receipts?: SessionReceipt[]) => void
+  /** Authorize a fresh session key (one wallet signature); tips queue meanwhile */
+  renewSessionKey: () => Promise<boolean>
+  /** Revoke this device's session key — nothing more is signed until renewal */
+  revokeSessionKey: () => Promise<boolean>
+  /** Make `limit` (USDC) the session key's ClearNode allowance; re-registers the key if it changed */
+  setSpendLimit: (limit: number) => Promise<boolean>
+  /** Re-read the session key allowance from ClearNode */
+  refreshAllowance: () => Promise<void>
+  /** Empty the received tips feed */
+  clearReceivedTips: () => void
+  /** Page through sent/received tips in the ClearNode ledger (null when not connected or on error) */
+  getTransactionHistory: (options?: TransactionHistoryOptions) => Promise<TransactionHistoryPage | null>
+  /**
+   * Listen to a service event alongside the hook's own listeners.
+   * Returns the unsubscribe function; prefer `useYellowEvent` in components.
+   */
+  subscribe: <E extends EventName>(event: E, handler: EventListener<E>) => Unsubscribe
+  /** Save recent (redacted) log entries and a connection snapshot as JSON, for bug reports */
+  downloadDebugReport: () => void
   /** Clear the error state */
   clearError: () => void
 }
@@ -103,79 +294,228 @@ const YellowContext = createContext<UseYellowReturn | null>(null)
 
 // ─── Provider ─────────────────────────────────────────────────────
 export function YellowProvider({ children }: { children: React.ReactNode }) {
-  const { isConnected: isWalletConnected } = useAccount()
+  const { isConnected: isWalletConnected, address } = useAccount()
   const { data: walletClient } = useWalletClient()
 
   // ── On-chain USDC data ──────────────────────────────────────────
   const usdc = useUSDC()
 
   // Reactive state
-  const [isInitialized, setIsInitialized] = useState(false)
-  const [isInitializing, setIsInitializing] = useState(false)
-  const [isConnectedToYellow, setIsConnectedToYellow] = useState(false)
-  const [isStreamActive, setIsStreamActive] = useState(false)
+  // Single source of truth for the connection; the booleans are views of it
+  const [status, setStatus] = useState<ConnectionState>('idle')
+  const isInitialized = status === 'ready'
+  const isInitializing = status === 'connecting' || status === 'authenticating'
+  const isConnectedToYellow = status === 'ready'
+  const isReconnecting = status === 'reconnecting'
   const [session, setSession] = useState<SessionInfo | null>(null)
-  const [error, setError] = useState<string | null>(null)
+  const [sessions, setSessions] = useState<SessionInfo[]>([])
+  const isStreamActive = sessions.length > 0
+  const [lastError, setLastError] = useState<YellowTokError | null>(null)
+  const error = lastError?.message ?? null
+  /** Record a failure (anything thrown) as a YellowTokError; null clears it */
+  const setError = useCallback((err: unknown, fallbackMessage?: string) => {
+    setLastError(err === null ? null : toYellowTokError(err, fallbackMessage))
+  }, [])
+  const [tipJournal, setTipJournal] = useState<TipJournalEntry[]>([])
+  const [receipts, setReceipts] = useState<SessionReceipt[]>([])
+  const [queuedTips, setQueuedTips] = useState<QueuedTip[]>([])
+  const [receivedTips, setReceivedTips] = useState<TipReceivedEvent[]>([])
+  const [sessionKey, setSessionKey] = useState<SessionKeyInfo | null>(null)
+  const [isRenewingSessionKey, setIsRenewingSessionKey] = useState(false)
+  const [allowance, setAllowance] = useState<SessionKeyAllowance | null>(null)
+  const [settlements, setSettlements] = useState<Settlement[]>([])
+  const [spendPolicy, setSpendPolicyState] = useState<SpendPolicyConfig | null>(null)
+  const unresolvedSettlements = settlements.filter(isUnresolved)
 
   // Singleton service ref (survives re-renders)
   const serviceRef = useRef<YellowTokService | null>(null)
+  // Unsubscribe functions for the hook's own service listeners
+  const unsubscribersRef = useRef<Unsubscribe[]>([])
+  // Aborts the initialize() in flight, if any
+  const initAbortRef = useRef<AbortController | null>(null)
+  // Wallet whose interrupted settlements were already resumed on this page
+  const resumedForRef = useRef<string | null>(null)
+
+  /** Drop the hook's service listeners (other subscribers are untouched) */
+  const unsubscribeAll = useCallback(() => {
+    unsubscribersRef.current.forEach((unsubscribe) => unsubscribe())
+    unsubscribersRef.current = []
+  }, [])
 
   /** Get or create the singleton service instance */
   const getService = useCallback(() => {
     if (!serviceRef.current) {
       serviceRef.current = new YellowTokService({
-        clearnodeUrl: 'wss://clearnet-sandbox.yellow.com/ws',
+        clearnodeUrl: USE_SIMULATOR ? SIMULATOR_URL : CLEARNODE_URL,
+        // Connections only open after initialize() has loaded the simulator
+        transport: USE_SIMULATOR ? (url: string) => simulator!.transport(url) : undefined,
         standardCommission: 10,
         partnerCommission: 3,
+        treasuryAddress: import.meta.env.VITE_TREASURY_ADDRESS || null,
+        // The spend limit chosen in SpendLimitModal caps what the session key can move
+        spendAllowance: localStorage.getItem(SPEND_LIMIT_KEY) ?? undefined,
+        spendPolicy: loadSpendPolicy(),
         defaultAsset: 'ytest.usd',
         assetDecimals: 6,
+        // Tips queue while offline, so keep trying rather than give up
+        reconnect: { maxAttempts: Infinity, maxDelay: 30000, jitter: 0.3 },
       })
     }
     return serviceRef.current
   }, [])
 
+  /** Mirror the service's open sessions into React state */
+  const syncSessions = useCallback(() => {
+    const service = serviceRef.current
+    setSession(service?.getSessionInfo() ?? null)
+    setSessions(service?.getOpenSessions() ?? [])
+  }, [])
+
+  /** Mirror the session key's expiry into React state */
+  const syncSessionKey = useCallback(() => {
+    setSessionKey(serviceRef.current?.getSessionKeyInfo() ?? null)
+  }, [])
+
+  /** Mirror the session key's remaining ClearNode allowance into React state */
+  const refreshAllowance = useCallback(async () => {
+    const service = serviceRef.current
+    if (!service?.connected || !service.authenticated) return
+    try {
+      setAllowance(await service.getSessionKeyAllowance())
+    } catch (err) {
+      log.yellow.warn('⚠️ Could not load session key allowance:', err)
+    }
+  }, [])
+
+  /** Reload the persisted tip journal */
+  const refreshTipJournal = useCallback(async () => {
+    try {
+      setTipJournal(await getService().getTipJournal())
+    } catch (err) {
+      log.yellow.warn('⚠️ Could not load tip journal:', err)
+    }
+  }, [getService])
+
+  /** Reload the persisted session receipts */
+  const refreshReceipts = useCallback(async () => {
+    try {
+      setReceipts(await getService().getReceipts())
+    } catch (err) {
+      log.settlement.warn('⚠️ Could not load receipts:', err)
+    }
+  }, [getService])
+
+  /** Reload the connected wallet's persisted settlements */
+  const refreshSettlements = useCallback(async () => {
+    try {
+      setSettlements(address ? await settlementStore.list({ payer: address }) : [])
+    } catch (err) {
+      log.settlement.warn('⚠️ Could not load settlements:', err)
+    }
+  }, [address])
+
   // ── Initialize: wallet → ClearNode ──────────────────────────────
-  const initialize = useCallback(async (): Promise<boolean> => {
-    if (isInitialized) return true
-    if (isInitializing) return false
+  const initialize = useCallback(async (signal?: AbortSignal): Promise<boolean> => {
+    const service = getService()
+    const current = service.getState()
+    if (current === 'ready') return true
+    if (current === 'connecting' || current === 'authenticating' || current === 'reconnecting') {
+      return false
+    }
     if (!isWalletConnected || !window.ethereum || !walletClient) {
-      setError('Wallet not connected or wallet client not ready.')
+      setError(new WalletError('Wallet not connected or wallet client not ready.', {
+        code: ERROR_CODES.WALLET_NOT_FOUND,
+      }))
       return false
     }
 
-    setIsInitializing(true)
     setError(null)
+    const controller = new AbortController()
+    initAbortRef.current = controller
+    signal?.addEventListener('abort', () => controller.abort(), { once: true })
 
     try {
-      const service = getService()
-
-      // Wire up event handlers → reactive state
-      service.on('onConnected', () => setIsConnectedToYellow(true))
-      service.on('onDisconnected', () => setIsConnectedToYellow(false))
-      service.on('onSessionCreated', () => setSession(service.getSessionInfo()))
-      service.on('onTipSent', () => setSession(service.getSessionInfo()))
-      service.on('onTipReceived', () => setSession(service.getSessionInfo()))
-      service.on('onBalanceUpdate', () => setSession(service.getSessionInfo()))
-      service.on('onSessionClosed', () => setSession(null))
-      service.on('onError', (evt: { message: string }) => setError(evt.message))
+      // Wire up event handlers → reactive state (replacing any from an
+      // earlier initialize so listeners never pile up)
+      unsubscribeAll()
+      unsubscribersRef.current = [
+        service.on('onStateChange', ({ state }) => setStatus(state)),
+        service.on('onSessionCreated', syncSessions),
+        service.on('onSessionRestored', syncSessions),
+        service.on('onTipSent', syncSessions),
+        service.on('onSessionCreated', () => { refreshAllowance() }),
+        service.on('onSessionClosed', () => { refreshAllowance() }),
+        service.on('onTipReceived', () => {
+          setReceivedTips(service.getReceivedTips())
+          syncSessions()
+        }),
+        service.on('onSessionBalanceVerified', syncSessions),
+        service.on('onBalanceDiscrepancy', (evt) => {
+          syncSessions()
+          setError(new YellowTokError(
+            `Session balance differs from the Yellow Network ledger ($${evt.verified} on ledger, $${evt.expected} tracked)`,
+            { code: ERROR_CODES.BALANCE_MISMATCH, details: evt }
+          ))
+        }),
+        service.on('onSessionClosed', syncSessions),
+        service.on('onSessionClosed', () => { refreshReceipts() }),
+        service.on('onJournalUpdated', () => { refreshTipJournal() }),
+        service.on('onTipQueueChanged', ({ tips }) => {
+          setQueuedTips(tips)
+          syncSessions()
+        }),
+        service.on('onReauthenticated', () => {
+          syncSessionKey()
+          refreshAllowance()
+        }),
+        service.on('onSessionKeyExpiring', syncSessionKey),
+        service.on('onSessionKeyExpired', syncSessionKey),
+        service.on('onSessionKeyRenewed', () => {
+          syncSessionKey()
+          refreshAllowance()
+        }),
+        service.on('onSessionKeyRevoked', () => {
+          syncSessionKey()
+          setAllowance(null)
+        }),
+        service.on('onError', (evt) => setError(evt.error)),
+      ]
+
+      if (USE_SIMULATOR) await loadSimulator()
 
       // Pass walletClient for EIP-712 signing during Nitrolite auth
-      const result = await service.initialize(window.ethereum, walletClient)
+      const result = await service.initialize(window.ethereum, walletClient, {
+        signal: controller.signal,
+      })
 
       if (result.success) {
-        setIsInitialized(true)
+        syncSessionKey()
+        refreshAllowance()
+        // Tips and receipts are per wallet, so load them for the one just connected
+        refreshTipJournal()
+        refreshReceipts()
         return true
       }
 
-      setError(result.error ?? 'Failed to initialize Yellow Network')
+      // Cancelling is the user's choice, not an error
+      if (!result.aborted) {
+        setError(new YellowTokError(result.error ?? 'Failed to initialize Yellow Network', {
+          code: result.code,
+          retryable: result.retryable,
+        }))
+      }
       return false
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Initialization failed')
+      setError(err, 'Initialization failed')
       return false
     } finally {
-      setIsInitializing(false)
+      if (initAbortRef.current === controller) initAbortRef.current = null
     }
-  }, [isInitialized, isInitializing, isWalletConnected, walletClient, getService])
+  }, [isWalletConnected, walletClient, getService, refreshTipJournal, refreshReceipts, syncSessions, syncSessionKey, refreshAllowance, unsubscribeAll])
+
+  const cancelInitialize = useCallback(() => {
+    initAbortRef.current?.abort()
+  }, [])
 
   // ── Create a streaming session (state channel) ──────────────────
   const createSession = useCallback(
@@ -188,7 +528,12 @@ export function YellowProvider({ children }: { children: React.ReactNode }) {
       // Use service.connected (mutable property) instead of React state
       // to avoid stale closure when called right after initialize()
       if (!service || !service.connected) {
-        setError('Yellow Network not initialized')
+        setError(notInitialized())
+        return null
+      }
+      const blocked = await unresolvedSettlementError(service.userAddress)
+      if (blocked) {
+        setError(blocked)
         return null
       }
       setError(null)
@@ -199,133 +544,232 @@ export function YellowProvider({ children }: { children: React.ReactNode }) {
           depositAmount,
           { isPartner }
         )
-        setSession(service.getSessionInfo())
+        syncSessions()
         return result
       } catch (err) {
-        setError(
-          err instanceof Error ? err.message : 'Failed to create session'
-        )
+        setError(err, 'Failed to create session')
         return null
       }
     },
-    [] // no React state deps — reads mutable ref directly
+    [syncSessions] // no React state deps — reads mutable ref directly
   )
 
   // ── Send tip off-chain ($0 gas, instant) ────────────────────────
   const sendTip = useCallback(
     async (
-      amount: number,
+      amount: number | string,
       streamerAddress: string,
-      message = ''
+      message = '',
+      options?: SendTipOptions
     ): Promise<SendTipResult | null> => {
+      // A dropped connection is fine — the service queues the tip
       const service = serviceRef.current
-      if (!service || !service.connected) {
-        setError('Yellow Network not initialized')
+      if (!service) {
+        setError(notInitialized())
         return null
       }
       setError(null)
 
       try {
-        const result = await service.sendTip(amount, streamerAddress, message)
-        setSession(service.getSessionInfo())
+        const result = await service.sendTip(amount, streamerAddress, message, options)
+        syncSessions()
         return result
       } catch (err) {
-        setError(err instanceof Error ? err.message : 'Failed to send tip')
+        setError(err, 'Failed to send tip')
         return null
       }
     },
-    [] // no React state deps — reads mutable ref directly
+    [syncSessions] // no React state deps — reads mutable ref directly
   )
 
   // ── End session & settle on-chain ───────────────────────────────
-  const endSession = useCallback(async (): Promise<EndSessionResult | null> => {
+  const endSession = useCallback(async (
+    sessionOrStreamerId?: string
+  ): Promise<EndSessionResult | null> => {
     const service = serviceRef.current
     if (!service) return null
 
     try {
-      const result = await service.endStreamSession()
-      setSession(null)
-      setIsStreamActive(false)
+      const result = await service.endStreamSession(sessionOrStreamerId)
+      syncSessions()
       return result
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Failed to end session')
+      setError(err, 'Failed to end session')
+      return null
+    }
+  }, [syncSessions])
+
+  // ── Ledger history ──────────────────────────────────────────────
+  const getTransactionHistory = useCallback(async (
+    options?: TransactionHistoryOptions
+  ): Promise<TransactionHistoryPage | null> => {
+    const service = serviceRef.current
+    if (!service) return null
+
+    try {
+      return await service.getTransactionHistory(options)
+    } catch (err) {
+      setError(err, 'Failed to load history')
       return null
     }
   }, [])
 
+  // ── On-chain settlement (persisted state machine) ───────────────
+  /**
+   * Drive a settlement to confirmed or failed. With `resume`, transfers
+   * submitted before a reload are only re-checked and nothing new is sent.
+   */
+  const runSettlement = useCallback(async (
+    settlementId: string,
+    resume = false
+  ): Promise<Settlement | null> => {
+    const usd = (units: string) => formatAmount(BigInt(units), USDC_DECIMALS)
+    let settled: Settlement | null
+    try {
+      // Refused (WRONG_PAYER) unless the connected wallet owes the settlement
+      settled = await settlementStore.settle(settlementId, {
+        from: address ?? '',
+        send: (amount, to) => usdc.sendUSDC(amount, to as `0x${string}`),
+        wait: (txHash) => usdc.waitForTransfer(txHash as `0x${string}`),
+      }, {
+        resume,
+        onUpdate: () => { refreshSettlements() },
+      })
+    } catch (err) {
+      setError(err, 'Settlement failed')
+      return null
+    } finally {
+      refreshSettlements()
+    }
+    // The receipt lists the payout's tx hashes next to the signed tips
+    // (a `closing` settlement has no receipt yet)
+    if (settled && settled.status !== SETTLEMENT_STATUS.SUBMITTED && settled.status !== SETTLEMENT_STATUS.CLOSING) {
+      getService().attachSettlement(settled.sessionId, { status: settled.status, legs: settled.legs })
+        .then(() => refreshReceipts())
+        .catch((err) => log.settlement.warn('⚠️ Could not attach the settlement to its receipt:', err))
+    }
+
+    if (settled?.status === SETTLEMENT_STATUS.CONFIRMED) {
+      const [toStreamer, toTreasury] = settled.legs
+      log.settlement.info(`✅ Settlement complete! $${usd(toStreamer.amount)} USDC to ${toStreamer.recipient}${toTreasury ? `, $${usd(toTreasury.amount)} USDC to ${toTreasury.recipient}` : ''}.`)
+    } else if (settled?.status === SETTLEMENT_STATUS.FAILED) {
+      const leg = settled.legs.find((unpaid) => unpaid.status !== SETTLEMENT_STATUS.CONFIRMED)
+      setError(new SettlementError(
+        leg?.recipient === 'treasury'
+          ? `Settlement incomplete. The $${usd(leg.amount)} USDC commission was not sent to the treasury.`
+          : 'Settlement failed. The streamer has not received the tips on-chain yet.',
+        { details: { settlementId, reason: settled.error } }
+      ))
+    }
+    return settled
+  }, [address, usdc.sendUSDC, usdc.waitForTransfer, getService, refreshSettlements, refreshReceipts])
+
+  const retrySettlement = useCallback(async (settlementId: string): Promise<boolean> => {
+    setError(null)
+    const settled = await runSettlement(settlementId)
+    setTimeout(() => usdc.refetch(), 2000)
+    return settled?.status === SETTLEMENT_STATUS.CONFIRMED
+  }, [runSettlement, usdc])
+
   // ── Toggle stream ON / OFF ──────────────────────────────────────
   const toggleStream = useCallback(
     async (streamerAddress: string, depositAmount: number) => {
-      if (isStreamActive) {
+      // Each streamer has its own session — toggle only this one
+      const sessionInfo = serviceRef.current?.getSessionInfo(streamerAddress) ?? null
+      if (sessionInfo) {
         // ══ Turn OFF → SETTLE on-chain: transfer ONLY the spent amount ══
-        const service = serviceRef.current
-        const sessionInfo = service?.getSessionInfo()
-        const spentAmount = sessionInfo?.spent ?? 0
-        const streamer = sessionInfo?.streamer as `0x${string}` | undefined
-
-        // End the off-chain session first
-        await endSession()
-
-        // Now do the REAL on-chain settlement
-        if (spentAmount > 0 && streamer) {
-          console.log(`\n🏛️ ═══ SETTLEMENT ═════════════════════════════════════`)
-          console.log(`💸 Settling $${spentAmount.toFixed(2)} USDC to streamer ${streamer}`)
-          console.log(`💰 You keep $${(depositAmount - spentAmount).toFixed(2)} USDC (unused budget)`)
-
-          const txHash = await usdc.transferUSDC(spentAmount, streamer)
-
-          if (txHash) {
-            console.log(`✅ Settlement complete! $${spentAmount.toFixed(2)} USDC sent to streamer on-chain.`)
-            console.log(`💰 Your wallet now has: ~$${(usdc.balance - spentAmount).toFixed(2)} USDC`)
-          } else {
-            console.error('❌ Settlement transfer failed! Tips were off-chain only.')
-            setError('Settlement failed. The streamer did not receive the tips on-chain.')
+        const usd = (units: bigint) => formatAmount(units, USDC_DECIMALS)
+        const { sessionId } = sessionInfo
+
+        // Write the payout down BEFORE closing, so a reload between the close
+        // and the transfer still leaves a settlement to resume or retry
+        closingSessions.add(sessionId)
+        let closed: EndSessionResult | null
+        let settlement: Settlement | null
+        try {
+          await settlementStore.begin(sessionInfo, serviceRef.current?.userAddress ?? address ?? '')
+          closed = await endSession(sessionId)
+          if (!closed) {
+            // ClearNode refused: the session is still open, nothing to settle yet
+            if (serviceRef.current?.getSessionInfo(sessionId)) await settlementStore.discard(sessionId)
+            refreshSettlements()
+            return
+          }
+          // The final split, now that queued and collected tips are in
+          settlement = await settlementStore.open(closed)
+        } finally {
+          closingSessions.delete(sessionId)
+        }
+        refreshSettlements()
+
+        // Now do the REAL on-chain settlement, split like the app session:
+        // the streamer's share to the streamer, the commission to the treasury
+        const { spent: spentUnits, streamerReceives, commission } = closed.units
+        const treasury = closed.treasury
+
+        if (settlement) {
+          const depositUnits = parseAmount(depositAmount, USDC_DECIMALS)
+          log.settlement.info(`💸 Settling $${usd(streamerReceives)} USDC to streamer ${closed.streamer}`)
+          if (treasury && commission > 0n) {
+            log.settlement.info(`🏦 Settling $${usd(commission)} USDC commission (${closed.commissionRate}%) to treasury ${treasury}`)
+          }
+          log.settlement.info(`💰 You keep $${usd(depositUnits - spentUnits)} USDC (unused budget)`)
+
+          const settled = await runSettlement(settlement.id)
+          if (settled?.status === SETTLEMENT_STATUS.CONFIRMED) {
+            log.settlement.info(`💰 Your wallet now has: ~$${usd(usdc.balanceUnits - spentUnits)} USDC`)
           }
         } else {
-          console.log('💰 No tips were sent — nothing to settle on-chain. Your balance is unchanged.')
+          log.settlement.info('💰 No tips were sent — nothing to settle on-chain. Your balance is unchanged.')
         }
 
         // Refetch on-chain balance after settlement
         setTimeout(() => usdc.refetch(), 2000)
       } else {
         // ══ Turn ON → Verify balance, connect, create session ══
+        // An earlier session must be paid out before the next one opens
+        const blocked = await unresolvedSettlementError(address)
+        if (blocked) {
+          setError(blocked)
+          return
+        }
+
         // State channels DON'T move funds upfront — only at settlement!
         usdc.refetch()
 
-        if (usdc.balance < depositAmount) {
-          setError(
-            `Insufficient USDC balance. You have $${usdc.balance.toFixed(2)} USDC but need $${depositAmount.toFixed(2)}.`
-          )
+        // Budgets of sessions already open with other streamers are spoken for
+        const committedUnits = (serviceRef.current?.getOpenSessions() ?? [])
+          .reduce((sum, open) => sum + open.units.currentBalance, 0n)
+        if (usdc.balanceUnits < committedUnits + parseAmount(depositAmount, USDC_DECIMALS)) {
+          setError(new ValidationError(
+            `Insufficient USDC balance. You have $${usdc.balance.toFixed(2)} USDC but need $${depositAmount.toFixed(2)}.`,
+            { code: ERROR_CODES.INSUFFICIENT_BALANCE }
+          ))
           return
         }
 
-        console.log(`💰 [USDC] Wallet balance: $${usdc.balance.toFixed(2)} USDC (on-chain, real)`)
-        console.log(`🔒 [SESSION] Locking $${depositAmount.toFixed(2)} USDC budget for this session`)
-        console.log(`⚡ No upfront transfer — funds move ONLY at settlement (End Stream)`)
+        log.local.info(`💰 [USDC] Wallet balance: $${usdc.balance.toFixed(2)} USDC (on-chain, real)`)
+        log.local.info(`🔒 [SESSION] Locking $${depositAmount.toFixed(2)} USDC budget for this session`)
+        log.local.info(`⚡ No upfront transfer — funds move ONLY at settlement (End Stream)`)
 
-        // Turn ON → initialize if needed, then create session
-        const service = serviceRef.current
-        const alreadyConnected = service?.connected ?? false
-
-        let ready = alreadyConnected
-        if (!ready) {
-          ready = await initialize()
-        }
+        // Turn ON → initialize if needed (returns at once when ready), then create session
+        const ready = await initialize()
 
         if (ready) {
-          const result = await createSession(streamerAddress, depositAmount)
-          if (result?.success) {
-            setIsStreamActive(true)
-          }
+          await createSession(streamerAddress, depositAmount)
         }
       }
     },
-    [isStreamActive, initialize, createSession, endSession, usdc]
+    [address, initialize, createSession, endSession, runSettlement, refreshSettlements, usdc]
   )
 
   // ── Check spending limit ────────────────────────────────────────
   const checkSpendingLimit = useCallback(
-    (tipAmount: number, spendingLimit: number): SpendingLimitCheck => {
+    (
+      tipAmount: number,
+      spendingLimit: number,
+      sessionOrStreamerId?: string
+    ): SpendingLimitCheck => {
       const service = serviceRef.current
       if (!service) {
         return {
@@ -334,45 +778,236 @@ export function YellowProvider({ children }: { children: React.ReactNode }) {
           percentUsed: 0,
         }
       }
-      return service.checkSpendingLimit(tipAmount, spendingLimit)
+      return service.checkSpendingLimit(tipAmount, spendingLimit, sessionOrStreamerId)
     },
     []
   )
 
+  // ── Spend policy ────────────────────────────────────────────────
+  // Works before initialize: limits are local; today's totals are the connected wallet's
+  const checkTipPolicy = useCallback(
+    (
+      amount: number | string,
+      streamerAddress: string,
+      options?: Pick<SendTipOptions, 'aggregate'>
+    ): TipPolicyCheck => getService().checkTipPolicy(amount, streamerAddress, options),
+    [getService]
+  )
+
+  const setSpendPolicy = useCallback((rules: SpendPolicyRules | null): boolean => {
+    try {
+      const stored = getService().setSpendPolicy(rules)
+      localStorage.setItem(SPEND_POLICY_KEY, JSON.stringify(stored))
+      setSpendPolicyState(stored)
+      return true
+    } catch (err) {
+      setError(err, 'Invalid spend policy')
+      return false
+    }
+  }, [getService, setError])
+
+  // ── Session key renewal / revocation ────────────────────────────
+  const renewSessionKey = useCallback(async (): Promise<boolean> => {
+    const service = serviceRef.current
+    if (!service || !service.connected) {
+      setError(notInitialized())
+      return false
+    }
+    setError(null)
+    setIsRenewingSessionKey(true)
+
+    try {
+      await service.renewSessionKey()
+      return true
+    } catch (err) {
+      setError(err, 'Failed to renew session key')
+      return false
+    } finally {
+      setIsRenewingSessionKey(false)
+      syncSessionKey()
+    }
+  }, [syncSessionKey])
+
+  const revokeSessionKey = useCallback(async (): Promise<boolean> => {
+    const service = serviceRef.current
+    if (!service) return false
+
+    try {
+      await service.revokeSessionKey()
+      return true
+    } catch (err) {
+      setError(err, 'Failed to revoke session key')
+      return false
+    } finally {
+      syncSessionKey()
+    }
+  }, [syncSessionKey])
+
+  // ── Spend limit = session key allowance ─────────────────────────
+  const setSpendLimit = useCallback(async (limit: number): Promise<boolean> => {
+    const service = getService()
+    setError(null)
+    setIsRenewingSessionKey(true)
+
+    try {
+      await service.setSpendAllowance(limit)
+      return true
+    } catch (err) {
+      setError(err, 'Failed to update the session key allowance')
+      return false
+    } finally {
+      setIsRenewingSessionKey(false)
+      syncSessionKey()
+      refreshAllowance()
+    }
+  }, [getService, syncSessionKey, refreshAllowance])
+
   /** Clear error */
   const clearError = useCallback(() => setError(null), [])
 
+  // ── Load settlements persisted by earlier visits ────────────────
+  // (tip history and receipts are per wallet: loaded once initialize() succeeds)
+  useEffect(() => {
+    refreshSettlements()
+    setSpendPolicyState(getService().getSpendPolicy())
+  }, [refreshSettlements, getService])
+
+  // ── Resume settlements interrupted by a reload ──────────────────
+  // Ones left `closing` get their final amounts from the session's receipt
+  // (or keep the amounts recorded before the close when there is none),
+  // unless their session is still open on ClearNode.
+  // Transfers already submitted are re-checked on-chain; ones that never
+  // got a hash fail instead of being re-sent, and wait for a manual retry.
+  // Runs once per wallet, after initialize() (receipts are only read for
+  // the connected wallet, and sessions left open are restored by then)
+  useEffect(() => {
+    if (!isWalletConnected || !address || status !== 'ready' || resumedForRef.current === address) return
+    resumedForRef.current = address
+    const resume = async () => {
+      // Only this wallet's: another wallet's payout is never sent from it
+      const unresolved = await settlementStore.list({ payer: address, unresolved: true })
+      for (const settlement of unresolved) {
+        if (settlement.status === SETTLEMENT_STATUS.FAILED || closingSessions.has(settlement.id)) continue
+
+        let resumable: Settlement | null = settlement
+        if (settlement.status === SETTLEMENT_STATUS.CLOSING && getService().getSessionInfo(settlement.sessionId)) {
+          // The close never went through: initialize() restored the session
+          // as still open, so there is nothing to pay until it is ended
+          log.settlement.info(`↩️ Session ${settlement.sessionId} is still open — dropping its closing settlement`)
+          await settlementStore.discard(settlement.id)
+          refreshSettlements()
+          continue
+        }
+        if (settlement.status === SETTLEMENT_STATUS.CLOSING) {
+          const receipt = await getService().getReceipt(settlement.sessionId)
+          log.settlement.info(`🧾 Rebuilding settlement ${settlement.id} from ${receipt ? 'its receipt' : 'the amounts recorded before closing'}`)
+          resumable = await settlementStore.finishClosing(settlement.id, receipt)
+          refreshSettlements()
+          if (!resumable) continue
+        }
+
+        log.settlement.info(`🔁 Resuming settlement ${resumable.id} (${resumable.status})`)
+        runSettlement(resumable.id, true)
+      }
+    }
+    resume().catch((err) => log.settlement.warn('⚠️ Could not resume settlements:', err))
+  }, [isWalletConnected, address, status, runSettlement, getService, refreshSettlements])
+
   // ── Cleanup on unmount ──────────────────────────────────────────
   useEffect(() => {
     return () => {
+      unsubscribeAll()
       serviceRef.current?.disconnect()
       serviceRef.current = null
     }
-  }, [])
+  }, [unsubscribeAll])
 
   // ── Reset everything when wallet disconnects ────────────────────
   useEffect(() => {
-    if (!isWalletConnected && isInitialized) {
+    if (!isWalletConnected && status !== 'idle') {
+      initAbortRef.current?.abort()
+      unsubscribeAll()
       serviceRef.current?.disconnect()
       serviceRef.current = null
-      setIsInitialized(false)
-      setIsConnectedToYellow(false)
-      setIsStreamActive(false)
+      setStatus('idle')
       setSession(null)
+      setSessions([])
+      setQueuedTips([])
+      setReceivedTips([])
+      setTipJournal([])
+      setReceipts([])
+      resumedForRef.current = null
+      setSessionKey(null)
+      setAllowance(null)
       setError(null)
     }
-  }, [isWalletConnected, isInitialized])
+  }, [isWalletConnected, status, unsubscribeAll])
+
+  // ── Look up one open session ────────────────────────────────────
+  const findSession = useCallback(
+    (sessionOrStreamerId: string): SessionInfo | null => {
+      const id = sessionOrStreamerId.toLowerCase()
+      return (
+        sessions.find(
+          (open) => open.sessionId === sessionOrStreamerId || open.streamer.toLowerCase() === id
+        ) ?? null
+      )
+    },
+    [sessions]
+  )
+
+  // ── Received tips feed ──────────────────────────────────────────
+  const clearReceivedTips = useCallback(() => {
+    serviceRef.current?.clearReceivedTips()
+    setReceivedTips([])
+  }, [])
+
+  // ── Extra listeners for other components ────────────────────────
+  const subscribe = useCallback(
+    <E extends EventName>(event: E, handler: EventListener<E>): Unsubscribe =>
+      getService().on(event, handler),
+    [getService]
+  )
+
+  // ── Debug report for bug reports ────────────────────────────────
+  const downloadDebugReport = useCallback(() => {
+    // Before the service exists the logger alone still has the startup entries
+    const report = serviceRef.current?.exportDebugReport() ?? logger.exportDebugReport()
+    downloadFile(report, DEBUG_REPORT_FILENAME, 'application/json')
+  }, [])
+
+  // ── Session receipts export ─────────────────────────────────────
+  const downloadReceipts = useCallback((format: 'json' | 'csv', selected: SessionReceipt[] = receipts) => {
+    if (format === 'csv') {
+      downloadFile(receiptsToCSV(selected), `${RECEIPTS_FILENAME}.csv`, 'text/csv')
+    } else {
+      downloadFile(receiptsToJSON(selected), `${RECEIPTS_FILENAME}.json`, 'application/json')
+    }
+  }, [receipts])
 
   // ── Provide context ─────────────────────────────────────────────
   return (
     <YellowContext.Provider
       value={{
+        status,
         isInitialized,
         isInitializing,
         isConnectedToYellow,
+        isReconnecting,
         isStreamActive,
         session,
+        sessions,
+        findSession,
         error,
+        lastError,
+        tipJournal,
+        receipts,
+        queuedTips,
+        queuedTipCount: queuedTips.length,
+        receivedTips,
+        sessionKey,
+        isRenewingSessionKey,
+        allowance,
 
         // USDC on-chain
         usdcBalance: usdc.balance,
@@ -382,16 +1017,35 @@ export function YellowProvider({ children }: { children: React.ReactNode }) {
         isWaitingForApproval: usdc.isWaitingForApproval,
         isApproveConfirmed: usdc.isApproveConfirmed,
         isSettling: usdc.isDepositing,
-        isWaitingForSettlement: usdc.isWaitingForDeposit,
+        isWaitingForSettlement: usdc.isWaitingForDeposit ||
+          settlements.some((settlement) => settlement.status === SETTLEMENT_STATUS.SUBMITTED),
+        settlements,
+        unresolvedSettlements,
 
         initialize,
+        cancelInitialize,
         approveUSDC: usdc.approveUSDC,
         refetchUSDC: usdc.refetch,
         createSession,
         sendTip,
         endSession,
         toggleStream,
+        retrySettlement,
+        spendPolicy,
+        checkTipPolicy,
+        setSpendPolicy,
         checkSpendingLimit,
+        refreshTipJournal,
+        refreshReceipts,
+        downloadReceipts,
+        renewSessionKey,
+        revokeSessionKey,
+        setSpendLimit,
+        refreshAllowance,
+        clearReceivedTips,
+        getTransactionHistory,
+        subscribe,
+        downloadDebugReport,
         clearError,
       }}
     >
@@ -412,3 +1066,47 @@ export function useYellow(): UseYellowReturn {
   }
   return context
 }
+
+/**
+ * Run `handler` on every `event` from the Yellow service while the
+ * component is mounted. Re-subscribes when the service is re-created
+ * (e.g. after a wallet reconnect); the latest `handler` is always used.
+ */
+export function useYellowEvent<E extends EventName>(
+  event: E,
+  handler: EventListener<E>
+): void {
+  const { subscribe, status } = useYellow()
+  // A wallet disconnect resets to idle and the next subscribe creates a new service
+  const isIdle = status === 'idle'
+  const handlerRef = useRef(handler)
+
+  useEffect(() => {
+    handlerRef.current = handler
+  }, [handler])
+
+  useEffect(
+    () => subscribe(event, (data) => handlerRef.current(data)),
+    [subscribe, event, isIdle]
+  )
+}
+
+/**
+ * Live feed of tips received by the connected wallet (streamer view),
+ * newest first. `limit` caps how many are returned; the service itself
+ * keeps at most `receivedTipsLimit`.
+ */
+export function useTipFeed(limit?: number) {
+  const { receivedTips, clearReceivedTips, isConnectedToYellow } = useYellow()
+  const tips = limit === undefined ? receivedTips : receivedTips.slice(0, limit)
+  const totalReceived = receivedTips.reduce((sum, tip) => sum + tip.units.creatorReceives, 0n)
+
+  return {
+    tips,
+    /** What the wallet received across the whole feed, in asset units */
+    totalReceived,
+    /** Tips only arrive while connected to Yellow Network */
+    isListening: isConnectedToYellow,
+    clear: clearReceivedTips,
+  }
+}
@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useState } from 'react'
+import { useYellow } from '../hooks/useYellow'
+import type { HistoryEntry, TransactionHistoryOptions } from '../services/YellowTokService'
+import { formatAmount } from '../services/money'
+import { USDC_DECIMALS } from '../config/contracts'
+
+const PAGE_SIZE = 20
+
+type DirectionFilter = 'all' | 'sent' | 'received'
+
+const KIND_LABELS: Record<HistoryEntry['kind'], string> = {
+  tip: 'Tip',
+  session_deposit: 'Stream budget',
+  session_payout: 'Session payout',
+}
+
+function shortAddress(address: string) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`
+}
+
+function formatEntryAmount(entry: HistoryEntry) {
+  const value = entry.units !== null ? formatAmount(entry.units, USDC_DECIMALS) : entry.amount.toFixed(2)
+  return `${entry.direction === 'sent' ? '−' : '+'}$${value}`
+}
+
+/** `<input type="date">` value → ms at the start (or end) of that day */
+function dayBoundary(value: string, endOfDay = false) {
+  if (!value) return undefined
+  const date = new Date(`${value}T00:00:00`)
+  if (endOfDay) date.setDate(date.getDate() + 1)
+  return endOfDay ? date.getTime() - 1 : date.getTime()
+}
+
+/**
+ * Sent and received tips from the user's ClearNode ledger, with filters
+ * and paging. Tips inside an open stream session reach the ledger when
+ * the session closes (as a session payout).
+ */
+export function ActivityPage() {
+  const { isInitialized, isInitializing, initialize, getTransactionHistory, downloadDebugReport } = useYellow()
+
+  const [direction, setDirection] = useState<DirectionFilter>('all')
+  const [counterpartyInput, setCounterpartyInput] = useState('')
+  const [counterparty, setCounterparty] = useState('') // applied on Enter / blur
+  const [fromDate, setFromDate] = useState('')
+  const [toDate, setToDate] = useState('')
+
+  const [entries, setEntries] = useState<HistoryEntry[]>([])
+  const [nextCursor, setNextCursor] = useState<number | null>(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  const filters = useCallback((): TransactionHistoryOptions => ({
+    limit: PAGE_SIZE,
+    direction: direction === 'all' ? undefined : direction,
+    counterparty: counterparty.trim() || undefined,
+    from: dayBoundary(fromDate),
+    to: dayBoundary(toDate, true),
+  }), [direction, counterparty, fromDate, toDate])
+
+  /** Load the first page, or the next one when `cursor` is given */
+  const load = useCallback(async (cursor?: number) => {
+    setIsLoading(true)
+    const page = await getTransactionHistory({ ...filters(), cursor })
+    setIsLoading(false)
+    if (!page) return
+    setEntries((current) => (cursor === undefined ? page.entries : [...current, ...page.entries]))
+    setNextCursor(page.nextCursor)
+  }, [filters, getTransactionHistory])
+
+  useEffect(() => {
+    if (isInitialized) load()
+  }, [isInitialized, load])
+
+  return (
+    <div className="min-h-[calc(100vh-4rem)] bg-yt-bg pb-20">
+      <div className="px-4 py-8 max-w-2xl mx-auto">
+        <h1 className="text-2xl md:text-3xl font-bold text-yt-text mb-6">Activity</h1>
+
+        {!isInitialized ? (
+          <div className="bg-yt-surface rounded-2xl border border-yt-border p-8 text-center">
+            <p className="text-yt-text-muted mb-4">Connect to Yellow Network to load your tip history.</p>
+            <button
+              onClick={() => initialize()}
+              disabled={isInitializing}
+              className="px-4 py-2 bg-yt-primary text-yt-bg font-bold rounded-xl hover:bg-yt-primary-hover transition-colors disabled:opacity-60"
+            >
+              {isInitializing ? 'Connecting…' : 'Connect'}
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+              <div className="flex rounded-xl border border-yt-border overflow-hidden">
+                {(['all', 'sent', 'received'] as const).map((option) => (
+                  <button
+                    key={option}
+                    onClick={() => setDirection(option)}
+                    className={`px-4 py-2 text-sm font-medium capitalize transition-colors ${
+                      direction === option
+                        ? 'bg-yt-primary text-yt-bg'
+                        : 'bg-yt-surface text-yt-text-secondary hover:text-yt-text'
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+              <input
+                value={counterpartyInput}
+                onChange={(e) => setCounterpartyInput(e.target.value)}
+                onBlur={() => setCounterparty(counterpartyInput)}
+                onKeyDown={(e) => e.key === 'Enter' && setCounterparty(counterpartyInput)}
+                placeholder="Counterparty 0x…"
+                className="flex-1 min-w-[10rem] px-3 py-2 bg-yt-surface border border-yt-border rounded-xl text-sm text-yt-text font-mono focus:border-yt-primary outline-none"
+              />
+              <input
+                type="date"
+                value={fromDate}
+                onChange={(e) => setFromDate(e.target.value)}
+                className="px-3 py-2 bg-yt-surface border border-yt-border rounded-xl text-sm text-yt-text"
+                title="From"
+              />
+              <input
+                type="date"
+                value={toDate}
+                onChange={(e) => setToDate(e.target.value)}
+                className="px-3 py-2 bg-yt-surface border border-yt-border rounded-xl text-sm text-yt-text"
+                title="To"
+              />
+            </div>
+
+            {/* Entries */}
+            <div className="bg-yt-surface rounded-2xl border border-yt-border overflow-hidden">
+              {entries.length === 0 ? (
+                <div className="p-8 text-center text-yt-text-muted">
+                  {isLoading ? 'Loading…' : 'No tips match these filters'}
+                </div>
+              ) : (
+                <ul className="divide-y divide-yt-border">
+                  {entries.map((entry) => (
+                    <li key={entry.id} className="p-4 flex items-center justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm text-yt-text">
+                          {KIND_LABELS[entry.kind]}{' '}
+                          <span className="text-yt-text-muted">
+                            {entry.direction === 'sent' ? 'to' : 'from'}
+                          </span>{' '}
+                          <span className="font-mono">
+                            {entry.counterpartyTag ?? shortAddress(entry.counterparty)}
+                          </span>
+                        </p>
+                        <p className="text-xs text-yt-text-muted">
+                          {new Date(entry.timestamp).toLocaleString()}
+                        </p>
+                      </div>
+                      <span
+                        className={`font-bold font-mono shrink-0 ${
+                          entry.direction === 'sent' ? 'text-yt-text' : 'text-green-400'
+                        }`}
+                      >
+                        {formatEntryAmount(entry)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {nextCursor !== null && (
+              <button
+                onClick={() => load(nextCursor)}
+                disabled={isLoading}
+                className="mt-4 w-full py-3 bg-yt-surface text-yt-text font-medium rounded-xl border border-yt-border hover:border-yt-primary transition-colors disabled:opacity-60"
+              >
+                {isLoading ? 'Loading…' : 'Load more'}
+              </button>
+            )}
+          </>
+        )}
+
+        <p className="mt-8 text-center text-xs text-yt-text-muted">
+          Something not adding up?{' '}
+          <button onClick={downloadDebugReport} className="underline hover:text-yt-text">
+            Download debug report
+          </button>{' '}
+          and attach it to your bug report. Keys and signatures are removed.
+        </p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react'
+import { useYellow } from '../hooks/useYellow'
+import { verifyReceipt, type SessionReceipt } from '../services/YellowTokService'
+
+function shortAddress(address: string) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`
+}
+
+function formatDuration(ms: number) {
+  const minutes = Math.round(ms / 60000)
+  return minutes < 1 ? '<1 min' : `${minutes} min`
+}
+
+const SETTLEMENT_LABELS: Record<string, string> = {
+  pending: 'Settlement pending',
+  submitted: 'Settlement confirming',
+  confirmed: 'Settled on-chain',
+  failed: 'Settlement failed',
+}
+
+/** One closed session: totals, tips, payout tx hashes and whether the signature checks out */
+function ReceiptCard({ receipt, onDownload }: {
+  receipt: SessionReceipt
+  onDownload: (format: 'json' | 'csv') => void
+}) {
+  const [isValid, setIsValid] = useState<boolean | null>(null)
+  const [isExpanded, setIsExpanded] = useState(false)
+
+  useEffect(() => {
+    let current = true
+    verifyReceipt(receipt).then((valid) => current && setIsValid(valid))
+    return () => { current = false }
+  }, [receipt])
+
+  return (
+    <li className="p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-sm text-yt-text">
+            ${receipt.spent} <span className="text-yt-text-muted">to</span>{' '}
+            <span className="font-mono">{shortAddress(receipt.streamer)}</span>
+          </p>
+          <p className="text-xs text-yt-text-muted">
+            {new Date(receipt.closedAt).toLocaleString()} · {formatDuration(receipt.closedAt - receipt.openedAt)} ·{' '}
+            {receipt.tips.length} tips · {receipt.commissionRate}% commission
+          </p>
+          <p className="text-xs mt-1">
+            <span className={isValid ? 'text-green-400' : isValid === false ? 'text-red-400' : 'text-yt-text-muted'}>
+              {isValid === null ? 'Checking signature…' : isValid ? '✓ Signed by session key' : '⚠ Signature invalid or missing'}
+            </span>
+            {receipt.settlement && (
+              <span className="text-yt-text-muted"> · {SETTLEMENT_LABELS[receipt.settlement.status]}</span>
+            )}
+          </p>
+        </div>
+        <div className="flex gap-2 shrink-0 text-xs">
+          <button onClick={() => onDownload('json')} className="underline text-yt-text-secondary hover:text-yt-text">
+            JSON
+          </button>
+          <button onClick={() => onDownload('csv')} className="underline text-yt-text-secondary hover:text-yt-text">
+            CSV
+          </button>
+        </div>
+      </div>
+
+      <button
+        onClick={() => setIsExpanded((expanded) => !expanded)}
+        className="mt-2 text-xs text-yt-text-secondary hover:text-yt-text"
+      >
+        {isExpanded ? 'Hide details' : 'Show details'}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-3 space-y-2 text-xs font-mono text-yt-text-secondary">
+          <p>
+            Streamer ${receipt.streamerReceives} · Commission ${receipt.commission} · Unused ${receipt.unused} of $
+            {receipt.deposited}
+          </p>
+          <ul className="space-y-1">
+            {receipt.tips.map((tip) => (
+              <li key={tip.id} className="flex justify-between gap-3">
+                <span className="truncate" title={tip.transferId && `Sent together with other taps in ${tip.transferId}`}>
+                  {new Date(tip.sentAt).toLocaleTimeString()} {tip.message && `“${tip.message}”`}
+                  {tip.transferId && ' ⧉'}
+                </span>
+                <span className="shrink-0 text-yt-text">${tip.amount}</span>
+              </li>
+            ))}
+          </ul>
+          {receipt.settlement?.legs.map((leg) => (
+            <p key={leg.recipient} className="truncate">
+              {leg.recipient} ${leg.amount}:{' '}
+              {leg.txHash ? (
+                <a
+                  href={`https://sepolia.etherscan.io/tx/${leg.txHash}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="underline hover:text-yt-text"
+                >
+                  {leg.txHash}
+                </a>
+              ) : (
+                'not sent'
+              )}
+            </p>
+          ))}
+        </div>
+      )}
+    </li>
+  )
+}
+
+/**
+ * Receipts of the user's closed stream sessions, kept on this device and
+ * signed by the session key. Download one or all as JSON (verifiable) or
+ * CSV (for spreadsheets and accounting).
+ */
+export function ReceiptsPage() {
+  const { receipts, refreshReceipts, downloadReceipts } = useYellow()
+
+  useEffect(() => {
+    refreshReceipts()
+  }, [refreshReceipts])
+
+  return (
+    <div className="min-h-[calc(100vh-4rem)] bg-yt-bg pb-20">
+      <div className="px-4 py-8 max-w-2xl mx-auto">
+        <div className="flex items-center justify-between gap-3 mb-6">
+          <h1 className="text-2xl md:text-3xl font-bold text-yt-text">Receipts</h1>
+          {receipts.length > 0 && (
+            <div className="flex gap-2">
+              <button
+                onClick={() => downloadReceipts('json')}
+                className="px-3 py-2 bg-yt-surface text-yt-text text-sm font-medium rounded-xl border border-yt-border hover:border-yt-primary transition-colors"
+              >
+                Download JSON
+              </button>
+              <button
+                onClick={() => downloadReceipts('csv')}
+                className="px-3 py-2 bg-yt-surface text-yt-text text-sm font-medium rounded-xl border border-yt-border hover:border-yt-primary transition-colors"
+              >
+                Download CSV
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-yt-surface rounded-2xl border border-yt-border overflow-hidden">
+          {receipts.length === 0 ? (
+            <div className="p-8 text-center text-yt-text-muted">
+              No receipts yet. Each stream session you end leaves one here.
+            </div>
+          ) : (
+            <ul className="divide-y divide-yt-border">
+              {receipts.map((receipt) => (
+                <ReceiptCard
+                  key={receipt.id}
+                  receipt={receipt}
+                  onDownload={(format) => downloadReceipts(format, [receipt])}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,8 +1,9 @@
 import { useParams, Link } from 'react-router-dom'
-import { useEnsAddress, useEnsAvatar, useEnsText } from 'wagmi'
+import { useAccount, useEnsAddress, useEnsAvatar, useEnsText } from 'wagmi'
 import { normalize } from 'viem/ens'
 import { isAddress } from 'viem'
 import { ENS_CHAIN_ID } from '../config/chains'
+import { TipFeed } from '../components/TipFeed'
 
 export function StreamerPage() {
   const { ensName } = useParams<{ ensName: string }>()
@@ -18,6 +19,10 @@ export function StreamerPage() {
 
   const address = isAddressParam ? ensName as `0x${string}` : resolvedAddress
 
+  // The streamer looking at their own page sees the tips coming in
+  const { address: account } = useAccount()
+  const isOwnPage = Boolean(account && address && account.toLowerCase() === address.toLowerCase())
+
   // ENS data
   const { data: ensAvatar, isLoading: isLoadingAvatar } = useEnsAvatar({
     name: ensName && !isAddressParam ? normalize(ensName) : undefined,
@@ -169,6 +174,8 @@ export function StreamerPage() {
           </button>
         </div>
 
+        {isOwnPage && <TipFeed />}
+
         {/* ENS Records */}
         <div className="bg-yt-surface rounded-2xl border border-yt-border overflow-hidden">
           <div className="p-4 border-b border-yt-border">
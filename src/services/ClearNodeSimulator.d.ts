@@ -0,0 +1,70 @@
+/**
+ * ClearNodeSimulator — TypeScript Type Definitions
+ *
+ * In-process ClearNode for local development, demos and tests.
+ */
+
+import type { ClearNodeSocket, ClearNodeTransport } from './YellowTokService';
+
+/** `clearnodeUrl` to use with the simulator's transport */
+export const SIMULATOR_URL: string;
+
+export interface ClearNodeSimulatorOptions {
+  /** Reply delay range in ms (default 40–160) */
+  latency?: { min: number; max: number };
+  /** Chance (0–1) that an authenticated request is rejected (default 0) */
+  failureRate?: number;
+  /** Asset wallets are funded with (default 'ytest.usd') */
+  asset?: string;
+  /** Decimals of every simulated asset (default 6) */
+  decimals?: number;
+  /** Ledger balance a wallet gets on its first authentication (default 100) */
+  startingBalance?: number | string;
+  /** JWT lifetime in seconds, capped at the session key expiry (default 86400) */
+  jwtDuration?: number;
+}
+
+/** Server side of a connection served through `attach` */
+export interface SimulatorConnection {
+  /** Wallet and session key once authenticated */
+  auth: { wallet: string; sessionKey: string } | null;
+  /** Pending auth_request awaiting its auth_verify */
+  challenge: { message: string; request: Record<string, any> } | null;
+  /** Handle a client message */
+  receive(data: string): void;
+  /** The client went away (or should be cut off) */
+  close(): void;
+}
+
+declare class ClearNodeSimulator {
+  constructor(options?: ClearNodeSimulatorOptions);
+
+  options: Required<ClearNodeSimulatorOptions>;
+
+  /** Pass as `transport` to YellowTokService */
+  readonly transport: ClearNodeTransport;
+
+  /** Open a simulated connection */
+  connect(url?: string): ClearNodeSocket;
+  /** Serve a connection from outside this process (mock ClearNode server) */
+  attach(handlers: {
+    deliver: (message: object) => void;
+    close?: () => void;
+  }): SimulatorConnection;
+
+  // Failure injection
+  /** Reject the next request for `method` ('*' = any) without applying it */
+  failNext(method?: string, message?: string): void;
+  /** Apply the next request for `method` ('*' = any) but never reply */
+  dropNext(method?: string): void;
+  /** Close every open connection, as if the network went away */
+  dropConnections(): void;
+
+  // Ledger helpers
+  /** Add funds to a wallet's ledger balance (a simulated deposit) */
+  credit(wallet: string, amount: number | string, asset?: string): void;
+  /** Ledger balance as a decimal string; pass an app session id as `account` for the allocation there */
+  balanceOf(wallet: string, asset?: string, account?: string): string;
+}
+
+export default ClearNodeSimulator;
@@ -0,0 +1,898 @@
+/**
+ * ClearNodeSimulator — an in-process ClearNode for local development,
+ * demos and tests.
+ *
+ * Speaks the same Nitrolite RPC messages as the real ClearNode over a
+ * WebSocket-like object, so YellowTokService runs against it unchanged:
+ *
+ *   const simulator = new ClearNodeSimulator();
+ *   new YellowTokService({ clearnodeUrl: SIMULATOR_URL, transport: simulator.transport });
+ *
+ * Implemented: auth challenge/verify (wallet signature or JWT), ping,
+ * ledger balances, transfers, app sessions (create / submit state / close),
+ * ledger transactions, session keys with allowances, and the `bu` / `tr` /
+ * `asu` notifications. Every wallet starts with `startingBalance` on its
+ * first authentication.
+ *
+ * Not a security boundary: signatures are not checked — requests are
+ * trusted as coming from the wallet and session key that authenticated
+ * the connection.
+ *
+ * Replies arrive after a random delay within `latency`. Failures can be
+ * injected at random (`failureRate`) or one at a time with `failNext`,
+ * `dropNext` and `dropConnections`.
+ */
+
+import { RPCChannelStatus, RPCMethod, RPCProtocolVersion, RPCTxType } from '@erc7824/nitrolite';
+import { getAddress } from 'viem';
+import { parseAmount, toDecimalString } from './money.js'; // extension: also loaded by Node (mock/)
+
+export const SIMULATOR_URL = 'sim://clearnode';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Answered without an authenticated connection, like on ClearNode
+const PUBLIC_METHODS = new Set([
+  RPCMethod.AuthRequest,
+  RPCMethod.AuthVerify,
+  RPCMethod.Ping,
+  RPCMethod.GetLedgerTransactions,
+  RPCMethod.GetAppSessions,
+]);
+// Never failed at random, so a connection can always come up
+const HANDSHAKE_METHODS = new Set([RPCMethod.AuthRequest, RPCMethod.AuthVerify, RPCMethod.Ping]);
+
+/**
+ * @private
+ */
+function randomHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes; i++) {
+    hex += Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * @private
+ */
+function base64UrlJson(value) {
+  return btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * @private
+ */
+function rpcError(message) {
+  const error = new Error(message);
+  error.name = 'SimulatedRPCError';
+  return error;
+}
+
+/**
+ * Client end of a simulated connection; implements the part of the
+ * WebSocket API the service uses.
+ * @private
+ */
+class SimulatedSocket {
+  constructor(simulator, url) {
+    this.url = url;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onerror = null;
+    this.onclose = null;
+    this.onmessage = null;
+    this.listeners = new Map(); // event type → Set of listeners
+
+    this.simulator = simulator;
+    this.auth = null; // { wallet, sessionKey } once authenticated
+    this.challenge = null; // pending auth_request
+
+    setTimeout(() => {
+      if (this.readyState !== CONNECTING) return;
+      this.readyState = OPEN;
+      this._emit('open', { type: 'open' });
+    }, simulator._latency());
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    this.simulator._receive(this, String(data));
+  }
+
+  close() {
+    if (this.readyState === CLOSED) return;
+    this.readyState = CLOSED;
+    this.simulator.sockets.delete(this);
+    setTimeout(() => this._emit('close', { type: 'close', code: 1000 }), 0);
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * Deliver a server message (ignored once the socket is closed).
+   * @private
+   */
+  _deliver(message) {
+    if (this.readyState !== OPEN) return;
+    this._emit('message', { type: 'message', data: JSON.stringify(message) });
+  }
+
+  /**
+   * @private
+   */
+  _emit(type, event) {
+    this[`on${type}`]?.(event);
+    for (const listener of [...(this.listeners.get(type) || [])]) {
+      listener(event);
+    }
+  }
+}
+
+class ClearNodeSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {{min: number, max: number}} [options.latency] — reply delay in ms (default 40–160)
+   * @param {number} [options.failureRate] — chance (0–1) that a request is rejected (default 0)
+   * @param {string} [options.asset] — asset wallets are funded with (default 'ytest.usd')
+   * @param {number} [options.decimals] — decimals of every simulated asset (default 6)
+   * @param {number|string} [options.startingBalance] — funded on a wallet's first auth (default 100)
+   * @param {number} [options.jwtDuration] — JWT lifetime in seconds (default 86400)
+   */
+  constructor(options = {}) {
+    this.options = {
+      latency: { min: 40, max: 160 },
+      failureRate: 0,
+      asset: 'ytest.usd',
+      decimals: 6,
+      startingBalance: 100,
+      jwtDuration: 86400,
+      ...options,
+    };
+
+    this.sockets = new Set(); // open connections
+    this.balances = new Map(); // `${account}|${wallet}` → Map asset → bigint
+    this.fundedWallets = new Set();
+    this.transactions = []; // ledger transactions, oldest first
+    this.appSessions = new Map(); // lowercase app session id → app session
+    this.sessionKeys = new Map(); // lowercase session key → registration
+    this.tokens = new Map(); // JWT → { sessionKey (lowercase), exp }
+    this.faults = []; // injected one-off failures, see failNext / dropNext
+    this.nextTransactionId = 1;
+
+    /** Pass as `transport` to YellowTokService */
+    this.transport = (url) => this.connect(url);
+  }
+
+  /**
+   * Open a simulated connection.
+   *
+   * @param {string} [url]
+   * @returns {SimulatedSocket}
+   */
+  connect(url = SIMULATOR_URL) {
+    const socket = new SimulatedSocket(this, url);
+    this.sockets.add(socket);
+    return socket;
+  }
+
+  /**
+   * Serve a connection from outside this process (see mock/MockClearNode.js).
+   * Feed client messages to `receive(data)` and call `close()` once the
+   * client is gone; `close` is also called by `dropConnections`.
+   *
+   * @param {Object} handlers
+   * @param {(message: Object) => void} handlers.deliver — send a server message to the client
+   * @param {() => void} [handlers.close] — cut the client connection
+   * @returns {Object} connection — `auth` and `challenge` hold its auth state
+   */
+  attach({ deliver, close }) {
+    const connection = {
+      auth: null, // { wallet, sessionKey } once authenticated
+      challenge: null, // pending auth_request
+      receive: (data) => this._receive(connection, String(data)),
+      close: () => {
+        if (!this.sockets.delete(connection)) return;
+        close?.();
+      },
+      _deliver: deliver,
+    };
+    this.sockets.add(connection);
+    return connection;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // FAILURE INJECTION & TEST HELPERS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Reject the next request for `method` ('*' = any) with `message`,
+   * without applying it.
+   */
+  failNext(method = '*', message = 'Simulated ClearNode failure') {
+    this.faults.push({ method, kind: 'fail', message });
+  }
+
+  /**
+   * Apply the next request for `method` ('*' = any) but never reply —
+   * the client can't tell whether it went through.
+   */
+  dropNext(method = '*') {
+    this.faults.push({ method, kind: 'drop' });
+  }
+
+  /**
+   * Close every open connection, as if the network went away.
+   */
+  dropConnections() {
+    for (const socket of [...this.sockets]) socket.close();
+  }
+
+  /**
+   * Add funds to a wallet's ledger balance (a simulated deposit).
+   *
+   * @param {string} wallet
+   * @param {number|string} amount — in whole tokens
+   * @param {string} [asset]
+   */
+  credit(wallet, amount, asset = this.options.asset) {
+    const units = parseAmount(amount, this.options.decimals);
+    this._adjust(wallet, wallet, asset, units);
+    this._record(RPCTxType.Deposit, wallet, wallet, asset, units);
+    this._pushBalances(wallet);
+  }
+
+  /**
+   * Ledger balance as a decimal string. `account` defaults to the wallet's
+   * own account; pass an app session id for its allocation there.
+   */
+  balanceOf(wallet, asset = this.options.asset, account = wallet) {
+    return toDecimalString(this._balance(account, wallet, asset), this.options.decimals);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // REQUEST DISPATCH
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _receive(socket, data) {
+    let requestId;
+    let method;
+    let params;
+    try {
+      [requestId, method, params = {}] = JSON.parse(data).req;
+    } catch {
+      this._reply(socket, 0, RPCMethod.Error, { error: 'invalid message format' });
+      return;
+    }
+
+    const fault = this._takeFault(method);
+    if (fault?.kind === 'fail') {
+      this._reply(socket, requestId, RPCMethod.Error, { error: fault.message });
+      return;
+    }
+    if (!HANDSHAKE_METHODS.has(method) && Math.random() < this.options.failureRate) {
+      this._reply(socket, requestId, RPCMethod.Error, { error: 'Simulated ClearNode failure' });
+      return;
+    }
+
+    let result;
+    try {
+      if (!PUBLIC_METHODS.has(method)) this._requireAuth(socket);
+      result = this._handle(socket, method, params);
+    } catch (err) {
+      result = [RPCMethod.Error, { error: err.message }];
+    }
+
+    if (fault?.kind === 'drop') return;
+    this._reply(socket, requestId, ...result);
+  }
+
+  /**
+   * @private
+   * @returns {[string, Object]} reply method and params
+   */
+  _handle(socket, method, params) {
+    switch (method) {
+      case RPCMethod.AuthRequest:
+        return this._authRequest(socket, params);
+      case RPCMethod.AuthVerify:
+        return this._authVerify(socket, params);
+      case RPCMethod.Ping:
+        return [RPCMethod.Pong, {}];
+      case RPCMethod.GetLedgerBalances:
+        return this._getLedgerBalances(socket, params);
+      case RPCMethod.GetLedgerTransactions:
+        return this._getLedgerTransactions(params);
+      case RPCMethod.Transfer:
+        return this._transfer(socket, params);
+      case RPCMethod.CreateAppSession:
+        return this._createAppSession(socket, params);
+      case RPCMethod.SubmitAppState:
+        return this._submitAppState(socket, params);
+      case RPCMethod.CloseAppSession:
+        return this._closeAppSession(socket, params);
+      case RPCMethod.GetAppSessions:
+        return this._getAppSessions(params);
+      case RPCMethod.GetSessionKeys:
+        return this._getSessionKeys(socket);
+      case RPCMethod.RevokeSessionKey:
+        return this._revokeSessionKey(socket, params);
+      default:
+        throw rpcError(`unsupported method: ${method}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _takeFault(method) {
+    const index = this.faults.findIndex((fault) => fault.method === '*' || fault.method === method);
+    return index === -1 ? null : this.faults.splice(index, 1)[0];
+  }
+
+  /**
+   * @private
+   */
+  _reply(socket, requestId, method, params) {
+    const message = { res: [requestId, method, params, Date.now()], sig: [] };
+    setTimeout(() => socket._deliver(message), this._latency());
+  }
+
+  /**
+   * Server-initiated message to every connection of `wallet`.
+   * @private
+   */
+  _push(wallet, method, params) {
+    const target = wallet.toLowerCase();
+    for (const socket of this.sockets) {
+      if (socket.auth?.wallet.toLowerCase() === target) this._reply(socket, 0, method, params);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _latency() {
+    const { min = 0, max = min } = this.options.latency || {};
+    return min + Math.random() * Math.max(0, max - min);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // AUTHENTICATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _authRequest(socket, params) {
+    if (!params.address || !params.session_key) {
+      throw rpcError('address and session_key are required');
+    }
+    socket.challenge = { message: globalThis.crypto?.randomUUID?.() || randomHex(16), request: params };
+    return [RPCMethod.AuthChallenge, { challenge_message: socket.challenge.message }];
+  }
+
+  /**
+   * Challenge answer (signature trusted) or a JWT from an earlier auth.
+   * @private
+   */
+  _authVerify(socket, params) {
+    let key;
+    if (params.jwt) {
+      const claims = this._verifyJwt(params.jwt);
+      key = this.sessionKeys.get(claims.sessionKey);
+    } else {
+      const pending = socket.challenge;
+      if (!pending || params.challenge !== pending.message) {
+        throw rpcError('invalid challenge');
+      }
+      socket.challenge = null;
+      key = this._registerSessionKey(pending.request);
+    }
+
+    socket.auth = { wallet: key.wallet, sessionKey: key.sessionKey };
+    if (!this.fundedWallets.has(key.wallet.toLowerCase())) {
+      this.fundedWallets.add(key.wallet.toLowerCase());
+      if (this.options.startingBalance) this.credit(key.wallet, this.options.startingBalance);
+    }
+
+    return [
+      RPCMethod.AuthVerify,
+      {
+        address: key.wallet,
+        session_key: key.sessionKey,
+        success: true,
+        jwt_token: this._issueJwt(key),
+      },
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _registerSessionKey(request) {
+    const now = Date.now();
+    const key = {
+      id: this.sessionKeys.size + 1,
+      wallet: getAddress(request.address),
+      sessionKey: getAddress(request.session_key),
+      application: request.application || 'clearnode',
+      scope: request.scope,
+      allowances: (request.allowances || []).map((allowance) => ({
+        asset: allowance.asset,
+        allowance: parseAmount(allowance.amount, this.options.decimals),
+        used: 0n,
+      })),
+      expiresAt: request.expires_at ? Number(request.expires_at) * 1000 : now + 86400000,
+      createdAt: now,
+      revoked: false,
+    };
+    this.sessionKeys.set(key.sessionKey.toLowerCase(), key);
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  _issueJwt(key) {
+    const exp = Math.floor(Math.min(Date.now() / 1000 + this.options.jwtDuration, key.expiresAt / 1000));
+    const token = [
+      base64UrlJson({ alg: 'none', typ: 'JWT' }),
+      base64UrlJson({ wallet: key.wallet, session_key: key.sessionKey, exp }),
+      randomHex(16),
+    ].join('.');
+    this.tokens.set(token, { sessionKey: key.sessionKey.toLowerCase(), exp });
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _verifyJwt(token) {
+    const claims = this.tokens.get(token);
+    const key = claims && this.sessionKeys.get(claims.sessionKey);
+    if (!key || claims.exp * 1000 <= Date.now() || !this._isKeyUsable(key)) {
+      throw rpcError('invalid or expired jwt');
+    }
+    return claims;
+  }
+
+  /**
+   * @private
+   */
+  _requireAuth(socket) {
+    if (!socket.auth) throw rpcError('authentication required');
+    const key = this.sessionKeys.get(socket.auth.sessionKey.toLowerCase());
+    if (!key || !this._isKeyUsable(key)) throw rpcError('session key expired or revoked');
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  _isKeyUsable(key) {
+    return !key.revoked && key.expiresAt > Date.now();
+  }
+
+  /**
+   * Count `units` against the session key allowance of `asset`.
+   * @private
+   */
+  _spendAllowance(socket, asset, units) {
+    if (units <= 0n) return;
+    const key = this._requireAuth(socket);
+    const allowance = key.allowances.find((entry) => entry.asset === asset);
+    if (!allowance || allowance.used + units > allowance.allowance) {
+      throw rpcError(`session key allowance exceeded for ${asset}`);
+    }
+    allowance.used += units;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // LEDGER
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _balance(account, wallet, asset) {
+    return this.balances.get(`${account}|${wallet}`.toLowerCase())?.get(asset) ?? 0n;
+  }
+
+  /**
+   * @private
+   */
+  _adjust(account, wallet, asset, delta) {
+    const id = `${account}|${wallet}`.toLowerCase();
+    if (!this.balances.has(id)) this.balances.set(id, new Map());
+    const assets = this.balances.get(id);
+    const next = (assets.get(asset) ?? 0n) + delta;
+    if (next < 0n) throw rpcError(`insufficient funds: ${asset}`);
+    assets.set(asset, next);
+  }
+
+  /**
+   * @private
+   */
+  _record(txType, fromAccount, toAccount, asset, units) {
+    const tx = {
+      id: this.nextTransactionId++,
+      tx_type: txType,
+      from_account: fromAccount,
+      to_account: toAccount,
+      asset,
+      amount: toDecimalString(units, this.options.decimals),
+      created_at: new Date().toISOString(),
+    };
+    this.transactions.push(tx);
+    return tx;
+  }
+
+  /**
+   * @private
+   */
+  _ledgerBalances(account, wallet) {
+    const assets = this.balances.get(`${account}|${wallet}`.toLowerCase()) || new Map();
+    return [...assets].map(([asset, units]) => ({
+      asset,
+      amount: toDecimalString(units, this.options.decimals),
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _pushBalances(wallet) {
+    this._push(wallet, RPCMethod.BalanceUpdate, {
+      balance_updates: this._ledgerBalances(wallet, wallet),
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getLedgerBalances(socket, params) {
+    const { wallet } = socket.auth;
+    const account = params.account_id || wallet;
+    return [RPCMethod.GetLedgerBalances, { ledger_balances: this._ledgerBalances(account, wallet) }];
+  }
+
+  /**
+   * @private
+   */
+  _getLedgerTransactions(params) {
+    const account = (params.account_id || '').toLowerCase();
+    const offset = Number(params.offset) || 0;
+    const limit = Number(params.limit) || 10;
+
+    const matching = this.transactions.filter(
+      (tx) =>
+        (tx.from_account.toLowerCase() === account || tx.to_account.toLowerCase() === account) &&
+        (!params.asset || tx.asset === params.asset) &&
+        (!params.tx_type || tx.tx_type === params.tx_type)
+    );
+    if (params.sort !== 'asc') matching.reverse();
+
+    return [
+      RPCMethod.GetLedgerTransactions,
+      { ledger_transactions: matching.slice(offset, offset + limit) },
+    ];
+  }
+
+  /**
+   * Ledger transfer from the authenticated wallet; the recipient gets `tr`,
+   * both sides a `bu`.
+   * @private
+   */
+  _transfer(socket, params) {
+    const { wallet } = socket.auth;
+    if (!params.destination) throw rpcError('destination is required');
+    const destination = getAddress(params.destination);
+    const allocations = (params.allocations || []).map((allocation) => ({
+      asset: allocation.asset,
+      units: parseAmount(allocation.amount, this.options.decimals),
+    }));
+    if (allocations.length === 0 || allocations.some(({ units }) => units <= 0n)) {
+      throw rpcError('invalid transfer amount');
+    }
+
+    for (const { asset, units } of allocations) {
+      if (this._balance(wallet, wallet, asset) < units) throw rpcError(`insufficient funds: ${asset}`);
+    }
+    for (const { asset, units } of allocations) this._spendAllowance(socket, asset, units);
+
+    const transactions = allocations.map(({ asset, units }) => {
+      this._adjust(wallet, wallet, asset, -units);
+      this._adjust(destination, destination, asset, units);
+      return this._record(RPCTxType.Transfer, wallet, destination, asset, units);
+    });
+
+    this._push(destination, RPCMethod.TransferNotification, { transactions });
+    this._pushBalances(wallet);
+    this._pushBalances(destination);
+    return [RPCMethod.Transfer, { transactions }];
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // APP SESSIONS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _createAppSession(socket, params) {
+    const { wallet } = socket.auth;
+    const definition = params.definition || {};
+    const participants = (definition.participants || []).map((participant) => getAddress(participant));
+    if (participants.length < 2) throw rpcError('an app session needs at least two participants');
+
+    const allocations = this._parseAllocations(participants, params.allocations);
+    for (const { participant, asset, units } of allocations) {
+      if (units > 0n && participant !== wallet) {
+        throw rpcError(`missing signature from ${participant} for its allocation`);
+      }
+      if (this._balance(participant, participant, asset) < units) {
+        throw rpcError(`insufficient funds: ${asset}`);
+      }
+    }
+
+    const appSessionId = `0x${randomHex(32)}`;
+    for (const { participant, asset, units } of allocations) {
+      if (units === 0n) continue;
+      this._spendAllowance(socket, asset, units);
+      this._adjust(participant, participant, asset, -units);
+      this._adjust(appSessionId, participant, asset, units);
+      this._record(RPCTxType.AppDeposit, participant, appSessionId, asset, units);
+    }
+
+    const now = new Date().toISOString();
+    const appSession = {
+      app_session_id: appSessionId,
+      application: definition.application || 'clearnode',
+      status: RPCChannelStatus.Open,
+      participants,
+      protocol: definition.protocol || RPCProtocolVersion.NitroRPC_0_4,
+      challenge: definition.challenge || 0,
+      weights: definition.weights || participants.map(() => 0),
+      quorum: definition.quorum || 0,
+      version: 1,
+      nonce: definition.nonce || Date.now(),
+      created_at: now,
+      updated_at: now,
+      ...(params.session_data ? { session_data: params.session_data } : {}),
+    };
+    this.appSessions.set(appSessionId, appSession);
+
+    this._pushAppSession(appSession);
+    this._pushBalances(wallet);
+    return [RPCMethod.CreateAppSession, this._appSessionStatus(appSession)];
+  }
+
+  /**
+   * Move funds between participants. The signer needs the quorum and must
+   * send exactly the next version; the total per asset can't change.
+   * @private
+   */
+  _submitAppState(socket, params) {
+    const appSession = this._openAppSession(params.app_session_id);
+    this._requireQuorum(socket, appSession);
+    if (params.version !== appSession.version + 1) {
+      throw rpcError(
+        `incorrect version: expected ${appSession.version + 1}, got ${params.version}`
+      );
+    }
+
+    this._reallocate(appSession, params.allocations);
+    appSession.version = params.version;
+    appSession.updated_at = new Date().toISOString();
+    if (params.session_data !== undefined) appSession.session_data = params.session_data;
+
+    this._pushAppSession(appSession);
+    return [RPCMethod.SubmitAppState, this._appSessionStatus(appSession)];
+  }
+
+  /**
+   * Final allocations are paid out to the participants' ledger accounts.
+   * @private
+   */
+  _closeAppSession(socket, params) {
+    const appSession = this._openAppSession(params.app_session_id);
+    this._requireQuorum(socket, appSession);
+    this._reallocate(appSession, params.allocations);
+
+    const id = appSession.app_session_id;
+    for (const participant of appSession.participants) {
+      for (const { asset, amount } of this._ledgerBalances(id, participant)) {
+        const units = parseAmount(amount, this.options.decimals);
+        if (units === 0n) continue;
+        this._adjust(id, participant, asset, -units);
+        this._adjust(participant, participant, asset, units);
+        this._record(RPCTxType.AppWithdrawal, id, participant, asset, units);
+      }
+    }
+
+    appSession.status = RPCChannelStatus.Closed;
+    appSession.version += 1;
+    appSession.updated_at = new Date().toISOString();
+
+    this._pushAppSession(appSession);
+    for (const participant of appSession.participants) this._pushBalances(participant);
+    return [RPCMethod.CloseAppSession, this._appSessionStatus(appSession)];
+  }
+
+  /**
+   * @private
+   */
+  _getAppSessions(params) {
+    const participant = (params.participant || '').toLowerCase();
+    const appSessions = [...this.appSessions.values()].filter(
+      (appSession) =>
+        appSession.participants.some((address) => address.toLowerCase() === participant) &&
+        (!params.status || appSession.status === params.status)
+    );
+    return [RPCMethod.GetAppSessions, { app_sessions: appSessions }];
+  }
+
+  /**
+   * @private
+   */
+  _openAppSession(appSessionId) {
+    const appSession = this.appSessions.get(String(appSessionId).toLowerCase());
+    if (!appSession) throw rpcError(`app session not found: ${appSessionId}`);
+    if (appSession.status !== RPCChannelStatus.Open) {
+      throw rpcError(`app session ${appSessionId} is closed`);
+    }
+    return appSession;
+  }
+
+  /**
+   * @private
+   */
+  _requireQuorum(socket, appSession) {
+    const signer = socket.auth.wallet.toLowerCase();
+    const weight = appSession.participants.reduce(
+      (sum, participant, i) =>
+        participant.toLowerCase() === signer ? sum + (appSession.weights[i] || 0) : sum,
+      0
+    );
+    if (weight < appSession.quorum) {
+      throw rpcError('quorum not reached: signer weight is below the quorum');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseAllocations(participants, allocations = []) {
+    return allocations.map((allocation) => {
+      const participant = getAddress(allocation.participant);
+      if (!participants.includes(participant)) {
+        throw rpcError(`${participant} is not a participant`);
+      }
+      const units = parseAmount(allocation.amount, this.options.decimals);
+      if (units < 0n) throw rpcError('allocations cannot be negative');
+      return { participant, asset: allocation.asset, units };
+    });
+  }
+
+  /**
+   * Replace the session allocations; funds are only redistributed.
+   * @private
+   */
+  _reallocate(appSession, allocations) {
+    const id = appSession.app_session_id;
+    const next = this._parseAllocations(appSession.participants, allocations);
+
+    const totals = (list) =>
+      list.reduce((sum, { asset, units }) => sum.set(asset, (sum.get(asset) ?? 0n) + units), new Map());
+    const current = appSession.participants.flatMap((participant) =>
+      this._ledgerBalances(id, participant).map(({ asset, amount }) => ({
+        asset,
+        units: parseAmount(amount, this.options.decimals),
+      }))
+    );
+    const before = totals(current);
+    const after = totals(next);
+    for (const asset of new Set([...before.keys(), ...after.keys()])) {
+      if ((before.get(asset) ?? 0n) !== (after.get(asset) ?? 0n)) {
+        throw rpcError(`allocations must add up to the session funds for ${asset}`);
+      }
+    }
+
+    for (const participant of appSession.participants) {
+      for (const { asset, amount } of this._ledgerBalances(id, participant)) {
+        this._adjust(id, participant, asset, -parseAmount(amount, this.options.decimals));
+      }
+    }
+    for (const { participant, asset, units } of next) {
+      this._adjust(id, participant, asset, units);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _appSessionStatus(appSession) {
+    return {
+      app_session_id: appSession.app_session_id,
+      version: appSession.version,
+      status: appSession.status,
+    };
+  }
+
+  /**
+   * `asu` with the new state to every participant.
+   * @private
+   */
+  _pushAppSession(appSession) {
+    const id = appSession.app_session_id;
+    const participantAllocations = appSession.participants.flatMap((participant) =>
+      this._ledgerBalances(id, participant).map(({ asset, amount }) => ({
+        participant,
+        asset,
+        amount,
+      }))
+    );
+    for (const participant of appSession.participants) {
+      this._push(participant, RPCMethod.AppSessionUpdate, {
+        app_session: { ...appSession },
+        participant_allocations: participantAllocations,
+      });
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SESSION KEYS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _getSessionKeys(socket) {
+    const wallet = socket.auth.wallet.toLowerCase();
+    const sessionKeys = [...this.sessionKeys.values()]
+      .filter((key) => key.wallet.toLowerCase() === wallet && this._isKeyUsable(key))
+      .map((key) => ({
+        id: key.id,
+        session_key: key.sessionKey,
+        application: key.application,
+        allowances: key.allowances.map(({ asset, allowance, used }) => ({
+          asset,
+          allowance: toDecimalString(allowance, this.options.decimals),
+          used: toDecimalString(used, this.options.decimals),
+        })),
+        scope: key.scope,
+        expires_at: new Date(key.expiresAt).toISOString(),
+        created_at: new Date(key.createdAt).toISOString(),
+      }));
+    return [RPCMethod.GetSessionKeys, { session_keys: sessionKeys }];
+  }
+
+  /**
+   * @private
+   */
+  _revokeSessionKey(socket, params) {
+    const key = this.sessionKeys.get(String(params.session_key).toLowerCase());
+    if (!key || key.wallet !== socket.auth.wallet) {
+      throw rpcError('session key not found');
+    }
+    key.revoked = true;
+    return [RPCMethod.RevokeSessionKey, { session_key: key.sessionKey }];
+  }
+}
+
+export default ClearNodeSimulator;
@@ -0,0 +1,63 @@
+/**
+ * ReceiptStore — signed receipts of closed stream sessions (see ./receipts).
+ *
+ * One receipt per session, keyed by session id. Entries live in IndexedDB
+ * so they survive reloads; without it they are kept in memory only.
+ */
+
+import { KeyedStore } from './idb';
+
+class ReceiptStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] — pass null to force memory mode
+   */
+  constructor(options = {}) {
+    this.records = new KeyedStore('receipts', options);
+  }
+
+  /**
+   * Store a receipt, replacing any earlier one for the same session.
+   *
+   * @returns {Promise<Object>} the stored receipt
+   */
+  put(receipt) {
+    return this.records.put(receipt);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * List receipts, most recently closed first. `viewer` is looked up
+   * through its index, like the journal's `sender`.
+   *
+   * @param {Object} [filter] — { viewer, streamer, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}) {
+    const all = filter.viewer
+      ? await this.records.getAll('viewer', filter.viewer)
+      : await this.records.getAll();
+
+    const streamer = filter.streamer?.toLowerCase();
+    const receipts = all
+      .filter((r) => !streamer || r.streamer?.toLowerCase() === streamer)
+      .sort((a, b) => b.closedAt - a.closedAt);
+
+    return filter.limit ? receipts.slice(0, filter.limit) : receipts;
+  }
+
+  /**
+   * Remove every receipt.
+   */
+  clear() {
+    return this.records.clear();
+  }
+}
+
+export default ReceiptStore;
@@ -0,0 +1,231 @@
+/**
+ * SecretStore — encrypted-at-rest storage for the session key and JWT.
+ *
+ * Values are AES-GCM encrypted with a WebCrypto key that is generated as
+ * non-extractable and kept in IndexedDB: scripts can ask the browser to
+ * decrypt with it, but can never read the key material itself. Only the
+ * ciphertext lands in localStorage, so dumping localStorage (XSS, a rogue
+ * extension reading storage) no longer hands over a usable session key.
+ *
+ * Values written in plaintext by earlier versions are read once, re-written
+ * encrypted and the plaintext removed. Without WebCrypto or IndexedDB
+ * (tests, private browsing) secrets are kept in memory only — they are
+ * never persisted unencrypted.
+ */
+
+import { isIndexedDBAvailable, openDatabase, withStore } from './idb';
+import { logger, LOG_NAMESPACES } from './logger';
+
+const STORE = 'keys';
+const WRAPPING_KEY_ID = 'secret-store';
+const ENVELOPE_VERSION = 1;
+
+const log = logger.child(LOG_NAMESPACES.LOCAL);
+
+/**
+ * @private
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * @private
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encrypted envelope, or null for a legacy plaintext value.
+ * @private
+ */
+function parseEnvelope(raw) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed?.v === ENVELOPE_VERSION && parsed.iv && parsed.data) return parsed;
+  } catch {
+    /* plaintext */
+  }
+  return null;
+}
+
+class SecretStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] — pass null to force memory mode
+   * @param {Crypto|null} [options.crypto] — WebCrypto implementation
+   * @param {Storage} [options.storage] — where ciphertext is kept (default localStorage)
+   */
+  constructor(options = {}) {
+    this.factory =
+      options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB;
+    this.crypto = options.crypto !== undefined ? options.crypto : globalThis.crypto;
+    this.storage = options.storage || globalThis.localStorage;
+    this.keyPromise = null;
+    this.memory = new Map(); // fallback when encryption is unavailable
+    this.queue = Promise.resolve(); // writes are applied in call order
+  }
+
+  /**
+   * Whether values are persisted encrypted (false = memory only).
+   */
+  isPersistent() {
+    return Boolean(this.crypto?.subtle) && isIndexedDBAvailable(this.factory);
+  }
+
+  /**
+   * Read and decrypt a value. Legacy plaintext is migrated on first read.
+   *
+   * @returns {Promise<string|null>}
+   */
+  getItem(name) {
+    return this._enqueue(async () => {
+      const raw = this._readRaw(name);
+      if (raw === null) return this.memory.get(name) ?? null;
+
+      const envelope = parseEnvelope(raw);
+      if (!envelope) {
+        // Written in plaintext by an earlier version
+        await this._write(name, raw);
+        return raw;
+      }
+
+      try {
+        return await this._decrypt(envelope);
+      } catch (err) {
+        // Wrapping key lost (site data partly cleared) — the value is unusable
+        log.warn(`⚠️ Could not decrypt stored ${name}, discarding it:`, err?.message);
+        this._removeRaw(name);
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Encrypt and store a value.
+   *
+   * @returns {Promise<void>}
+   */
+  setItem(name, value) {
+    return this._enqueue(() => this._write(name, String(value)));
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  removeItem(name) {
+    return this._enqueue(async () => {
+      this.memory.delete(name);
+      this._removeRaw(name);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async _write(name, value) {
+    const key = await this._wrappingKey();
+    if (!key) {
+      this.memory.set(name, value);
+      this._removeRaw(name); // never leave plaintext behind
+      return;
+    }
+
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const data = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(value)
+    );
+    this.memory.delete(name);
+    this.storage.setItem(
+      name,
+      JSON.stringify({ v: ENVELOPE_VERSION, iv: toBase64(iv), data: toBase64(data) })
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _decrypt(envelope) {
+    const key = await this._wrappingKey();
+    if (!key) throw new Error('WebCrypto is unavailable');
+    const plain = await this.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  /**
+   * The non-extractable AES key, created on first use. Null in memory mode.
+   * @private
+   */
+  _wrappingKey() {
+    if (!this.isPersistent()) return Promise.resolve(null);
+    if (!this.keyPromise) {
+      this.keyPromise = this._loadOrCreateKey().catch((err) => {
+        log.warn('⚠️ Secret store falling back to memory:', err?.message);
+        this.factory = null;
+        return null;
+      });
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _loadOrCreateKey() {
+    const db = await openDatabase(this.factory);
+    const stored = await withStore(db, STORE, 'readonly', (store) => store.get(WRAPPING_KEY_ID));
+    if (stored?.key) return stored.key;
+
+    const key = await this.crypto.subtle.generateKey(
+      { name: 'AES-GCM', length: 256 },
+      false, // non-extractable
+      ['encrypt', 'decrypt']
+    );
+    await withStore(db, STORE, 'readwrite', (store) =>
+      store.put({ id: WRAPPING_KEY_ID, key, createdAt: Date.now() })
+    );
+    return key;
+  }
+
+  /**
+   * @private
+   */
+  _readRaw(name) {
+    try {
+      return this.storage?.getItem(name) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _removeRaw(name) {
+    try {
+      this.storage?.removeItem(name);
+    } catch {
+      /* non-critical */
+    }
+  }
+}
+
+export default SecretStore;
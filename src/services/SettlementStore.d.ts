@@ -0,0 +1,98 @@
+/**
+ * SettlementStore — TypeScript Type Definitions
+ *
+ * Persisted state machine for the on-chain payout after a session closes.
+ */
+
+import type { EndSessionResult, SessionInfo, SessionReceipt } from './YellowTokService';
+
+export const SETTLEMENT_STATUS: {
+  readonly CLOSING: 'closing';
+  readonly PENDING: 'pending';
+  readonly SUBMITTED: 'submitted';
+  readonly CONFIRMED: 'confirmed';
+  readonly FAILED: 'failed';
+};
+
+/** closing → pending → submitted → confirmed, or failed (retryable) */
+export type SettlementStatus = (typeof SETTLEMENT_STATUS)[keyof typeof SETTLEMENT_STATUS];
+
+/** One on-chain transfer of a settlement */
+export interface SettlementLeg {
+  recipient: 'streamer' | 'treasury';
+  /** Recipient address */
+  to: string;
+  /** USDC base units */
+  amount: string;
+  status: SettlementStatus;
+  /** Set once submitted; a leg with a hash is re-checked, never re-sent */
+  txHash: string | null;
+  /** Hash of the last transfer that reverted, if any */
+  revertedTxHash?: string;
+  confirmedAt?: number;
+}
+
+export interface Settlement {
+  /** Same as `sessionId` — one settlement per closed session */
+  id: string;
+  sessionId: string;
+  /** Wallet that owes the payout; only it may pay the settlement */
+  payer: string | null;
+  streamer: string;
+  treasury: string | null;
+  commissionRate: number;
+  /** Total spent in the session, USDC base units */
+  spent: string;
+  legs: SettlementLeg[];
+  status: SettlementStatus;
+  /** Runs started by the user (first run + retries) */
+  attempts: number;
+  /** Why the last run failed */
+  error?: string;
+  createdAt: number;
+  updatedAt: number;
+  confirmedAt?: number;
+}
+
+export interface SettlementTransfers {
+  /** Wallet `send` pays from; must be the settlement's payer */
+  from: string;
+  /** Submit a transfer; resolves with its tx hash */
+  send(amount: bigint, to: string): Promise<string>;
+  /** Resolve true once the tx is confirmed, false if it reverted */
+  wait(txHash: string): Promise<boolean>;
+}
+
+export interface SettleOptions {
+  /** Finishing a settlement found on load: re-check submitted legs, never send new ones */
+  resume?: boolean;
+  /** Called after every state transition */
+  onUpdate?: (settlement: Settlement) => void;
+}
+
+/** Not confirmed yet — blocks opening a new session */
+export function isUnresolved(settlement: Settlement): boolean;
+
+declare class SettlementStore {
+  /** Pass `{ indexedDB: null }` to keep settlements in memory only */
+  constructor(options?: { indexedDB?: IDBFactory | null });
+
+  /** Record the payout of a session about to close as `closing`, with what it has spent so far */
+  begin(session: SessionInfo, payer: string): Promise<Settlement>;
+  /** Record the payout for a closed session as `pending`, finishing a `closing` one (null when nothing is owed) */
+  open(closed: Pick<EndSessionResult, 'sessionId' | 'streamer' | 'treasury' | 'commissionRate'> & {
+    units: Pick<EndSessionResult['units'], 'spent' | 'streamerReceives' | 'commission'>;
+  }, payer?: string): Promise<Settlement | null>;
+  /** Finish a settlement a reload left `closing`, from the session's receipt when there is one */
+  finishClosing(id: string, receipt?: SessionReceipt | null): Promise<Settlement | null>;
+  /** Forget a `closing` settlement whose session stayed open */
+  discard(id: string): Promise<void>;
+  /** Drive a settlement to `confirmed` or `failed`; call again to retry. Rejects with WRONG_PAYER unless `transfers.from` is the payer */
+  settle(id: string, transfers: SettlementTransfers, options?: SettleOptions): Promise<Settlement | null>;
+  get(id: string): Promise<Settlement | null>;
+  /** Newest first */
+  list(filter?: { payer?: string; status?: SettlementStatus; unresolved?: boolean; limit?: number }): Promise<Settlement[]>;
+  clear(): Promise<void>;
+}
+
+export default SettlementStore;
@@ -0,0 +1,332 @@
+/**
+ * SettlementStore — durable state machine for the on-chain payout that
+ * follows a closed stream session.
+ *
+ * Closing the app session on ClearNode and paying out on-chain are two
+ * steps; a failed transfer or a closed tab in between used to leave no
+ * trace. A settlement is written as `closing` (with the session's amounts
+ * so far) BEFORE the session is closed, becomes `pending` with the final
+ * amounts once it has, moves to `submitted` as soon as a transaction hash
+ * exists, and ends as `confirmed` or `failed`:
+ *
+ *   closing → pending → submitted → confirmed
+ *                │          │
+ *                └──────────┴────→ failed ──(retry)──→ submitted → …
+ *
+ * A settlement left `closing` by a reload is finished from the session's
+ * receipt, or from the amounts recorded before the close when there is no
+ * receipt (see `finishClosing`).
+ *
+ * Each settlement has one leg per recipient (the streamer and, when a
+ * commission was taken, the treasury). Legs that already have a hash are
+ * only ever re-checked, never re-sent, so resuming or retrying cannot pay
+ * twice. A settlement records the wallet that owes it (`payer`) and is only
+ * ever paid from that wallet. Entries live in IndexedDB; without it they are
+ * kept in memory.
+ */
+
+import { KeyedStore } from './idb';
+import { logger, LOG_NAMESPACES } from './logger';
+import { SettlementError, toYellowTokError, ERROR_CODES } from './errors';
+import { parseAmount } from './money';
+
+const log = logger.child(LOG_NAMESPACES.SETTLEMENT);
+
+export const SETTLEMENT_STATUS = Object.freeze({
+  CLOSING: 'closing', // recorded before the session closed; amounts not final yet
+  PENDING: 'pending', // recorded, nothing submitted yet
+  SUBMITTED: 'submitted', // a transfer is on its way, waiting for the receipt
+  CONFIRMED: 'confirmed', // every leg confirmed on-chain
+  FAILED: 'failed', // a leg failed or was interrupted; can be retried
+});
+
+/** Settlements that must be finished before another session opens */
+export function isUnresolved(settlement) {
+  return settlement.status !== SETTLEMENT_STATUS.CONFIRMED;
+}
+
+/**
+ * Whether `address` is the wallet that owes the settlement.
+ * @private
+ */
+function isPayer(settlement, address) {
+  return Boolean(address && settlement.payer?.toLowerCase() === address.toLowerCase());
+}
+
+class SettlementStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] — pass null to force memory mode
+   */
+  constructor(options = {}) {
+    this.records = new KeyedStore('settlements', options);
+    this.running = new Map(); // id → settle() in flight, so a leg is never sent twice
+  }
+
+  /**
+   * Record the payout of a session about to be closed as `closing`, with
+   * what it has spent so far. Call before `endStreamSession()`, then
+   * `open()` with its result.
+   *
+   * @param {Object} session — `getSessionInfo()` of the open session
+   * @param {string} payer — the viewer's wallet, which pays the settlement
+   * @returns {Promise<Object>} the settlement
+   */
+  async begin(session, payer) {
+    const existing = await this.get(session.sessionId);
+    if (existing && existing.status !== SETTLEMENT_STATUS.CLOSING) return existing;
+
+    const { spent, commission } = session.units;
+    const settlement = this._build(
+      { ...session, units: { spent, commission, streamerReceives: spent - commission } },
+      SETTLEMENT_STATUS.CLOSING,
+      existing,
+      payer
+    );
+    await this.records.put(settlement);
+    return settlement;
+  }
+
+  /**
+   * Record the payout owed for a closed session as `pending`, before any
+   * transfer; a `closing` settlement takes the final amounts. Calling it
+   * again for the same session returns the existing settlement.
+   *
+   * @param {Object} closed — result of `endStreamSession()`
+   * @param {string} [payer] — the viewer's wallet; a `closing` settlement keeps its own
+   * @returns {Promise<Object|null>} the settlement, or null when nothing was spent
+   */
+  async open(closed, payer) {
+    const existing = await this.get(closed.sessionId);
+    if (existing && existing.status !== SETTLEMENT_STATUS.CLOSING) return existing;
+
+    const settlement = this._build(closed, SETTLEMENT_STATUS.PENDING, existing, payer);
+    if (settlement.legs.length === 0) {
+      if (existing) await this.records.delete(existing.id);
+      return null;
+    }
+    await this.records.put(settlement);
+    return settlement;
+  }
+
+  /**
+   * Finish a settlement a reload left `closing`: with the amounts of the
+   * session's signed receipt when it did close, otherwise with the amounts
+   * recorded before the close.
+   *
+   * @param {string} id
+   * @param {Object|null} [receipt] — the session's receipt (see ./receipts), if any
+   * @returns {Promise<Object|null>} the settlement, or null when nothing is owed
+   */
+  async finishClosing(id, receipt = null) {
+    const existing = await this.get(id);
+    if (existing?.status !== SETTLEMENT_STATUS.CLOSING) return existing;
+
+    if (receipt) {
+      const units = (amount) => parseAmount(amount, receipt.decimals);
+      return this.open({
+        sessionId: receipt.sessionId,
+        streamer: receipt.streamer,
+        treasury: receipt.treasury,
+        commissionRate: receipt.commissionRate,
+        units: {
+          spent: units(receipt.spent),
+          streamerReceives: units(receipt.streamerReceives),
+          commission: units(receipt.commission),
+        },
+      });
+    }
+
+    if (existing.legs.length === 0) {
+      await this.records.delete(id);
+      return null;
+    }
+    return this._update(id, { status: SETTLEMENT_STATUS.PENDING });
+  }
+
+  /**
+   * Forget a `closing` settlement whose session stayed open (the close was
+   * refused). Settlements past `closing` are kept.
+   *
+   * @param {string} id
+   */
+  async discard(id) {
+    const existing = await this.get(id);
+    if (existing?.status === SETTLEMENT_STATUS.CLOSING) await this.records.delete(id);
+  }
+
+  /**
+   * Drive a settlement to `confirmed` or `failed`. Legs without a hash are
+   * sent with `transfers.send`; legs with one are only checked with
+   * `transfers.wait`. Safe to call again on a failed settlement (retry).
+   *
+   * With `resume`, legs left unsent by an interrupted page are not sent:
+   * the wallet may already have broadcast them, so the settlement fails
+   * and waits for the user to check and retry.
+   *
+   * Rejects with WRONG_PAYER, sending nothing, unless `transfers.from` is
+   * the settlement's payer.
+   *
+   * @param {string} id — settlement (= session) id
+   * @param {Object} transfers
+   * @param {string} transfers.from — the wallet `send` pays from
+   * @param {(amount: bigint, to: string) => Promise<string>} transfers.send — submits, resolves with the tx hash
+   * @param {(txHash: string) => Promise<boolean>} transfers.wait — resolves true once confirmed, false if reverted
+   * @param {Object} [options]
+   * @param {boolean} [options.resume] — finishing a settlement found on load
+   * @param {(settlement: Object) => void} [options.onUpdate] — called after every transition
+   * @returns {Promise<Object|null>} the settlement, or null if unknown
+   */
+  settle(id, transfers, options = {}) {
+    if (!this.running.has(id)) {
+      const run = this._settle(id, transfers, options).finally(() => this.running.delete(id));
+      this.running.set(id, run);
+    }
+    return this.running.get(id);
+  }
+
+  /**
+   * @private
+   */
+  async _settle(id, transfers, { resume = false, onUpdate } = {}) {
+    let settlement = await this.get(id);
+    if (!settlement || settlement.status === SETTLEMENT_STATUS.CONFIRMED) return settlement;
+    if (!isPayer(settlement, transfers.from)) {
+      throw new SettlementError(`Settlement ${id} is owed by another wallet`, {
+        code: ERROR_CODES.WRONG_PAYER,
+        details: { settlementId: id, payer: settlement.payer ?? null },
+      });
+    }
+    // Nothing is paid before the session has closed and `open()` fixed the amounts
+    if (settlement.status === SETTLEMENT_STATUS.CLOSING) return settlement;
+    // Failed settlements wait for the user to retry
+    if (resume && settlement.status === SETTLEMENT_STATUS.FAILED) return settlement;
+
+    const save = async (patch) => {
+      settlement = await this._update(id, patch);
+      onUpdate?.(settlement);
+    };
+    const saveLeg = (index, patch) =>
+      save({ legs: settlement.legs.map((leg, i) => (i === index ? { ...leg, ...patch } : leg)) });
+
+    if (!resume) await save({ attempts: settlement.attempts + 1, error: undefined });
+
+    for (let index = 0; index < settlement.legs.length; index++) {
+      const leg = settlement.legs[index];
+      if (leg.status === SETTLEMENT_STATUS.CONFIRMED) continue;
+
+      if (!leg.txHash && resume) {
+        await saveLeg(index, { status: SETTLEMENT_STATUS.FAILED });
+        await save({
+          status: SETTLEMENT_STATUS.FAILED,
+          error: 'Interrupted before the transfer was submitted. Check your wallet activity, then retry.',
+        });
+        log.warn(`⚠️ Settlement ${id} was interrupted before its ${leg.recipient} transfer`);
+        return settlement;
+      }
+
+      try {
+        let txHash = leg.txHash;
+        if (!txHash) {
+          txHash = await transfers.send(BigInt(leg.amount), leg.to);
+          await saveLeg(index, { status: SETTLEMENT_STATUS.SUBMITTED, txHash });
+          await save({ status: SETTLEMENT_STATUS.SUBMITTED });
+          log.info(`📝 ${leg.recipient} transfer submitted: ${txHash}`);
+        }
+
+        if (await transfers.wait(txHash)) {
+          await saveLeg(index, { status: SETTLEMENT_STATUS.CONFIRMED, confirmedAt: Date.now() });
+          log.info(`✅ ${leg.recipient} transfer confirmed: ${txHash}`);
+        } else {
+          // A reverted transfer moved nothing, so the retry sends a new one
+          await saveLeg(index, { status: SETTLEMENT_STATUS.FAILED, txHash: null, revertedTxHash: txHash });
+          throw new SettlementError(`The ${leg.recipient} transfer ${txHash} was reverted`);
+        }
+      } catch (err) {
+        const error = toYellowTokError(err, 'Settlement transfer failed');
+        // A submitted leg keeps its hash: the retry re-checks it instead of paying twice
+        if (!settlement.legs[index].txHash) {
+          await saveLeg(index, { status: SETTLEMENT_STATUS.FAILED });
+        }
+        await save({ status: SETTLEMENT_STATUS.FAILED, error: error.message });
+        log.error(`❌ Settlement ${id} failed (${leg.recipient}):`, error);
+        return settlement;
+      }
+    }
+
+    await save({ status: SETTLEMENT_STATUS.CONFIRMED, confirmedAt: Date.now(), error: undefined });
+    return settlement;
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * List settlements, newest first.
+   *
+   * @param {Object} [filter] — { payer, status, unresolved, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}) {
+    const settlements = (await this.records.getAll())
+      .filter((s) => !filter.payer || isPayer(s, filter.payer))
+      .filter((s) => !filter.status || s.status === filter.status)
+      .filter((s) => !filter.unresolved || isUnresolved(s))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return filter.limit ? settlements.slice(0, filter.limit) : settlements;
+  }
+
+  /**
+   * Remove every settlement.
+   */
+  clear() {
+    return this.records.clear();
+  }
+
+  /**
+   * One leg per recipient owed something; `existing` keeps its creation
+   * time and payer.
+   * @private
+   */
+  _build(closed, status, existing, payer) {
+    const { streamerReceives, commission } = closed.units;
+    const legs = [];
+    if (streamerReceives > 0n) {
+      legs.push({ recipient: 'streamer', to: closed.streamer, amount: streamerReceives.toString() });
+    }
+    if (closed.treasury && commission > 0n) {
+      legs.push({ recipient: 'treasury', to: closed.treasury, amount: commission.toString() });
+    }
+
+    const now = Date.now();
+    return {
+      id: closed.sessionId,
+      sessionId: closed.sessionId,
+      payer: existing?.payer ?? payer ?? null,
+      streamer: closed.streamer,
+      treasury: closed.treasury,
+      commissionRate: closed.commissionRate,
+      spent: closed.units.spent.toString(),
+      legs: legs.map((leg) => ({ ...leg, status: SETTLEMENT_STATUS.PENDING, txHash: null })),
+      status,
+      attempts: 0,
+      createdAt: existing?.createdAt ?? now,
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _update(id, patch) {
+    const updated = { ...(await this.get(id)), ...patch, id, updatedAt: Date.now() };
+    return this.records.put(updated);
+  }
+}
+
+export default SettlementStore;
@@ -0,0 +1,337 @@
+/**
+ * SpendPolicy — spending rules checked before every tip.
+ *
+ * Rules (all optional, null = no limit):
+ * - perSession: cap on what one stream session may spend
+ * - perDay: cap on everything tipped today (local calendar day)
+ * - perStreamerPerDay: cap on what one streamer may receive today
+ * - maxTipsPerMinute: rate limit over a sliding 60 s window, counted in
+ *   transfers — taps combined into one transfer count once
+ * - confirmAbove: single tips above this need an explicit confirmation
+ *
+ * Amounts are whole tokens like `spendAllowance` ("25", 2.5). Today's
+ * totals and the recent tip times are kept per sending wallet, in
+ * localStorage so a reload does not reset them; they roll over at local
+ * midnight. Usage checked without a wallet is kept in memory only.
+ *
+ * `evaluate()` never throws on a violation: it returns a structured check
+ * the UI can render, and the service turns it into an error in sendTip.
+ */
+
+import { parseAmount, toDecimalString, formatAmount, percentOf } from './money';
+import { ValidationError, ERROR_CODES } from './errors';
+
+export const POLICY_RULES = Object.freeze({
+  SESSION_CAP: 'session_cap',
+  DAILY_CAP: 'daily_cap',
+  STREAMER_CAP: 'streamer_cap',
+  RATE_LIMIT: 'rate_limit',
+});
+
+const STORAGE_KEY = 'yellowtok_spend_usage';
+const RATE_WINDOW = 60 * 1000; // ms
+const DEFAULT_WARN_AT = 90; // percent of a cap
+
+/**
+ * Local calendar day, e.g. "2026-03-14".
+ * @private
+ */
+function dayKey(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * @private
+ */
+function nextMidnight(time) {
+  const date = new Date(time);
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+class SpendPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.rules] — see the module comment
+   * @param {number} [options.decimals] — asset decimals (default 6)
+   * @param {Storage|null} [options.storage] — default localStorage; null keeps usage in memory
+   * @param {() => number} [options.now] — clock, for tests
+   */
+  constructor(options = {}) {
+    this.decimals = options.decimals ?? 6;
+    this.storage =
+      options.storage !== undefined ? options.storage : globalThis.localStorage ?? null;
+    this.now = options.now || (() => Date.now());
+    this.setRules(options.rules);
+    this.usageByAccount = new Map(); // lowercased sender → usage ('' = no wallet)
+  }
+
+  /**
+   * Replace the rules. Invalid amounts throw INVALID_AMOUNT.
+   *
+   * @param {Object|null} [rules] — null clears every rule
+   */
+  setRules(rules) {
+    rules = rules ?? {};
+    const units = (value) =>
+      value === null || value === undefined || value === '' ? null : this._positive(value);
+    const maxTipsPerMinute = rules.maxTipsPerMinute ?? null;
+    if (maxTipsPerMinute !== null && !(Number.isInteger(maxTipsPerMinute) && maxTipsPerMinute > 0)) {
+      throw new ValidationError(`Invalid tips per minute: ${maxTipsPerMinute}`, {
+        code: ERROR_CODES.INVALID_ARGUMENT,
+      });
+    }
+
+    this.rules = {
+      perSession: units(rules.perSession),
+      perDay: units(rules.perDay),
+      perStreamerPerDay: units(rules.perStreamerPerDay),
+      maxTipsPerMinute,
+      confirmAbove: units(rules.confirmAbove),
+      warnAt: rules.warnAt ?? DEFAULT_WARN_AT,
+    };
+  }
+
+  /**
+   * The rules with amounts as decimal strings (null = no limit).
+   */
+  getRules() {
+    const decimal = (units) => (units === null ? null : toDecimalString(units, this.decimals));
+    const { perSession, perDay, perStreamerPerDay, maxTipsPerMinute, confirmAbove, warnAt } =
+      this.rules;
+    return {
+      perSession: decimal(perSession),
+      perDay: decimal(perDay),
+      perStreamerPerDay: decimal(perStreamerPerDay),
+      maxTipsPerMinute,
+      confirmAbove: decimal(confirmAbove),
+      warnAt,
+    };
+  }
+
+  /**
+   * Check a tip against every rule.
+   *
+   * @param {Object} tip
+   * @param {bigint} tip.amount — asset units
+   * @param {string} tip.streamer
+   * @param {bigint} [tip.sessionSpent] — spent + pending in the tip's session
+   * @param {string} [tip.sender] — wallet whose usage counts
+   * @param {boolean} [tip.joinsTransfer] — rides on a transfer already counted
+   *   against the rate limit, so only the caps apply
+   * @returns {Object} { allowed, requiresConfirmation, violations, warnings, usage }
+   */
+  evaluate({ amount, streamer, sessionSpent = 0n, sender, joinsTransfer = false }) {
+    const now = this.now();
+    const usage = this._usage(sender, now);
+
+    const { perSession, perDay, perStreamerPerDay, maxTipsPerMinute, confirmAbove, warnAt } =
+      this.rules;
+    const daySpent = BigInt(usage.total);
+    const streamerSpent = BigInt(usage.byStreamer[streamer.toLowerCase()] || '0');
+    const recent = usage.recent;
+
+    const violations = [];
+    const warnings = [];
+    const cap = (rule, label, limit, used) => {
+      if (limit === null) return;
+      if (used + amount > limit) {
+        const left = limit > used ? limit - used : 0n;
+        violations.push({
+          rule,
+          limit,
+          used,
+          attempted: amount,
+          message: `${label} of $${this._format(limit)} reached ($${this._format(left)} left)`,
+        });
+        return;
+      }
+      const percentUsed = percentOf(used + amount, limit);
+      if (percentUsed >= warnAt) {
+        warnings.push({
+          rule,
+          percentUsed,
+          message: `${percentUsed.toFixed(0)}% of your ${label.toLowerCase()} used`,
+        });
+      }
+    };
+
+    cap(POLICY_RULES.SESSION_CAP, 'Session limit', perSession, sessionSpent);
+    cap(POLICY_RULES.DAILY_CAP, 'Daily limit', perDay, daySpent);
+    cap(POLICY_RULES.STREAMER_CAP, 'Daily limit for this streamer', perStreamerPerDay, streamerSpent);
+
+    if (maxTipsPerMinute !== null && !joinsTransfer && recent.length >= maxTipsPerMinute) {
+      // The tip may go once enough of the window's oldest tips have aged out
+      const retryAfter = recent[recent.length - maxTipsPerMinute] + RATE_WINDOW - now;
+      violations.push({
+        rule: POLICY_RULES.RATE_LIMIT,
+        limit: maxTipsPerMinute,
+        used: recent.length,
+        retryAfter,
+        message: `Slow down: at most ${maxTipsPerMinute} tips per minute (try again in ${Math.ceil(retryAfter / 1000)}s)`,
+      });
+    }
+
+    return {
+      allowed: violations.length === 0,
+      requiresConfirmation: confirmAbove !== null && amount > confirmAbove,
+      violations,
+      warnings,
+      usage: {
+        session: { used: sessionSpent, limit: perSession },
+        daily: { used: daySpent, limit: perDay, resetsAt: nextMidnight(now) },
+        streamer: { used: streamerSpent, limit: perStreamerPerDay },
+        rate: { count: recent.length, limit: maxTipsPerMinute },
+      },
+    };
+  }
+
+  /**
+   * Count a tip that passed `evaluate()` against the sender's totals for
+   * today and rate window.
+   *
+   * @param {string} streamer
+   * @param {bigint} amount
+   * @param {string} [sender]
+   * @param {Object} [options] — { joinsTransfer }, as for `evaluate()`
+   * @returns {Object} token for `release()`
+   */
+  record(streamer, amount, sender, { joinsTransfer = false } = {}) {
+    const now = this.now();
+    const usage = this._usage(sender, now);
+
+    const key = streamer.toLowerCase();
+    const byStreamer = BigInt(usage.byStreamer[key] || '0') + amount;
+    usage.total = (BigInt(usage.total) + amount).toString();
+    usage.byStreamer[key] = byStreamer.toString();
+    if (!joinsTransfer) usage.recent.push(now);
+    this._save(sender);
+
+    return { sender, day: usage.day, streamer: key, amount, at: joinsTransfer ? null : now };
+  }
+
+  /**
+   * Undo `record()` for a tip that was never applied (rejected, dropped).
+   *
+   * @param {Object} token — from `record()`
+   */
+  release(token) {
+    const usage = this._usage(token.sender, this.now());
+    if (token.day === usage.day) {
+      const byStreamer = BigInt(usage.byStreamer[token.streamer] || '0') - token.amount;
+      const total = BigInt(usage.total) - token.amount;
+      usage.total = (total > 0n ? total : 0n).toString();
+      usage.byStreamer[token.streamer] = (byStreamer > 0n ? byStreamer : 0n).toString();
+    }
+    const index = token.at === null ? -1 : usage.recent.indexOf(token.at);
+    if (index !== -1) usage.recent.splice(index, 1);
+    this._save(token.sender);
+  }
+
+  /**
+   * Forget a sender's totals for today and rate window.
+   *
+   * @param {string} [sender]
+   */
+  reset(sender) {
+    this.usageByAccount.set(this._account(sender), this._empty(this.now()));
+    this._save(sender);
+  }
+
+  /**
+   * @private
+   */
+  _positive(value) {
+    const units = parseAmount(value, this.decimals);
+    if (units <= 0n) {
+      throw new ValidationError(`Limit must be greater than 0: ${value}`, {
+        code: ERROR_CODES.INVALID_AMOUNT,
+      });
+    }
+    return units;
+  }
+
+  /**
+   * @private
+   */
+  _format(units) {
+    return formatAmount(units, this.decimals);
+  }
+
+  /**
+   * @private
+   */
+  _empty(now) {
+    return { day: dayKey(now), total: '0', byStreamer: {}, recent: [] };
+  }
+
+  /**
+   * @private
+   */
+  _account(sender) {
+    return sender ? sender.toLowerCase() : '';
+  }
+
+  /**
+   * Storage key of a sender's usage; none without a wallet.
+   * @private
+   */
+  _storageKey(sender) {
+    const account = this._account(sender);
+    return account ? `${STORAGE_KEY}:${account}` : null;
+  }
+
+  /**
+   * The sender's usage, loaded on first use and rolled to `now`: a new day
+   * resets the totals, tip times older than the rate window are dropped.
+   * @private
+   */
+  _usage(sender, now) {
+    const account = this._account(sender);
+    let usage = this.usageByAccount.get(account) ?? this._load(sender, now);
+    if (usage.day !== dayKey(now)) {
+      usage = { ...this._empty(now), recent: usage.recent };
+    }
+    usage.recent = usage.recent.filter((at) => at > now - RATE_WINDOW);
+    this.usageByAccount.set(account, usage);
+    return usage;
+  }
+
+  /**
+   * @private
+   */
+  _load(sender, now) {
+    const key = this._storageKey(sender);
+    try {
+      const stored = key && JSON.parse(this.storage?.getItem(key) ?? 'null');
+      if (stored && typeof stored.day === 'string' && Array.isArray(stored.recent)) {
+        return {
+          day: stored.day,
+          total: String(stored.total ?? '0'),
+          byStreamer: { ...stored.byStreamer },
+          recent: stored.recent.filter(Number.isFinite),
+        };
+      }
+    } catch {
+      /* corrupt entry — start over */
+    }
+    return this._empty(now);
+  }
+
+  /**
+   * @private
+   */
+  _save(sender) {
+    const key = this._storageKey(sender);
+    if (!key) return;
+    try {
+      this.storage?.setItem(key, JSON.stringify(this.usageByAccount.get(this._account(sender))));
+    } catch {
+      /* storage full or blocked — usage stays in memory */
+    }
+  }
+}
+
+export default SpendPolicy;
@@ -0,0 +1,111 @@
+/**
+ * TipJournal — durable record of every tip sent through YellowTokService.
+ *
+ * Each tip is written as `pending` BEFORE it goes to ClearNode and moves to
+ * `confirmed` or `failed` once ClearNode answers. Tips made while offline
+ * start as `queued` and become `pending` when flushed, or `dropped` if the
+ * session ends first. Entries live in IndexedDB
+ * so they survive reloads; after a reconnect the service reconciles entries
+ * still marked `pending` against the ClearNode ledger instead of re-sending
+ * them. Without IndexedDB (tests, private browsing) entries are kept in
+ * memory only.
+ */
+
+import { KeyedStore } from './idb';
+
+export const TIP_STATUS = Object.freeze({
+  QUEUED: 'queued', // made while offline, waiting for the connection
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  DROPPED: 'dropped', // never sent: session ended before the queue flushed
+});
+
+/**
+ * Idempotency key for a tip. Stable for the lifetime of the entry, so the
+ * same tip is never journaled (or reconciled) twice.
+ */
+export function createTipId() {
+  if (globalThis.crypto?.randomUUID) {
+    return `tip_${globalThis.crypto.randomUUID()}`;
+  }
+  return `tip_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+class TipJournal {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] — pass null to force memory mode
+   */
+  constructor(options = {}) {
+    this.records = new KeyedStore('tips', options);
+  }
+
+  /**
+   * Add a new entry. `id`, `createdAt`, `updatedAt` and `status` are filled
+   * in when missing.
+   *
+   * @returns {Promise<Object>} the stored entry
+   */
+  async record(entry) {
+    const now = Date.now();
+    const stored = {
+      id: entry.id || createTipId(),
+      status: TIP_STATUS.PENDING,
+      createdAt: now,
+      ...entry,
+      updatedAt: now,
+    };
+    return this.records.put(stored);
+  }
+
+  /**
+   * Merge `patch` into an existing entry.
+   *
+   * @returns {Promise<Object|null>} the updated entry, or null if unknown
+   */
+  async update(id, patch) {
+    const existing = await this.get(id);
+    if (!existing) return null;
+    const updated = { ...existing, ...patch, id, updatedAt: Date.now() };
+    return this.records.put(updated);
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * List entries, newest first. `sender` is looked up through its index, so
+   * one wallet's history never loads another's from a shared browser.
+   *
+   * @param {Object} [filter] — { sender, status, sessionId, streamer, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async list(filter = {}) {
+    const all = filter.sender
+      ? await this.records.getAll('sender', filter.sender)
+      : await this.records.getAll();
+
+    const streamer = filter.streamer?.toLowerCase();
+    const entries = all
+      .filter((e) => !filter.status || e.status === filter.status)
+      .filter((e) => !filter.sessionId || e.sessionId === filter.sessionId)
+      .filter((e) => !streamer || e.streamer?.toLowerCase() === streamer)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return filter.limit ? entries.slice(0, filter.limit) : entries;
+  }
+
+  /**
+   * Remove every entry.
+   */
+  clear() {
+    return this.records.clear();
+  }
+}
+
+export default TipJournal;
@@ -4,6 +4,8 @@
  * Use these types for better IDE support and type safety
  */
 
+import type Logger from './logger';
+
 // ============================================================================
 // Configuration Types
 // ============================================================================
@@ -15,30 +17,85 @@ export interface YellowTokConfig {
     standardCommission?: number;
     /** Commission rate for partner streamers (default: 3) */
     partnerCommission?: number;
+    /** Platform treasury that receives the commission; without one, no commission is taken. Throws ConfigError when not an address */
+    treasuryAddress?: string | null;
     /** Default asset to use (default: 'ytest.usd') */
     defaultAsset?: string;
     /** Asset decimal places (default: 6) */
     assetDecimals?: number;
+    /** Session key allowance in whole tokens — the user's spend limit (default: '10000') */
+    spendAllowance?: number | string;
+    /** Session key lifetime registered with ClearNode, in seconds (default: 3600) */
+    sessionDuration?: number;
+    /** How long before the session key expires to emit `onSessionKeyExpiring`, in ms (default: 300000) */
+    renewBeforeExpiry?: number;
+    /** How long to wait for a ClearNode reply before failing, in ms (default: 15000) */
+    requestTimeout?: number;
+    /** Ping ClearNode after this long without traffic, in ms (default: 15000; 0 disables) */
+    heartbeatInterval?: number;
+    /** Drop the socket when no pong arrives within this, in ms (default: 10000) */
+    heartbeatTimeout?: number;
+    /** Compare open sessions with the ClearNode ledger this often, in ms (default: 60000; 0 disables) */
+    balanceCheckInterval?: number;
+    /** Received tips kept in memory for `getReceivedTips` (default: 100) */
+    receivedTipsLimit?: number;
+    /** Ledger transactions fetched per request by `getTransactionHistory` (default: 100) */
+    historyPageSize?: number;
+    /** How long taps sent with `{ aggregate: true }` are collected into one transfer, in ms (default: 250) */
+    aggregationWindow?: number;
+    /** Retry policy after the connection drops */
+    reconnect?: Partial<ReconnectPolicy>;
+    /** Tip journal to use (default: IndexedDB-backed TipJournal) */
+    journal?: TipJournalStore;
+    /** Where the session key and JWT are kept (default: WebCrypto-encrypted SecretStore) */
+    secretStore?: SecretStorage;
+    /** Where session receipts are kept (default: IndexedDB-backed ReceiptStore) */
+    receiptStore?: ReceiptStorage;
+    /** Caps, rate limit and confirmation threshold checked before every tip (default: none) */
+    spendPolicy?: SpendPolicyRules | null;
+    /** Where each wallet's spend totals for today are kept (default: localStorage; null = memory only) */
+    policyStorage?: Storage | null;
+    /** Opens the ClearNode socket (default: `new WebSocket(url)`; see ClearNodeSimulator) */
+    transport?: ClearNodeTransport;
+    /** Leveled, redacting logger (default: the shared `logger` from ./logger) */
+    logger?: Logger;
   }
   
+  export interface ReconnectPolicy {
+    /** Attempts before giving up (default: 5; Infinity = never) */
+    maxAttempts: number;
+    /** First delay in ms, doubled every attempt (default: 1000) */
+    baseDelay: number;
+    /** Longest delay between attempts in ms (default: 30000) */
+    maxDelay: number;
+    /** Fraction of the delay randomly removed, 0–1 (default: 0.2) */
+    jitter: number;
+  }
+
   // ============================================================================
   // Session Types
   // ============================================================================
   
   export interface StreamSession {
-    /** Unique session identifier */
+    /** Unique session identifier (the ClearNode app session id) */
     sessionId: string;
     /** Ethereum address of the streamer */
     streamerAddress: string;
     /** Ethereum address of the viewer */
     viewerAddress: string;
-    /** Initial deposit amount in dollars */
-    initialDeposit: number;
-    /** Current available balance in dollars */
-    currentBalance: number;
-    /** Total amount spent in this session */
-    spent: number;
-    /** Commission rate for this session (3 or 10) */
+    /** Platform treasury receiving the commission (null = none configured) */
+    treasuryAddress: string | null;
+    /** Initial deposit in asset units */
+    initialDeposit: bigint;
+    /** Current available balance in asset units */
+    currentBalance: bigint;
+    /** Total amount spent in this session, in asset units */
+    spent: bigint;
+    /** Part of `spent` allocated to the treasury, in asset units */
+    commission: bigint;
+    /** Tips sent or queued but not yet confirmed, in asset units */
+    pendingAmount: bigint;
+    /** Commission rate for this session (3 or 10; 0 without a treasury) */
     commissionRate: number;
     /** Whether this is a partner streamer */
     isPartner: boolean;
@@ -46,18 +103,28 @@ export interface YellowTokConfig {
     createdAt: number;
     /** Session status */
     status: 'pending' | 'active' | 'closed';
-    /** Yellow Network session ID from ClearNode */
-    clearnodeSessionId?: string;
+    /** Yellow Network app session ID from ClearNode */
+    clearnodeSessionId: string;
     /** Session end timestamp (if closed) */
     closedAt?: number;
-    /** Application definition for state channel */
+    /** Application definition for the app session */
     appDefinition: AppDefinition;
-    /** Initial allocations */
+    /** Latest accepted allocations: viewer, streamer, then treasury (if any) */
     allocations: Allocation[];
+    /** Version of the last app state ClearNode accepted */
+    version: number;
+    /** Set when an update's outcome is unknown; resolved before the next one */
+    needsSync?: boolean;
+    /** Viewer allocation according to the ClearNode ledger (null = not checked yet) */
+    verifiedBalance: bigint | null;
+    /** When `verifiedBalance` was read (ms) */
+    verifiedAt: number | null;
   }
   
   export interface AppDefinition {
-    /** Protocol identifier */
+    /** Application name registered with ClearNode */
+    application: string;
+    /** Protocol identifier (e.g., 'NitroRPC/0.4') */
     protocol: string;
     /** Participant addresses */
     participants: string[];
@@ -69,13 +136,14 @@ export interface YellowTokConfig {
     challenge: number;
     /** Unique nonce */
     nonce: number;
-    /** Custom metadata */
+    /** Custom metadata, sent to ClearNode as `session_data` */
     metadata?: {
       sessionType: string;
       commissionRate: number;
       isPartner: boolean;
       streamerId: string;
       viewerId: string;
+      treasuryId: string | null;
       timestamp: string;
     };
   }
@@ -107,6 +175,17 @@ export interface YellowTokConfig {
     address?: string;
     /** Error message if failed */
     error?: string;
+    /** Stable code of the failure */
+    code?: ErrorCode;
+    /** Whether calling `initialize` again may succeed */
+    retryable?: boolean;
+    /** True when the AbortSignal cancelled initialization */
+    aborted?: boolean;
+  }
+
+  export interface InitializeOptions {
+    /** Abort to stop waiting for the wallet signature or a hung connection */
+    signal?: AbortSignal;
   }
   
   export interface CreateSessionResult {
@@ -125,16 +204,34 @@ export interface YellowTokConfig {
   export interface SendTipResult {
     /** Whether tip was sent successfully */
     success: boolean;
-    /** Tip amount in dollars */
+    /** Journal id (idempotency key) of the tip */
+    tipId: string;
+    /** Tip amount in dollars (display only) */
     tipAmount: number;
+    /** Exact tip amount in asset units */
+    tipUnits: bigint;
     /** Commission amount in dollars */
     commission: number;
     /** Amount creator receives after commission */
     creatorReceives: number;
+    /** Exact commission sent to the treasury, in asset units */
+    commissionUnits: bigint;
+    /** Exact amount sent to the streamer, in asset units */
+    creatorUnits: bigint;
+    /** Treasury the commission went to (null = none configured) */
+    treasury: string | null;
     /** Remaining balance after tip */
     remainingBalance: number;
     /** Total spent in this session */
     totalSpent: number;
+    /** App session the tip was submitted to */
+    sessionId: string;
+    /** App state version that carries the tip */
+    version: number;
+    /** Journal id of the combined transfer this tip went out in (aggregated taps only) */
+    transferId?: string;
+    /** Taps in that combined transfer */
+    transferSize?: number;
   }
   
   export interface EndSessionResult {
@@ -142,6 +239,8 @@ export interface YellowTokConfig {
     success: boolean;
     /** Session identifier */
     sessionId: string;
+    /** Streamer the session was with */
+    streamer: string;
     /** Session duration in milliseconds */
     duration: number;
     /** Total amount deposited */
@@ -152,6 +251,21 @@ export interface YellowTokConfig {
     unusedBalance: number;
     /** Commission rate used */
     commissionRate: number;
+    /** Part of `totalSpent` paid to the streamer */
+    streamerReceives: number;
+    /** Part of `totalSpent` paid to the treasury */
+    totalCommission: number;
+    /** Treasury the commission went to (null = none configured) */
+    treasury: string | null;
+    /** The same split as exact asset units — use these for settlement */
+    units: {
+      spent: bigint;
+      streamerReceives: bigint;
+      commission: bigint;
+      unused: bigint;
+    };
+    /** Signed receipt of the session (null if it could not be issued) */
+    receipt: SessionReceipt | null;
   }
   
   export interface SpendingLimitCheck {
@@ -185,16 +299,94 @@ export interface YellowTokConfig {
     /** Individual results for each tip */
     results: Array<SendTipResult | { success: false; error: string }>;
   }
+
+  export interface SendTipOptions {
+    /** The user confirmed a tip above `confirmAbove` */
+    confirmed?: boolean;
+    /** Wait `aggregationWindow` ms for more taps to the same streamer and send them as one transfer */
+    aggregate?: boolean;
+  }
+
+  // ============================================================================
+  // Spend Policy Types
+  // ============================================================================
+
+  /** Amounts in whole tokens; null (or omitted) = no limit */
+  export interface SpendPolicyRules {
+    /** Cap on one stream session */
+    perSession?: number | string | null;
+    /** Cap on everything tipped today (local calendar day) */
+    perDay?: number | string | null;
+    /** Cap on what one streamer receives today */
+    perStreamerPerDay?: number | string | null;
+    /** Transfers allowed in any 60 s window; aggregated taps count once */
+    maxTipsPerMinute?: number | null;
+    /** Single tips above this need `{ confirmed: true }` */
+    confirmAbove?: number | string | null;
+    /** Warn at this percentage of a cap (default: 90) */
+    warnAt?: number;
+  }
+
+  /** The rules as stored, amounts as decimal strings */
+  export interface SpendPolicyConfig {
+    perSession: string | null;
+    perDay: string | null;
+    perStreamerPerDay: string | null;
+    maxTipsPerMinute: number | null;
+    confirmAbove: string | null;
+    warnAt: number;
+  }
+
+  export type PolicyRule = 'session_cap' | 'daily_cap' | 'streamer_cap' | 'rate_limit';
+
+  export interface PolicyViolation {
+    rule: PolicyRule;
+    /** Cap in asset units, or tips per minute for `rate_limit` */
+    limit: bigint | number;
+    /** Already used: asset units, or tips in the last minute */
+    used: bigint | number;
+    /** The tip, in asset units (caps only) */
+    attempted?: bigint;
+    /** ms until the rate limit lets the next tip through */
+    retryAfter?: number;
+    message: string;
+  }
+
+  export interface PolicyWarning {
+    rule: PolicyRule;
+    percentUsed: number;
+    message: string;
+  }
+
+  /** Used vs limit per rule; units are asset units, limit null = no cap */
+  export interface PolicyUsage {
+    session: { used: bigint; limit: bigint | null };
+    daily: { used: bigint; limit: bigint | null; resetsAt: number };
+    streamer: { used: bigint; limit: bigint | null };
+    rate: { count: number; limit: number | null };
+  }
+
+  export interface TipPolicyCheck {
+    /** No cap or rate limit violated */
+    allowed: boolean;
+    /** Above `confirmAbove` — send with `{ confirmed: true }` */
+    requiresConfirmation: boolean;
+    violations: PolicyViolation[];
+    warnings: PolicyWarning[];
+    usage: PolicyUsage;
+  }
   
   // ============================================================================
   // Event Data Types
   // ============================================================================
   
   export interface TipSentEvent {
+    /** Journal id (idempotency key) of the tip */
+    tipId: string;
     /** Tip amount in dollars */
     amount: number;
-    /** Tip amount in asset units */
-    amountInUnits: number;
+    /** Exact tip amount in asset units */
+    amountInUnits: bigint;
     /** Recipient address */
     recipient: string;
     /** Optional message with tip */
@@ -203,25 +395,45 @@ export interface YellowTokConfig {
     commission: number;
     /** Amount creator receives */
     creatorReceives: number;
+    /** Treasury the commission went to (null = none configured) */
+    treasury: string | null;
     /** Remaining balance */
     remainingBalance: number;
     /** Total spent in session */
     totalSpent: number;
+    /** App session the tip was submitted to */
+    sessionId: string;
+    /** App state version that carries the tip */
+    version: number;
   }
   
   export interface TipReceivedEvent {
+    /** Stable id (the sender's tip id when known) — the feed never holds it twice */
+    id: string;
+    /** `transfer` = plain ledger transfer, `app_session` = state update of an app session */
+    source: 'transfer' | 'app_session';
     /** Tip amount in dollars */
     amount: number;
     /** Commission in dollars */
     commission: number;
     /** Amount you receive after commission */
     creatorReceives: number;
-    /** Sender's address */
-    sender: string;
+    /** Exact amounts in asset units */
+    units: { amount: bigint; creatorReceives: bigint };
+    /** Asset symbol */
+    asset: string;
+    /** Sender's address (null when it can't be told from the update) */
+    sender: string | null;
     /** Optional message from sender */
     message: string;
     /** Timestamp of the tip */
     timestamp: number;
+    /** App session the tip was made in (`app_session` only) */
+    appSessionId?: string;
+    /** App session version carrying the tip (`app_session` only) */
+    version?: number;
+    /** Taps the sender combined into this transfer (`app_session` only) */
+    count?: number;
   }
   
   export interface SessionCreatedEvent {
@@ -231,14 +443,107 @@ export interface YellowTokConfig {
     session: StreamSession;
   }
   
+  /**
+   * A stream session a previous page load left open on ClearNode, tracked
+   * again after `initialize()` so it can be tipped into and closed
+   */
+  export type SessionRestoredEvent = SessionCreatedEvent;
+  
+  export interface LedgerBalance {
+    asset: string;
+    /** Decimal string, e.g. "12.5" */
+    amount: string;
+  }
+
   export interface BalanceUpdateEvent {
-    /** Updated balance in dollars */
+    /** The wallet's ClearNode ledger balances, pushed or queried (excludes funds locked in app sessions) */
+    balance: LedgerBalance[];
+  }
+
+  export interface SessionBalanceVerifiedEvent {
+    /** Session whose ledger balance was verified */
+    sessionId: string;
+    /** Streamer the session is with */
+    streamer: string;
+    /** Viewer allocation on the ClearNode ledger, in dollars */
     balance: number;
+    /** The same amount as exact asset units */
+    units: { balance: bigint };
+    /** When the balance was read from the ledger (ms) */
+    verifiedAt: number;
+  }
+
+  /** `tip` = transfer, `session_deposit` = budget locked into a stream session, `session_payout` = paid out when one closed */
+  export type HistoryEntryKind = 'tip' | 'session_deposit' | 'session_payout';
+
+  export interface HistoryEntry {
+    /** ClearNode ledger transaction id */
+    id: number;
+    kind: HistoryEntryKind;
+    direction: 'sent' | 'received';
+    /** Address (or app session id) on the other side */
+    counterparty: string;
+    /** ClearNode user tag of the counterparty, when it has one */
+    counterpartyTag: string | null;
+    asset: string;
+    /** Amount for display */
+    amount: number;
+    /** Exact amount in asset units (null for assets other than `defaultAsset`) */
+    units: bigint | null;
+    timestamp: number;
+    /** Raw ClearNode transaction type */
+    txType: string;
+  }
+
+  export interface TransactionHistoryOptions {
+    /** Entries per page (default: 20) */
+    limit?: number;
+    /** `nextCursor` of the previous page (default: 0 = newest) */
+    cursor?: number;
+    /** Only entries with this address or app session id on the other side */
+    counterparty?: string;
+    asset?: string;
+    direction?: 'sent' | 'received';
+    kind?: HistoryEntryKind;
+    /** Oldest time included (ms or Date) */
+    from?: number | Date;
+    /** Newest time included (ms or Date) */
+    to?: number | Date;
+  }
+
+  export interface TransactionHistoryPage {
+    /** Newest first */
+    entries: HistoryEntry[];
+    /** Pass as `cursor` for the next page (null = no more) */
+    nextCursor: number | null;
+    hasMore: boolean;
+  }
+
+  export interface BalanceDiscrepancyEvent {
+    /** Session whose balances diverge */
+    sessionId: string;
+    /** Streamer the session is with */
+    streamer: string;
+    /** Balance tracked locally from accepted tips */
+    expected: number;
+    /** Viewer allocation on the ClearNode ledger */
+    verified: number;
+    /** `verified - expected` */
+    difference: number;
+    /** The same amounts as exact asset units */
+    units: { expected: bigint; verified: bigint; difference: bigint };
+  }
+
+  export interface BalanceCheckResult extends BalanceDiscrepancyEvent {
+    /** Both balances agree */
+    inSync: boolean;
   }
   
   export interface SessionClosedEvent {
     /** Session identifier */
     sessionId?: string;
+    /** Streamer the session was with */
+    streamer?: string;
     /** Session duration */
     duration?: number;
     /** Total deposited */
@@ -249,8 +554,91 @@ export interface YellowTokConfig {
     unusedBalance?: number;
     /** Commission rate */
     commissionRate?: number;
+    /** Part of the total paid to the streamer */
+    streamerReceives?: number;
+    /** Part of the total paid to the treasury */
+    totalCommission?: number;
+    /** Treasury the commission went to */
+    treasury?: string | null;
+  }
+  
+  export interface ReconnectingEvent {
+    /** Reconnect attempt number (1-based) */
+    attempt: number;
+    /** Attempts allowed before giving up (Infinity = unlimited) */
+    maxAttempts: number;
+    /** Delay before this attempt, in ms */
+    delay: number;
+  }
+  
+  /**
+   * idle → connecting → authenticating → ready ⇄ reconnecting → failed / closed.
+   * `authenticating` also covers "connected, waiting for a (renewed) session key".
+   */
+  export type ConnectionState =
+    | 'idle'
+    | 'connecting'
+    | 'authenticating'
+    | 'ready'
+    | 'reconnecting'
+    | 'failed'
+    | 'closed';
+
+  export interface StateChangeEvent {
+    /** New state */
+    state: ConnectionState;
+    /** State before the transition */
+    previous: ConnectionState;
+    /** Why the transition happened, when known */
+    reason: string | null;
+  }
+
+  export interface ReauthenticatedEvent {
+    /** 'jwt' = silent, 'challenge' = wallet signed a fresh EIP-712 challenge */
+    method: 'jwt' | 'challenge';
   }
   
+  export interface SessionKeyExpiryEvent {
+    /** When the session key registration lapses (ms since epoch) */
+    expiresAt: number | null;
+  }
+
+  export interface SessionKeyRenewedEvent {
+    /** Address of the newly authorized session key */
+    address: string;
+    /** When the new key expires (ms since epoch) */
+    expiresAt: number;
+  }
+
+  export interface SessionKeyRevokedEvent {
+    /** Address of the revoked session key */
+    address: string;
+    /** false when ClearNode could not be reached — the key was still removed locally */
+    revokedOnClearNode: boolean;
+  }
+
+  export interface SessionKeyInfo {
+    /** Session key address */
+    address: string;
+    /** When the key's registration lapses (ms since epoch); null until authenticated */
+    expiresAt: number | null;
+    /** The key can no longer sign for this wallet */
+    expired: boolean;
+    /** Within `renewBeforeExpiry` of expiring (or expired) */
+    expiringSoon: boolean;
+  }
+
+  export interface SessionKeyAllowance {
+    /** Asset the allowance is for */
+    asset: string;
+    /** Allowance the key was registered with, in asset units */
+    allowance: bigint;
+    /** Amount the key has moved so far, in asset units */
+    used: bigint;
+    /** `allowance - used`, in asset units */
+    remaining: bigint;
+  }
+
   export interface ErrorEvent {
     /** Error type */
     type: 'initialization_error' 
@@ -259,15 +647,222 @@ export interface YellowTokConfig {
       | 'tip_error' 
       | 'session_close_error' 
       | 'clearnode_error'
+      | 'reauthentication_error'
+      | 'session_key_error'
       | 'max_reconnect_attempts';
+    /** Stable error code — match on this, not on `message` */
+    code: ErrorCode;
+    /** Whether the failed call may succeed if tried again */
+    retryable: boolean;
     /** Error message */
     message: string;
-    /** Original error object */
-    error?: any;
-    /** Additional error details */
+    /** The typed error; its `cause` holds the original failure */
+    error: YellowTokError;
+    /** ClearNode's error params, for ClearNode rejections */
     details?: any;
   }
   
+  // ============================================================================
+  // Tip Journal Types
+  // ============================================================================
+
+  export type TipStatus = 'queued' | 'pending' | 'confirmed' | 'failed' | 'dropped';
+
+  export interface TipJournalEntry {
+    /** Idempotency key, stable across reloads */
+    id: string;
+    /** Stream session the tip was sent in */
+    sessionId: string;
+    /** ClearNode app session carrying the tip (absent on old transfer tips) */
+    appSessionId?: string;
+    /** App state version the tip was submitted as */
+    version?: number;
+    /** Recipient address */
+    streamer: string;
+    /** Sender address */
+    sender: string;
+    /** Asset identifier (e.g., 'ytest.usd') */
+    asset: string;
+    /** Tip amount in asset units (considering decimals) */
+    amount: string;
+    /** Optional message with tip */
+    message: string;
+    /** ClearNode status of the tip */
+    status: TipStatus;
+    /** When the tip was created (ms since epoch) */
+    createdAt: number;
+    /** Last status change (ms since epoch) */
+    updatedAt: number;
+    /** When ClearNode confirmed the tip */
+    confirmedAt?: number;
+    /** ClearNode ledger transaction id (tips sent as plain transfers) */
+    transactionId?: number;
+    /** Why the tip failed */
+    error?: string;
+    /** The individual taps of a combined transfer (`amount` is their sum) */
+    parts?: TipJournalPart[];
+  }
+
+  /** One tap of a combined transfer */
+  export interface TipJournalPart {
+    id: string;
+    /** Asset units */
+    amount: string;
+    message: string;
+    /** When the tap was made (ms since epoch) */
+    createdAt: number;
+  }
+
+  export interface TipJournalFilter {
+    /** Only this wallet's tips (exact address, as journaled); `getTipJournal` sets it to the connected wallet */
+    sender?: string;
+    status?: TipStatus;
+    sessionId?: string;
+    streamer?: string;
+    limit?: number;
+  }
+
+  export interface TipJournalStore {
+    record(entry: Partial<TipJournalEntry>): Promise<TipJournalEntry>;
+    update(id: string, patch: Partial<TipJournalEntry>): Promise<TipJournalEntry | null>;
+    get(id: string): Promise<TipJournalEntry | null>;
+    list(filter?: TipJournalFilter): Promise<TipJournalEntry[]>;
+    clear(): Promise<void>;
+  }
+
+  /** Async key/value store for secrets (session key, JWT) */
+  export interface SecretStorage {
+    getItem(name: string): Promise<string | null>;
+    setItem(name: string, value: string): Promise<void>;
+    removeItem(name: string): Promise<void>;
+  }
+
+  /** The part of the WebSocket API the service uses */
+  export interface ClearNodeSocket {
+    readonly readyState: number;
+    send(data: string): void;
+    close(): void;
+    onopen: ((event?: unknown) => void) | null;
+    onerror: ((event?: unknown) => void) | null;
+    onclose: ((event?: unknown) => void) | null;
+    addEventListener(type: 'message', listener: (event: { data: string }) => void): void;
+    addEventListener(type: 'open' | 'close' | 'error', listener: (event?: unknown) => void): void;
+    removeEventListener(type: string, listener: (...args: any[]) => void): void;
+  }
+
+  /** Opens a ClearNode connection for `url` */
+  export type ClearNodeTransport = (url: string) => ClearNodeSocket;
+
+  export interface ReconcileResult {
+    /** Pending tips ClearNode has applied */
+    confirmed: number;
+    /** Pending tips ClearNode never recorded */
+    failed: number;
+    /** Queued tips lost with an earlier page load */
+    dropped: number;
+  }
+
+  // ============================================================================
+  // Offline Tip Queue Types
+  // ============================================================================
+
+  export interface QueuedTip {
+    /** Journal entry id of the tip */
+    id: string;
+    /** Local stream session the tip belongs to */
+    sessionId: string;
+    /** Recipient address */
+    streamer: string;
+    /** Tip amount in USDC (display only) */
+    amount: number;
+    /** Exact tip amount in asset units */
+    amountUnits: bigint;
+    /** Optional message with tip */
+    message: string;
+    /** When the tip was queued (ms since epoch) */
+    queuedAt: number;
+  }
+
+  export interface TipQueueChangedEvent {
+    /** Tips still waiting for the connection, oldest first */
+    tips: QueuedTip[];
+  }
+
+  // ============================================================================
+  // Session Receipt Types
+  // ============================================================================
+
+  /** A confirmed tip on a receipt; amounts are decimal strings in the asset */
+  export interface ReceiptTip {
+    /** Tip journal id (the tap's own id for aggregated taps) */
+    id: string;
+    /** Journal id of the combined transfer the tap went out in */
+    transferId?: string;
+    /** When the tip was made (ms since epoch) */
+    sentAt: number;
+    amount: string;
+    streamerReceives: string;
+    commission: string;
+    message: string;
+  }
+
+  /** On-chain payout attached after settlement — not covered by the signature */
+  export interface ReceiptSettlement {
+    status: 'pending' | 'submitted' | 'confirmed' | 'failed';
+    legs: Array<{
+      recipient: 'streamer' | 'treasury';
+      to: string;
+      /** Decimal string in the asset */
+      amount: string;
+      txHash: string | null;
+    }>;
+    updatedAt: number;
+  }
+
+  /** Record of a closed session, signed by the session key (EIP-191) */
+  export interface SessionReceipt {
+    /** Same as `sessionId` */
+    id: string;
+    receiptVersion: number;
+    sessionId: string;
+    viewer: string;
+    streamer: string;
+    treasury: string | null;
+    asset: string;
+    decimals: number;
+    openedAt: number;
+    closedAt: number;
+    /** Decimal strings in the asset */
+    deposited: string;
+    spent: string;
+    unused: string;
+    commissionRate: number;
+    streamerReceives: string;
+    commission: string;
+    /** Confirmed tips, oldest first */
+    tips: ReceiptTip[];
+    /** Session key address that signed the receipt */
+    signer: string | null;
+    /** Signature over every field but `signature` and `settlement` (see `verifyReceipt`) */
+    signature: string | null;
+    settlement: ReceiptSettlement | null;
+  }
+
+  export interface ReceiptStorage {
+    put(receipt: SessionReceipt): Promise<SessionReceipt>;
+    get(id: string): Promise<SessionReceipt | null>;
+    list(filter?: { streamer?: string; limit?: number }): Promise<SessionReceipt[]>;
+    clear(): Promise<void>;
+  }
+
+  export const RECEIPT_VERSION: number;
+  /** Whether the receipt's signature is its session key's */
+  export function verifyReceipt(receipt: SessionReceipt): Promise<boolean>;
+  /** Receipts as a JSON document, signatures included */
+  export function receiptsToJSON(receipts: SessionReceipt[]): string;
+  /** Receipts as CSV: one row per tip, a total row and one row per settlement transfer */
+  export function receiptsToCSV(receipts: SessionReceipt[]): string;
+
   // ============================================================================
   // Event Handler Types
   // ============================================================================
@@ -275,33 +870,70 @@ export interface YellowTokConfig {
   export type ConnectedHandler = () => void;
   export type DisconnectedHandler = () => void;
   export type SessionCreatedHandler = (data: SessionCreatedEvent) => void;
+  export type SessionRestoredHandler = (data: SessionRestoredEvent) => void;
   export type TipSentHandler = (data: TipSentEvent) => void;
   export type TipReceivedHandler = (data: TipReceivedEvent) => void;
   export type BalanceUpdateHandler = (data: BalanceUpdateEvent) => void;
+  export type SessionBalanceVerifiedHandler = (data: SessionBalanceVerifiedEvent) => void;
+  export type BalanceDiscrepancyHandler = (data: BalanceDiscrepancyEvent) => void;
   export type SessionClosedHandler = (data: SessionClosedEvent) => void;
+  export type JournalUpdatedHandler = (entry: TipJournalEntry) => void;
+  export type ReconnectingHandler = (data: ReconnectingEvent) => void;
+  export type ReauthenticatedHandler = (data: ReauthenticatedEvent) => void;
+  export type SessionKeyExpiryHandler = (data: SessionKeyExpiryEvent) => void;
+  export type SessionKeyRenewedHandler = (data: SessionKeyRenewedEvent) => void;
+  export type SessionKeyRevokedHandler = (data: SessionKeyRevokedEvent) => void;
+  export type StateChangeHandler = (data: StateChangeEvent) => void;
   export type ErrorHandler = (error: ErrorEvent) => void;
   
-  export interface EventHandlers {
-    onConnected: ConnectedHandler | null;
-    onDisconnected: DisconnectedHandler | null;
-    onSessionCreated: SessionCreatedHandler | null;
-    onTipSent: TipSentHandler | null;
-    onTipReceived: TipReceivedHandler | null;
-    onBalanceUpdate: BalanceUpdateHandler | null;
-    onSessionClosed: SessionClosedHandler | null;
-    onError: ErrorHandler | null;
-  }
-  
-  export type EventName = keyof EventHandlers;
-  export type EventHandler = 
-    | ConnectedHandler 
-    | DisconnectedHandler 
-    | SessionCreatedHandler 
-    | TipSentHandler 
-    | TipReceivedHandler 
-    | BalanceUpdateHandler 
-    | SessionClosedHandler 
-    | ErrorHandler;
+  /** Payload delivered with each service event */
+  export interface EventPayloads {
+    onConnected: void;
+    onDisconnected: void;
+    onSessionCreated: SessionCreatedEvent;
+    onSessionRestored: SessionRestoredEvent;
+    onTipSent: TipSentEvent;
+    onTipReceived: TipReceivedEvent;
+    onBalanceUpdate: BalanceUpdateEvent;
+    onSessionBalanceVerified: SessionBalanceVerifiedEvent;
+    onBalanceDiscrepancy: BalanceDiscrepancyEvent;
+    onSessionClosed: SessionClosedEvent;
+    onJournalUpdated: TipJournalEntry;
+    onTipQueueChanged: TipQueueChangedEvent;
+    onReconnecting: ReconnectingEvent;
+    onReauthenticated: ReauthenticatedEvent;
+    onSessionKeyExpiring: SessionKeyExpiryEvent;
+    onSessionKeyExpired: SessionKeyExpiryEvent;
+    onSessionKeyRenewed: SessionKeyRenewedEvent;
+    onSessionKeyRevoked: SessionKeyRevokedEvent;
+    onStateChange: StateChangeEvent;
+    onError: ErrorEvent;
+  }
+  
+  export type EventName = keyof EventPayloads;
+  export type EventListener<E extends EventName> = (data: EventPayloads[E]) => void;
+  
+  /** Handler for `'*'`: receives every event as `(event, data)` */
+  export type WildcardListener = (
+    ...args: { [E in EventName]: [event: E, data: EventPayloads[E]] }[EventName]
+  ) => void;
+  
+  export type Unsubscribe = () => void;
+  
+  export type EventHandlers = { [E in EventName]: EventListener<E> };
+  export type EventHandler = EventHandlers[EventName];
+  
+  export const SERVICE_EVENTS: readonly EventName[];
+  export const CONNECTION_STATE: Readonly<{
+    IDLE: 'idle';
+    CONNECTING: 'connecting';
+    AUTHENTICATING: 'authenticating';
+    READY: 'ready';
+    RECONNECTING: 'reconnecting';
+    FAILED: 'failed';
+    CLOSED: 'closed';
+  }>;
+  export const WILDCARD_EVENT: '*';
   
   // ============================================================================
   // Tip Types
@@ -335,7 +967,7 @@ export interface YellowTokConfig {
   
   export interface BatchTip {
     /** Tip amount in dollars */
-    amount: number;
+    amount: number | string;
     /** Streamer address */
     streamerAddress: string;
     /** Optional message */
@@ -353,12 +985,31 @@ export interface YellowTokConfig {
     streamer: string;
     /** Initial deposit amount */
     initialDeposit: number;
-    /** Current available balance */
+    /** Current available balance, tracked locally (optimistic) */
     currentBalance: number;
-    /** Total spent in session */
+    /** Balance last read back from the ClearNode ledger (null = not checked yet) */
+    verifiedBalance: number | null;
+    /** When `verifiedBalance` was read (ms) */
+    verifiedAt: number | null;
+    /** Total spent in session (confirmed by ClearNode) */
     spent: number;
+    /** Part of `spent` allocated to the treasury */
+    commission: number;
+    /** Amount sent but still awaiting ClearNode confirmation */
+    pending: number;
+    /** The same amounts as exact asset units — use these for arithmetic */
+    units: {
+      initialDeposit: bigint;
+      currentBalance: bigint;
+      verifiedBalance: bigint | null;
+      spent: bigint;
+      commission: bigint;
+      pending: bigint;
+    };
     /** Commission rate */
     commissionRate: number;
+    /** Treasury receiving the commission (null = none configured) */
+    treasury: string | null;
     /** Partner status */
     isPartner: boolean;
     /** Session status */
@@ -402,6 +1053,98 @@ export interface YellowTokConfig {
     [key: string]: any;
   }
   
+  // ============================================================================
+  // Errors
+  // ============================================================================
+
+  /** Stable error codes carried by every YellowTokError */
+  export const ERROR_CODES: {
+    readonly INVALID_AMOUNT: 'INVALID_AMOUNT';
+    readonly INVALID_ARGUMENT: 'INVALID_ARGUMENT';
+    readonly INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE';
+    readonly NO_ACTIVE_SESSION: 'NO_ACTIVE_SESSION';
+    readonly SESSION_ALREADY_OPEN: 'SESSION_ALREADY_OPEN';
+    readonly SPEND_LIMIT_EXCEEDED: 'SPEND_LIMIT_EXCEEDED';
+    readonly RATE_LIMITED: 'RATE_LIMITED';
+    readonly CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED';
+    readonly INVALID_CONFIG: 'INVALID_CONFIG';
+    readonly WALLET_NOT_FOUND: 'WALLET_NOT_FOUND';
+    readonly NO_ACCOUNTS: 'NO_ACCOUNTS';
+    readonly USER_REJECTED: 'USER_REJECTED';
+    readonly CANCELLED: 'CANCELLED';
+    readonly NOT_CONNECTED: 'NOT_CONNECTED';
+    readonly CONNECTION_FAILED: 'CONNECTION_FAILED';
+    readonly CONNECTION_LOST: 'CONNECTION_LOST';
+    readonly REQUEST_TIMEOUT: 'REQUEST_TIMEOUT';
+    readonly RECONNECT_FAILED: 'RECONNECT_FAILED';
+    readonly NOT_AUTHENTICATED: 'NOT_AUTHENTICATED';
+    readonly AUTH_TIMEOUT: 'AUTH_TIMEOUT';
+    readonly AUTH_FAILED: 'AUTH_FAILED';
+    readonly JWT_REJECTED: 'JWT_REJECTED';
+    readonly SESSION_KEY_MISSING: 'SESSION_KEY_MISSING';
+    readonly SESSION_KEY_BUSY: 'SESSION_KEY_BUSY';
+    readonly CLEARNODE_REJECTED: 'CLEARNODE_REJECTED';
+    readonly INVALID_RESPONSE: 'INVALID_RESPONSE';
+    readonly TIP_DROPPED: 'TIP_DROPPED';
+    readonly BALANCE_MISMATCH: 'BALANCE_MISMATCH';
+    readonly SETTLEMENT_FAILED: 'SETTLEMENT_FAILED';
+    readonly SETTLEMENT_PENDING: 'SETTLEMENT_PENDING';
+    readonly WRONG_PAYER: 'WRONG_PAYER';
+    readonly UNKNOWN: 'UNKNOWN';
+  };
+
+  export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+  export interface YellowTokErrorOptions {
+    /** Default: UNKNOWN */
+    code?: ErrorCode;
+    /** Default: derived from the code */
+    retryable?: boolean;
+    /** The failure being wrapped */
+    cause?: unknown;
+    /** Extra data, e.g. ClearNode's error params */
+    details?: any;
+  }
+
+  /** Base class of every error the service throws or reports */
+  export class YellowTokError extends Error {
+    constructor(message: string, options?: YellowTokErrorOptions);
+    readonly code: ErrorCode;
+    /** Whether trying the same call again later may succeed */
+    readonly retryable: boolean;
+    readonly cause?: unknown;
+    readonly details?: any;
+  }
+  /** Invalid input: amounts, arguments, missing or duplicate session, insufficient budget */
+  export class ValidationError extends YellowTokError {}
+  /** Unusable service config, e.g. a treasury that is not an address (code INVALID_CONFIG) */
+  export class ConfigError extends YellowTokError {}
+  /** No wallet, locked wallet or declined signature */
+  export class WalletError extends YellowTokError {}
+  /** Aborted through an AbortSignal (`name` is 'AbortError', code CANCELLED) */
+  export class CancelledError extends YellowTokError {
+    constructor(message?: string, options?: YellowTokErrorOptions);
+  }
+  /** Socket failures, timeouts and lost replies */
+  export class ConnectionError extends YellowTokError {}
+  /** Challenge-response or JWT authentication failed */
+  export class AuthError extends YellowTokError {}
+  /** Session key missing or being renewed */
+  export class SessionKeyError extends YellowTokError {}
+  /** ClearNode rejected the request (nothing applied) or sent an unreadable reply */
+  export class ClearNodeError extends YellowTokError {}
+  /** On-chain payout after a session closed failed (code SETTLEMENT_FAILED) */
+  export class SettlementError extends YellowTokError {}
+
+  /** Whether a wallet error means the user declined (EIP-1193 4001) */
+  export function isUserRejection(error: unknown): boolean;
+  /** Wrap any thrown value; YellowTokErrors pass through unchanged */
+  export function toYellowTokError(
+    error: unknown,
+    fallbackMessage?: string,
+    code?: ErrorCode
+  ): YellowTokError;
+
   // ============================================================================
   // Main Service Class Type
   // ============================================================================
@@ -414,45 +1157,119 @@ export interface YellowTokConfig {
 
     /** Whether authenticated with ClearNode via Nitrolite */
     authenticated: boolean;
+
+    /** Connection state machine — prefer this over `connected` / `authenticated` */
+    state: ConnectionState;
+
+    /** Connected wallet (checksummed), null before `initialize()` */
+    userAddress: string | null;
     
     // Connection methods
-    initialize(walletProvider: WalletProvider, walletClient: any): Promise<InitializeResult>;
+    initialize(
+      walletProvider: WalletProvider,
+      walletClient: any,
+      options?: InitializeOptions
+    ): Promise<InitializeResult>;
     disconnect(): void;
+    /** Current connection state */
+    getState(): ConnectionState;
+
+    // Session key
+    getSessionKeyInfo(): SessionKeyInfo | null;
+    /** Authorize a fresh session key (one wallet signature) */
+    renewSessionKey(): Promise<{ address: string; expiresAt: number }>;
+    /** Revoke this device's session key on ClearNode and forget it locally */
+    revokeSessionKey(): Promise<SessionKeyRevokedEvent>;
+    /** Make the spend limit the key's ClearNode allowance (re-registers the key when it changes) */
+    setSpendAllowance(amount: number | string): Promise<{ allowance: string; reRegistered: boolean }>;
+    /** Allowance left on the session key, as reported by ClearNode */
+    getSessionKeyAllowance(): Promise<SessionKeyAllowance | null>;
     
     // Session methods
     createStreamSession(
       streamerAddress: string,
-      depositAmount: number,
+      depositAmount: number | string,
       options?: SessionOptions
     ): Promise<CreateSessionResult>;
     
-    endStreamSession(): Promise<EndSessionResult>;
-    getSessionInfo(): SessionInfo | null;
+    /** `sessionOrStreamerId` defaults to the most recently opened session */
+    endStreamSession(sessionOrStreamerId?: string): Promise<EndSessionResult>;
+    getSessionInfo(sessionOrStreamerId?: string): SessionInfo | null;
+    /** Every open session, oldest first */
+    getOpenSessions(): SessionInfo[];
     
     // Tipping methods
+    /** Rejects with SPEND_LIMIT_EXCEEDED, RATE_LIMITED or CONFIRMATION_REQUIRED (`details`: TipPolicyCheck) */
     sendTip(
-      tipAmount: number,
+      tipAmount: number | string,
       streamerAddress: string,
-      message?: string
+      message?: string,
+      options?: SendTipOptions
     ): Promise<SendTipResult>;
     
+    /** Tips to the same streamer go out as one combined transfer */
     sendTipBatch(tips: BatchTip[]): Promise<BatchTipResult>;
+
+    // Offline tip queue
+    getQueuedTips(): QueuedTip[];
+
+    // Tip journal
+    /** The connected wallet's tips, newest first (none before initialize) */
+    getTipJournal(filter?: TipJournalFilter): Promise<TipJournalEntry[]>;
+    reconcileJournal(): Promise<ReconcileResult>;
+
+    // Session receipts
+    /** The connected wallet's receipts, most recently closed first (none before initialize) */
+    getReceipts(filter?: { streamer?: string; limit?: number }): Promise<SessionReceipt[]>;
+    /** null unless the connected wallet was the session's viewer */
+    getReceipt(sessionId: string): Promise<SessionReceipt | null>;
+    /** Attach the on-chain settlement (amounts in asset units) to a receipt */
+    attachSettlement(
+      sessionId: string,
+      settlement: { status: ReceiptSettlement['status']; legs: Array<{ recipient: 'streamer' | 'treasury'; to: string; amount: string; txHash: string | null }> }
+    ): Promise<SessionReceipt | null>;
+
+    // Receive mode
+    /** Tips credited to this wallet, newest first */
+    getReceivedTips(limit?: number): TipReceivedEvent[];
+    clearReceivedTips(): void;
+
+    // Transaction history
+    /** The user's ClearNode ledger as sent/received tips, newest first */
+    getTransactionHistory(options?: TransactionHistoryOptions): Promise<TransactionHistoryPage>;
+
+    // Ledger balance reconciliation
+    /** Compare local session balances with the ClearNode ledger (all open sessions by default) */
+    reconcileBalances(sessionOrStreamerId?: string): Promise<BalanceCheckResult[]>;
+    
+    // Spend policy
+    /** What `sendTip` would decide for this tip, without sending it */
+    checkTipPolicy(
+      tipAmount: number | string,
+      streamerAddress: string,
+      options?: Pick<SendTipOptions, 'aggregate'>
+    ): TipPolicyCheck;
+    getSpendPolicy(): SpendPolicyConfig;
+    setSpendPolicy(rules: SpendPolicyRules | null): SpendPolicyConfig;
     
     // Utility methods
+    /** @deprecated Single fixed limit; use `checkTipPolicy` */
     checkSpendingLimit(
-      tipAmount: number,
-      spendingLimit: number
+      tipAmount: number | string,
+      spendingLimit: number | string,
+      sessionOrStreamerId?: string
     ): SpendingLimitCheck;
+    /** Recent log entries plus a connection/session snapshot, as JSON, secrets redacted */
+    exportDebugReport(): string;
     
-    // Event subscription
-    on(event: 'onConnected', handler: ConnectedHandler): void;
-    on(event: 'onDisconnected', handler: DisconnectedHandler): void;
-    on(event: 'onSessionCreated', handler: SessionCreatedHandler): void;
-    on(event: 'onTipSent', handler: TipSentHandler): void;
-    on(event: 'onTipReceived', handler: TipReceivedHandler): void;
-    on(event: 'onBalanceUpdate', handler: BalanceUpdateHandler): void;
-    on(event: 'onSessionClosed', handler: SessionClosedHandler): void;
-    on(event: 'onError', handler: ErrorHandler): void;
-    on(event: EventName, handler: EventHandler): void;
+    // Event subscription (any number of listeners per event)
+    on<E extends EventName>(event: E, handler: EventListener<E>): Unsubscribe;
+    on(event: '*', handler: WildcardListener): Unsubscribe;
+    once<E extends EventName>(event: E, handler: EventListener<E>): Unsubscribe;
+    once(event: '*', handler: WildcardListener): Unsubscribe;
+    off<E extends EventName>(event: E, handler?: EventListener<E>): void;
+    off(event: '*', handler?: WildcardListener): void;
+    off(): void;
+    listenerCount(event: EventName | '*'): number;
   }
   
\ No newline at end of file
@@ -0,0 +1,483 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * YellowTok Service - Integration Tests
+ *
+ * Runs the service end to end against the local mock ClearNode
+ * (mock/MockClearNode.js): real Nitrolite envelopes over a WebSocket,
+ * EIP-712 and session key signatures checked by the server.
+ */
+
+import { WebSocket } from 'ws';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createECDSAMessageSigner } from '@erc7824/nitrolite';
+import YellowTokService, { CONNECTION_STATE, ERROR_CODES } from './YellowTokService';
+import SecretStore from './SecretStore';
+import MockClearNode from '../../mock/MockClearNode';
+
+const TREASURY_ADDRESS = '0x7ea5000000000000000000000000000000000001';
+
+// Wallet whose EIP-712 signatures come from a local key
+const walletFor = (privateKey) => {
+  const account = privateKeyToAccount(privateKey);
+  return {
+    address: account.address,
+    provider: { request: async () => [account.address] },
+    client: { account, signTypedData: (args) => account.signTypedData(args) },
+  };
+};
+
+const viewer = walletFor(`0x${'11'.repeat(32)}`);
+const streamer = walletFor(`0x${'22'.repeat(32)}`);
+const impostor = walletFor(`0x${'33'.repeat(32)}`);
+
+const nextEvent = (service, event) => new Promise((resolve) => service.once(event, resolve));
+
+describe('YellowTokService against the mock ClearNode', () => {
+  let clearNode;
+  let url;
+  const services = [];
+
+  const createService = (config = {}) => {
+    const service = new YellowTokService({
+      clearnodeUrl: url,
+      transport: (address) => new WebSocket(address),
+      treasuryAddress: TREASURY_ADDRESS,
+      heartbeatInterval: 0,
+      balanceCheckInterval: 0,
+      requestTimeout: 2000,
+      reconnect: { baseDelay: 10, jitter: 0 },
+      secretStore: new SecretStore({ indexedDB: null }),
+      ...config,
+    });
+    services.push(service);
+    return service;
+  };
+
+  const connect = async (wallet, config) => {
+    const service = createService(config);
+    const result = await service.initialize(wallet.provider, wallet.client);
+    expect(result).toEqual({ success: true, address: wallet.address });
+    return service;
+  };
+
+  beforeEach(async () => {
+    clearNode = new MockClearNode({ port: 0 });
+    url = await clearNode.start();
+  });
+
+  afterEach(async () => {
+    services.splice(0).forEach((service) => service.disconnect());
+    await clearNode.close();
+  });
+
+  // ============================================================================
+  // Authentication
+  // ============================================================================
+
+  describe('Authentication', () => {
+    test('should authenticate with a wallet-signed EIP-712 challenge', async () => {
+      const service = await connect(viewer);
+
+      expect(service.getState()).toBe(CONNECTION_STATE.READY);
+      expect(await service.secrets.getItem('yellowtok_jwt')).toBeTruthy();
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('100');
+    });
+
+    test('should be refused when another key signs the challenge', async () => {
+      const service = createService();
+
+      const result = await service.initialize(viewer.provider, impostor.client);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('invalid signature');
+      expect(result.code).toBe(ERROR_CODES.AUTH_FAILED);
+      expect(service.getState()).toBe(CONNECTION_STATE.FAILED);
+    });
+
+    test('should reject requests not signed by the registered session key', async () => {
+      const service = await connect(viewer);
+      service.sessionSigner = createECDSAMessageSigner(`0x${'44'.repeat(32)}`);
+
+      await expect(service.createStreamSession(streamer.address, 10)).rejects.toMatchObject({
+        code: ERROR_CODES.CLEARNODE_REJECTED,
+        message: expect.stringContaining('not signed by the session key'),
+      });
+    });
+  });
+
+  // ============================================================================
+  // Tipping & Settlement
+  // ============================================================================
+
+  describe('Tipping & Settlement', () => {
+    test('should tip through the app session and settle on the ledger', async () => {
+      const service = await connect(viewer);
+
+      await service.createStreamSession(streamer.address, 20);
+      await service.sendTip(5, streamer.address, 'hello');
+      await service.sendTip(1.5, streamer.address);
+      const summary = await service.endStreamSession();
+
+      expect(summary.units).toEqual({
+        spent: 6500000n,
+        streamerReceives: 5850000n,
+        commission: 650000n,
+        unused: 13500000n,
+      });
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('93.5');
+      expect(clearNode.simulator.balanceOf(streamer.address)).toBe('5.85');
+      expect(clearNode.simulator.balanceOf(TREASURY_ADDRESS)).toBe('0.65');
+    });
+
+    test('should confirm journal entries and match the ledger balance', async () => {
+      const service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 10);
+      const { tipId } = await service.sendTip(2, streamer.address);
+
+      const [check] = await service.reconcileBalances();
+      const [entry] = await service.getTipJournal();
+
+      expect(check.inSync).toBe(true);
+      expect(entry).toMatchObject({ id: tipId, status: 'confirmed', version: 2 });
+    });
+
+    test('should deliver tips to the streamer in receive mode', async () => {
+      const streamerService = await connect(streamer);
+      const received = nextEvent(streamerService, 'onTipReceived');
+
+      const service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 10);
+      const { tipId } = await service.sendTip(1, streamer.address, 'gg');
+
+      await expect(received).resolves.toMatchObject({
+        id: tipId,
+        source: 'app_session',
+        sender: viewer.address.toLowerCase(),
+        amount: 1,
+        creatorReceives: 0.9,
+        message: 'gg',
+      });
+    });
+  });
+
+  // ============================================================================
+  // Stream Sessions
+  // ============================================================================
+
+  describe('Stream Sessions', () => {
+    test('should announce the connection', async () => {
+      const service = createService();
+      const onConnected = jest.fn();
+      service.on('onConnected', onConnected);
+
+      await service.initialize(viewer.provider, viewer.client);
+
+      expect(onConnected).toHaveBeenCalled();
+    });
+
+    test('should create a stream session at the standard commission', async () => {
+      const service = await connect(viewer);
+
+      const result = await service.createStreamSession(streamer.address, 20, { isPartner: false });
+
+      expect(result.success).toBe(true);
+      expect(result.sessionId).toBeDefined();
+      expect(result.deposit).toBe(20);
+      expect(result.commissionRate).toBe(10);
+      expect(service.getSessionInfo()).toMatchObject({
+        initialDeposit: 20,
+        currentBalance: 20,
+        spent: 0,
+      });
+    });
+
+    test('should create a partner session with 3% commission', async () => {
+      const service = await connect(viewer);
+
+      const result = await service.createStreamSession(streamer.address, 20, { isPartner: true });
+
+      expect(result.commissionRate).toBe(3);
+    });
+  });
+
+  // ============================================================================
+  // Tipping
+  // ============================================================================
+
+  describe('Tipping', () => {
+    let service;
+
+    beforeEach(async () => {
+      service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 20);
+    });
+
+    test('should send a tip and take the commission', async () => {
+      const onTipSent = jest.fn();
+      service.on('onTipSent', onTipSent);
+
+      const result = await service.sendTip(1, streamer.address, 'Great stream!');
+
+      expect(result).toMatchObject({
+        success: true,
+        tipAmount: 1,
+        commission: 0.1,
+        creatorReceives: 0.9,
+        remainingBalance: 19,
+      });
+      expect(onTipSent).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 1, creatorReceives: 0.9, commission: 0.1 })
+      );
+    });
+
+    test('should take 3% from partner sessions', async () => {
+      await service.endStreamSession();
+      await service.createStreamSession(streamer.address, 20, { isPartner: true });
+
+      const result = await service.sendTip(1, streamer.address);
+
+      expect(result.commission).toBe(0.03);
+      expect(result.creatorReceives).toBe(0.97);
+    });
+
+    test('should reject invalid tips before they reach ClearNode', async () => {
+      await expect(service.sendTip(0, streamer.address)).rejects.toThrow(
+        'Tip amount must be greater than 0'
+      );
+      await expect(service.sendTip(-5, streamer.address)).rejects.toThrow(
+        'Tip amount must be greater than 0'
+      );
+      await expect(service.sendTip(25, streamer.address)).rejects.toThrow('Insufficient balance');
+      await expect(service.sendTip(1, impostor.address)).rejects.toThrow(
+        'No active stream session with this streamer'
+      );
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('80');
+    });
+
+    test('should send a batch of tips', async () => {
+      const result = await service.sendTipBatch([
+        { amount: 0.5, streamerAddress: streamer.address, message: 'Nice!' },
+        { amount: 1, streamerAddress: streamer.address, message: 'Great!' },
+        { amount: 2, streamerAddress: streamer.address, message: 'Awesome!' },
+      ]);
+
+      expect(result).toMatchObject({
+        success: true,
+        totalTips: 3,
+        successfulTips: 3,
+        totalAmount: 3.5,
+      });
+    });
+  });
+
+  // ============================================================================
+  // Spending Limits
+  // ============================================================================
+
+  describe('Spending Limits', () => {
+    let service;
+
+    beforeEach(async () => {
+      service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 20);
+    });
+
+    test('should allow a tip within the limit', () => {
+      const check = service.checkSpendingLimit(5, 50);
+
+      expect(check.allowed).toBe(true);
+      expect(check.percentUsed).toBe(10);
+    });
+
+    test('should warn at 90% of the limit', async () => {
+      await service.sendTip(20, streamer.address);
+
+      const check = service.checkSpendingLimit(25, 50);
+
+      expect(check.allowed).toBe(true);
+      expect(check.warning).toBe(true);
+      expect(check.percentUsed).toBeGreaterThanOrEqual(90);
+    });
+
+    test('should refuse a tip over the limit', async () => {
+      await service.sendTip(20, streamer.address);
+
+      const check = service.checkSpendingLimit(35, 50);
+
+      expect(check.allowed).toBe(false);
+      expect(check.reason).toBe('Spending limit exceeded');
+    });
+  });
+
+  // ============================================================================
+  // Session Closing
+  // ============================================================================
+
+  describe('Session Closing', () => {
+    let service;
+
+    beforeEach(async () => {
+      service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 20);
+    });
+
+    test('should close the session and return what was not spent', async () => {
+      const onSessionClosed = jest.fn();
+      service.on('onSessionClosed', onSessionClosed);
+      await service.sendTip(5, streamer.address);
+
+      const result = await service.endStreamSession();
+
+      expect(result).toMatchObject({ success: true, totalSpent: 5, unusedBalance: 15 });
+      expect(onSessionClosed).toHaveBeenCalled();
+      expect(service.getSessionInfo()).toBeNull();
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('95');
+    });
+
+    test('should refuse to close a session twice', async () => {
+      await service.endStreamSession();
+
+      await expect(service.endStreamSession()).rejects.toThrow('No active stream session to end');
+    });
+
+    test('should restore a session left open by a previous page load', async () => {
+      const { sessionId } = service.getSessionInfo();
+      await service.sendTip(5, streamer.address);
+      service.disconnect();
+
+      const reloaded = await connect(viewer);
+
+      expect(reloaded.getSessionInfo(streamer.address)).toMatchObject({
+        sessionId,
+        initialDeposit: 20,
+        currentBalance: 15,
+        spent: 5,
+        commission: 0.5,
+        commissionRate: 10,
+        treasury: TREASURY_ADDRESS,
+      });
+
+      await reloaded.sendTip(1, streamer.address);
+      const summary = await reloaded.endStreamSession();
+
+      expect(summary).toMatchObject({ totalSpent: 6, unusedBalance: 14 });
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('94');
+      expect(clearNode.simulator.balanceOf(streamer.address)).toBe('5.4');
+      expect(clearNode.simulator.balanceOf(TREASURY_ADDRESS)).toBe('0.6');
+    });
+  });
+
+  // ============================================================================
+  // Viewer Flow
+  // ============================================================================
+
+  describe('Viewer Flow', () => {
+    test('should connect, tip several times and close', async () => {
+      const service = await connect(viewer);
+
+      const session = await service.createStreamSession(streamer.address, 50);
+      expect(session.success).toBe(true);
+
+      await service.sendTip(1, streamer.address);
+      await service.sendTip(2.5, streamer.address);
+      await service.sendTip(5, streamer.address);
+      expect(service.getSessionInfo()).toMatchObject({ spent: 8.5, currentBalance: 41.5 });
+
+      const summary = await service.endStreamSession();
+      expect(summary).toMatchObject({ totalSpent: 8.5, unusedBalance: 41.5 });
+      expect(clearNode.simulator.balanceOf(viewer.address)).toBe('91.5');
+    });
+  });
+
+  // ============================================================================
+  // Error Replies
+  // ============================================================================
+
+  describe('Error Replies', () => {
+    test('should fail the tip and keep the balance when ClearNode rejects it', async () => {
+      const service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 10);
+      clearNode.script({
+        method: 'submit_app_state',
+        action: 'error',
+        message: 'insufficient funds',
+        after: 1,
+      });
+
+      await service.sendTip(1, streamer.address);
+      await expect(service.sendTip(2, streamer.address)).rejects.toThrow('insufficient funds');
+
+      const entries = await service.getTipJournal();
+      expect(entries.map((entry) => [entry.amount, entry.status])).toEqual(
+        expect.arrayContaining([['1000000', 'confirmed'], ['2000000', 'failed']])
+      );
+      expect(service.getSessionInfo().currentBalance).toBe(9);
+    });
+
+    test('should adopt the server version after an unanswered update', async () => {
+      const service = await connect(viewer, { requestTimeout: 200 });
+      await service.createStreamSession(streamer.address, 10);
+      clearNode.script({ method: 'submit_app_state', action: 'drop' });
+
+      await expect(service.sendTip(1, streamer.address)).rejects.toThrow('did not answer');
+      const result = await service.sendTip(1, streamer.address);
+
+      // The unanswered update was applied, so the next one is version 3
+      expect(result.version).toBe(3);
+      const entries = await service.getTipJournal();
+      expect(entries.map((entry) => entry.status)).toEqual(['confirmed', 'confirmed']);
+    });
+  });
+
+  // ============================================================================
+  // Reconnect & Re-authentication
+  // ============================================================================
+
+  describe('Reconnect & Re-authentication', () => {
+    test('should re-authenticate with the JWT, without a new wallet signature', async () => {
+      const signTypedData = jest.fn(viewer.client.signTypedData);
+      const service = await connect(viewer);
+      service.walletClient = { ...viewer.client, signTypedData };
+      const reauthenticated = nextEvent(service, 'onReauthenticated');
+
+      clearNode.dropConnections();
+
+      await expect(reauthenticated).resolves.toEqual({ method: 'jwt' });
+      expect(service.getState()).toBe(CONNECTION_STATE.READY);
+      expect(signTypedData).not.toHaveBeenCalled();
+    });
+
+    test('should send tips queued during the outage once reconnected', async () => {
+      const service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 10);
+
+      clearNode.dropConnections();
+      await nextEvent(service, 'onDisconnected');
+      const queueChanged = nextEvent(service, 'onTipQueueChanged');
+      const queued = service.sendTip(1, streamer.address);
+      expect((await queueChanged).tips).toHaveLength(1);
+
+      await expect(queued).resolves.toMatchObject({ success: true, version: 2 });
+      expect(service.getSessionInfo().currentBalance).toBe(9);
+    });
+
+    test('should recover when the connection drops mid-request', async () => {
+      const service = await connect(viewer);
+      await service.createStreamSession(streamer.address, 10);
+      clearNode.script({ method: 'submit_app_state', action: 'disconnect' });
+      const reauthenticated = nextEvent(service, 'onReauthenticated');
+
+      await expect(service.sendTip(1, streamer.address)).rejects.toMatchObject({
+        code: ERROR_CODES.CONNECTION_LOST,
+        retryable: true,
+      });
+      await reauthenticated;
+
+      const result = await service.sendTip(1, streamer.address);
+      expect(result.version).toBe(2);
+    });
+  });
+});
@@ -4,28 +4,182 @@
  * Uses @erc7824/nitrolite SDK for:
  * - Challenge-response authentication (EIP-712)
  * - Session key management (no wallet popups after initial auth)
- * - Off-chain transfers via createTransferMessage ($0 gas tips)
+ * - App sessions between viewer and streamer ($0 gas tips as state updates)
  * - Message parsing via parseAnyRPCResponse
  *
  * Flow:
  *   1. initialize(provider, walletClient) → connect WS + Nitrolite auth
- *   2. createStreamSession(streamer, amount) → local session tracking
- *   3. sendTip(amount, streamer) → createTransferMessage (session-key signed)
- *   4. endStreamSession() → close local session
+ *   2. createStreamSession(streamer, amount) → create_app_session with the
+ *      deposit allocated to the viewer; one per streamer, several may be open
+ *   3. sendTip(amount, streamer) → submit_app_state moving the tip to the
+ *      streamer (session-key signed), resolved once ClearNode accepts it
+ *   4. endStreamSession(sessionOrStreamer) → close_app_session with the final
+ *      allocations; ClearNode pays both sides out of the app session
+ *
+ * After a dropped connection the service reconnects and re-authenticates
+ * silently with the stored JWT; the wallet is only asked to sign again when
+ * that JWT has expired or is rejected.
+ *
+ * All accounting is done in bigint asset units (see ./money); numbers in
+ * results and events are derived from those for display only.
+ *
+ * Every tip is written to a persistent TipJournal (pending → confirmed/failed);
+ * pending entries left over from a reload are reconciled against ClearNode
+ * (app session versions) after authentication.
+ *
+ * With `{ aggregate: true }` rapid taps to one streamer are collected for
+ * `aggregationWindow` ms and sent as a single combined transfer; its
+ * journal entry lists the individual tips as `parts`.
+ *
+ * Every tip is checked against a SpendPolicy first: session, daily and
+ * per-streamer caps, a tips-per-minute limit and a confirmation threshold.
+ *
+ * Each closed session leaves a receipt (tips, commission split) signed by
+ * the session key in a persistent ReceiptStore; see ./receipts.
+ *
+ * Failures are thrown and reported (`onError`) as YellowTokErrors from
+ * ./errors, with a stable `code`, a `retryable` flag and the original
+ * failure as `cause`.
  */
 
 import {
   createAuthRequestMessage,
   createAuthVerifyMessage,
+  createAuthVerifyMessageWithJWT,
   createEIP712AuthMessageSigner,
   createECDSAMessageSigner,
-  createTransferMessage,
+  createRevokeSessionKeyMessage,
+  createAppSessionMessage,
+  createSubmitAppStateMessage,
+  createCloseAppSessionMessage,
+  createGetAppSessionsMessage,
   createGetLedgerBalancesMessage,
+  createGetSessionKeysMessage,
+  createGetLedgerTransactionsMessage,
+  createPingMessageV2,
   parseAnyRPCResponse,
+  RPCAppStateIntent,
+  RPCChannelStatus,
   RPCMethod,
+  RPCProtocolVersion,
+  RPCTxType,
 } from '@erc7824/nitrolite';
 import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
-import { getAddress } from 'viem';
+import { getAddress, isAddress } from 'viem';
+import TipJournal, { TIP_STATUS, createTipId } from './TipJournal';
+import SecretStore from './SecretStore';
+import ReceiptStore from './ReceiptStore';
+import SpendPolicy, { POLICY_RULES } from './SpendPolicy';
+import { RECEIPT_VERSION, receiptMessage } from './receipts';
+import { parseAmount, toDecimalString, formatAmount, toNumber, percentOf } from './money';
+import { logger as sharedLogger, LOG_NAMESPACES } from './logger';
+import {
+  ERROR_CODES,
+  YellowTokError,
+  ValidationError,
+  ConfigError,
+  WalletError,
+  CancelledError,
+  ConnectionError,
+  AuthError,
+  SessionKeyError,
+  ClearNodeError,
+  isUserRejection,
+  toYellowTokError,
+} from './errors';
+
+export {
+  ERROR_CODES,
+  YellowTokError,
+  ValidationError,
+  ConfigError,
+  WalletError,
+  CancelledError,
+  ConnectionError,
+  AuthError,
+  SessionKeyError,
+  ClearNodeError,
+  SettlementError,
+  isUserRejection,
+  toYellowTokError,
+} from './errors';
+export { RECEIPT_VERSION, verifyReceipt, receiptsToJSON, receiptsToCSV } from './receipts';
+
+const JWT_STORAGE_KEY = 'yellowtok_jwt';
+const SESSION_KEY_STORAGE_KEY = 'yellowtok_session_key';
+
+/** Default retry policy after the connection drops (see `config.reconnect`) */
+const DEFAULT_RECONNECT_POLICY = Object.freeze({
+  maxAttempts: 5, // Infinity = never give up
+  baseDelay: 1000, // ms; doubles every attempt
+  maxDelay: 30000, // ms
+  jitter: 0.2, // up to this fraction of the delay is randomly removed
+});
+
+const WS_CONNECTING = 0; // WebSocket.CONNECTING
+
+/** How ledger transaction types show up in the history; others are not tips */
+const HISTORY_KINDS = Object.freeze({
+  [RPCTxType.Transfer]: 'tip',
+  [RPCTxType.AppDeposit]: 'session_deposit', // budget locked into a stream session
+  [RPCTxType.AppWithdrawal]: 'session_payout', // tips received, or unused budget back, at session close
+});
+
+/** Ledger pages scanned per `getTransactionHistory` call before handing back a cursor */
+const HISTORY_MAX_PAGES = 10;
+
+/** Connection lifecycle, reported through `onStateChange` */
+export const CONNECTION_STATE = Object.freeze({
+  IDLE: 'idle', // not initialized yet
+  CONNECTING: 'connecting', // opening the socket
+  AUTHENTICATING: 'authenticating', // socket open, session key not (yet) authorized
+  READY: 'ready', // authenticated — tips are sent right away
+  RECONNECTING: 'reconnecting', // connection lost, retrying (tips are queued)
+  FAILED: 'failed', // gave up; initialize() again to retry
+  CLOSED: 'closed', // disconnected or initialize() cancelled
+});
+
+const {
+  IDLE, CONNECTING, AUTHENTICATING, READY, RECONNECTING, FAILED, CLOSED,
+} = CONNECTION_STATE;
+
+/** Allowed transitions: state → states it may move to */
+const STATE_TRANSITIONS = Object.freeze({
+  [IDLE]: [CONNECTING, CLOSED],
+  [CONNECTING]: [AUTHENTICATING, FAILED, CLOSED],
+  [AUTHENTICATING]: [READY, RECONNECTING, FAILED, CLOSED],
+  [READY]: [AUTHENTICATING, RECONNECTING, CLOSED],
+  [RECONNECTING]: [AUTHENTICATING, FAILED, CLOSED],
+  [FAILED]: [CONNECTING, RECONNECTING, CLOSED],
+  [CLOSED]: [CONNECTING],
+});
+
+/** Events emitted by the service */
+export const SERVICE_EVENTS = Object.freeze([
+  'onConnected',
+  'onDisconnected',
+  'onSessionCreated',
+  'onSessionRestored',
+  'onTipReceived',
+  'onTipSent',
+  'onBalanceUpdate',
+  'onSessionBalanceVerified',
+  'onBalanceDiscrepancy',
+  'onSessionClosed',
+  'onJournalUpdated',
+  'onTipQueueChanged',
+  'onReconnecting',
+  'onReauthenticated',
+  'onSessionKeyExpiring',
+  'onSessionKeyExpired',
+  'onSessionKeyRenewed',
+  'onSessionKeyRevoked',
+  'onStateChange',
+  'onError',
+]);
+
+/** Subscribe to this to receive every event as `(event, data)` */
+export const WILDCARD_EVENT = '*';
 
 class YellowTokService {
   constructor(config = {}) {
@@ -34,42 +188,105 @@ class YellowTokService {
       clearnodeUrl: config.clearnodeUrl || 'wss://clearnet-sandbox.yellow.com/ws',
       standardCommission: config.standardCommission || 10,
       partnerCommission: config.partnerCommission || 3,
+      treasuryAddress: config.treasuryAddress || null, // receives the platform commission
       defaultAsset: config.defaultAsset || 'ytest.usd',
       assetDecimals: config.assetDecimals || 6,
       appName: config.appName || 'YellowTok',
       authScope: config.authScope || 'yellowtok.app',
       sessionDuration: config.sessionDuration || 3600, // 1 hour
+      spendAllowance: config.spendAllowance || '10000', // session key allowance in whole tokens (the user's spend limit)
+      renewBeforeExpiry: config.renewBeforeExpiry || 5 * 60 * 1000, // ms before key expiry to ask for renewal
+      requestTimeout: config.requestTimeout || 15000, // ms to wait for an RPC reply
+      heartbeatInterval: config.heartbeatInterval ?? 15000, // ms of silence before we ping (0 = off)
+      heartbeatTimeout: config.heartbeatTimeout || 10000, // ms to wait for the pong
+      balanceCheckInterval: config.balanceCheckInterval ?? 60000, // ms between ledger checks while a session is open (0 = off)
+      receivedTipsLimit: config.receivedTipsLimit || 100, // tips kept in the received feed
+      historyPageSize: config.historyPageSize || 100, // ledger transactions per history request
+      aggregationWindow: config.aggregationWindow ?? 250, // ms taps are collected for with { aggregate: true }
       ...config,
     };
+    this.config.reconnect = { ...DEFAULT_RECONNECT_POLICY, ...config.reconnect };
+
+    // A mistyped treasury would have every commission sent to ClearNode
+    // as an allocation it rejects — refuse it up front instead
+    if (this.config.treasuryAddress && !isAddress(this.config.treasuryAddress)) {
+      throw new ConfigError(`Invalid treasury address: ${this.config.treasuryAddress}`);
+    }
 
     // Connection state
+    // Opens the ClearNode socket: url → WebSocket-like object (see ClearNodeSimulator)
+    this.transport = config.transport || ((url) => new WebSocket(url));
     this.ws = null;
     this.connected = false;
     this.authenticated = false;
+    this.state = IDLE; // see CONNECTION_STATE
+    this.initializing = false; // initialize() owns failures while true
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.heartbeatInFlight = false;
+    this.lastMessageAt = 0; // any traffic proves the socket is alive
+    this.networkListeners = null; // window online/offline handlers
+
+    // Outgoing RPC requests awaiting a ClearNode reply, keyed by request id
+    this.pendingRequests = new Map();
 
     // User & session key state
     this.userAddress = null;
     this.walletClient = null; // viem WalletClient for EIP-712 signing
     this.sessionKey = null; // { privateKey, address } — ephemeral key
     this.sessionSigner = null; // ECDSA signer from session key
+    this.sessionKeyExpiresAt = null; // ms; set once ClearNode has registered the key
+    this.sessionKeyTimers = []; // renewal reminder + expiry
+    this.renewingSessionKey = false;
 
-    // Session state
+    // Session state: every open session by sessionId (one per streamer);
+    // activeStreamSession is the most recently opened one, used as the
+    // default when no session or streamer is given
     this.activeSessions = new Map();
     this.activeStreamSession = null;
 
-    // Event callbacks
-    this.eventHandlers = {
-      onConnected: null,
-      onDisconnected: null,
-      onSessionCreated: null,
-      onTipReceived: null,
-      onTipSent: null,
-      onBalanceUpdate: null,
-      onSessionClosed: null,
-      onError: null,
+    // App state updates must reach ClearNode one version at a time:
+    // sessionId → promise of the last update submitted for that session
+    this.appStateChains = new Map();
+    this.balanceCheckTimer = null; // periodic ledger reconciliation
+
+    // Persistent tip history (IndexedDB) + ids of tips currently in flight
+    this.journal = config.journal || new TipJournal();
+    // Session key + JWT, encrypted at rest
+    this.secrets = config.secretStore || new SecretStore();
+    // Signed receipts of closed sessions (IndexedDB)
+    this.receipts = config.receiptStore || new ReceiptStore();
+    // Spending caps and rate limit; each wallet's totals for today survive reloads (localStorage)
+    this.policy = new SpendPolicy({
+      rules: config.spendPolicy,
+      decimals: this.config.assetDecimals,
+      storage: config.policyStorage,
+    });
+    this.inFlightTipIds = new Set();
+    // Leveled, redacting logger (see ./logger); one child per namespace
+    this.logger = config.logger || sharedLogger;
+    this.log = {
+      yellow: this.logger.child(LOG_NAMESPACES.YELLOW),
+      local: this.logger.child(LOG_NAMESPACES.LOCAL),
+      settlement: this.logger.child(LOG_NAMESPACES.SETTLEMENT),
     };
+
+    // Receive mode: tips credited to this wallet, newest first (bounded),
+    // and the last allocations seen per app session we take part in
+    this.receivedTips = [];
+    this.incomingAppSessions = new Map();
+
+    // Tips made while disconnected/re-authenticating, sent in order later
+    this.tipQueue = [];
+    this.flushingTipQueue = false;
+    // Taps collected with { aggregate: true }: sessionId → { session, parts, timer }
+    this.tipAggregates = new Map();
+
+    // Event listeners: event name → Set of handlers ('*' receives every event)
+    this.listeners = new Map(
+      [...SERVICE_EVENTS, WILDCARD_EVENT].map((event) => [event, new Set()])
+    );
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -78,99 +295,477 @@ class YellowTokService {
 
   /**
    * Initialize the service: connect wallet, WebSocket, and authenticate.
+   * Aborting `options.signal` stops waiting for the wallet signature or a
+   * hung connection, closes the socket and resolves with `aborted: true`.
    *
    * @param {Object} walletProvider — window.ethereum
    * @param {Object} walletClient  — viem WalletClient from wagmi (for EIP-712)
-   * @returns {Promise<Object>} { success, address }
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} { success, address } or { success: false, error, aborted? }
    */
-  async initialize(walletProvider, walletClient) {
+  async initialize(walletProvider, walletClient, options = {}) {
+    const { signal } = options;
+
+    if (this.state === READY) {
+      return { success: true, address: this.userAddress };
+    }
+    if (this.initializing || this.state === RECONNECTING) {
+      return { success: false, error: 'Already connecting to Yellow Network' };
+    }
+
+    this.initializing = true;
     try {
-      console.log('[YELLOW] 🚀 Initializing YellowTok Service...');
+      this._throwIfAborted(signal);
+      this.log.yellow.info('🚀 Initializing YellowTok Service...');
+      this._closeSocket(); // a failed earlier attempt may have left one open
+      this._setState(CONNECTING);
 
       // 1. Get user address from provider
-      const { userAddress } = await this._setupWallet(walletProvider);
+      const { userAddress } = await this._abortable(this._setupWallet(walletProvider), signal);
       this.userAddress = userAddress;
       this.walletClient = walletClient;
 
-      console.log('[YELLOW] 👛 Wallet connected:', userAddress);
+      this.log.yellow.info('👛 Wallet connected:', userAddress);
 
       // 2. Generate or restore ephemeral session key
-      this._initSessionKey();
-      console.log('[YELLOW] 🔑 Session key:', this.sessionKey.address);
+      await this._abortable(this._initSessionKey(), signal);
+      this.log.yellow.info('🔑 Session key:', this.sessionKey.address);
 
       // 3. Connect WebSocket to ClearNode
-      await this._connectToClearNode();
+      this._watchNetwork();
+      await this._abortable(this._connectToClearNode(), signal);
+      this._setState(AUTHENTICATING);
 
       // 4. Authenticate via Nitrolite (EIP-712 challenge-response)
       //    This is the ONLY wallet popup — after this, session key signs everything.
-      await this._authenticateWithNitrolite();
+      await this._abortable(this._authenticateWithNitrolite(), signal);
+
+      // 5. Settle tips left pending by a previous page load and pick up the
+      //    stream sessions it left open, before anything new is sent
+      await this._abortable(this._restoreAppSessions(), signal);
+      this._setState(READY);
 
       return { success: true, address: userAddress };
-    } catch (error) {
-      console.error('❌ Failed to initialize YellowTok Service:', error);
-      this._triggerEvent('onError', {
-        type: 'initialization_error',
-        message: error.message,
-        error,
-      });
-      return { success: false, error: error.message };
+    } catch (err) {
+      const error = toYellowTokError(err, 'Failed to connect to Yellow Network');
+      if (error.code === ERROR_CODES.CANCELLED) {
+        this.log.yellow.info('✋ Initialization cancelled');
+        this._closeSocket();
+        this._unwatchNetwork();
+        this._setState(CLOSED, { reason: 'cancelled' });
+        return {
+          success: false,
+          error: 'Initialization cancelled',
+          code: error.code,
+          retryable: error.retryable,
+          aborted: true,
+        };
+      }
+
+      this.log.yellow.error('❌ Failed to initialize YellowTok Service:', error);
+      this._setState(FAILED, { reason: error.message });
+      this._reportError('initialization_error', error);
+      return { success: false, error: error.message, code: error.code, retryable: error.retryable };
+    } finally {
+      this.initializing = false;
     }
   }
 
-  // ═══════════════════════════════════════════════════════════════
-  // SESSION KEY — ephemeral key for signing without wallet popups
-  // ═══════════════════════════════════════════════════════════════
+  /**
+   * Current connection state (see CONNECTION_STATE).
+   *
+   * @returns {string}
+   */
+  getState() {
+    return this.state;
+  }
 
   /**
-   * Generate or restore session key from localStorage.
+   * Move to `next` and emit `onStateChange`. Transitions the table doesn't
+   * allow are ignored, so a late event can't resurrect a closed service.
    * @private
    */
-  _initSessionKey() {
-    const STORAGE_KEY = 'yellowtok_session_key';
+  _setState(next, { reason } = {}) {
+    const previous = this.state;
+    if (previous === next) return;
+    if (!STATE_TRANSITIONS[previous].includes(next)) {
+      this.log.yellow.warn(`⚠️ Ignoring connection state change ${previous} → ${next}`);
+      return;
+    }
 
-    // Build a fingerprint of the auth config so that if allowances/scope change
-    // we generate a fresh session key (ClearNode won't update allowances for
-    // an existing key).
-    const configFingerprint = JSON.stringify({
-      asset: this.config.defaultAsset,
-      scope: this.config.authScope,
-      app: this.config.appName,
+    this.state = next;
+    this.log.yellow.info(`🚦 ${previous} → ${next}${reason ? ` (${reason})` : ''}`);
+    this._triggerEvent('onStateChange', { state: next, previous, reason: reason ?? null });
+  }
+
+  /**
+   * Reject with an AbortError as soon as `signal` aborts.
+   * @private
+   */
+  _abortable(promise, signal) {
+    if (!signal) return promise;
+    this._throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(this._abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
     });
+  }
+
+  /**
+   * @private
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) throw this._abortError();
+  }
+
+  /**
+   * @private
+   */
+  _abortError() {
+    return new CancelledError('Initialization cancelled');
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SESSION KEY — ephemeral key for signing without wallet popups
+  // ═══════════════════════════════════════════════════════════════
 
+  /**
+   * Generate or restore the session key from the encrypted secret store.
+   * A stored key is only reused while its registration has not expired.
+   * @private
+   */
+  async _initSessionKey() {
     try {
-      const stored = localStorage.getItem(STORAGE_KEY);
+      const stored = await this.secrets.getItem(SESSION_KEY_STORAGE_KEY);
       if (stored) {
         const parsed = JSON.parse(stored);
         if (
           parsed.privateKey &&
           parsed.address &&
-          parsed.configFingerprint === configFingerprint
+          parsed.configFingerprint === this._sessionKeyFingerprint() &&
+          !(parsed.expiresAt && parsed.expiresAt <= Date.now())
         ) {
           this.sessionKey = { privateKey: parsed.privateKey, address: parsed.address };
+          this.logger.addSecret(parsed.privateKey);
           this.sessionSigner = createECDSAMessageSigner(parsed.privateKey);
+          this.sessionKeyExpiresAt = parsed.expiresAt || null;
           return;
         }
-        // Config changed → invalidate old key so ClearNode registers fresh allowances
-        localStorage.removeItem(STORAGE_KEY);
+        // Config changed or key expired → ClearNode needs a fresh registration
+        await this.secrets.removeItem(SESSION_KEY_STORAGE_KEY);
       }
     } catch {
       /* generate new */
     }
 
-    // Generate fresh session key
+    this._generateSessionKey();
+    await this._persistSessionKey();
+  }
+
+  /**
+   * Fingerprint of the auth config: if allowances/scope change we generate a
+   * fresh session key (ClearNode won't update allowances for an existing key).
+   * @private
+   */
+  _sessionKeyFingerprint() {
+    return JSON.stringify({
+      asset: this.config.defaultAsset,
+      scope: this.config.authScope,
+      app: this.config.appName,
+      allowance: this._allowanceAmount(),
+    });
+  }
+
+  /**
+   * The session key allowance as sent to ClearNode.
+   * @private
+   */
+  _allowanceAmount() {
+    return toDecimalString(this._parseAmount(this.config.spendAllowance), this.config.assetDecimals);
+  }
+
+  /**
+   * Make `amount` the session key's ClearNode allowance, so the key can
+   * never move more than that. ClearNode keeps the allowance a key was
+   * registered with, so a change registers a fresh key (one wallet
+   * signature when authenticated; otherwise on the next authentication).
+   * If the user declines, the previous key and allowance stay in place.
+   *
+   * @param {number|string} amount — spend limit in USDC
+   * @returns {Promise<Object>} { allowance, reRegistered }
+   */
+  async setSpendAllowance(amount) {
+    const units = this._parseAmount(amount);
+    if (units <= 0n) {
+      throw new ValidationError('Spend limit must be greater than 0', {
+        code: ERROR_CODES.INVALID_AMOUNT,
+      });
+    }
+
+    const previous = this.config.spendAllowance;
+    const allowance = toDecimalString(units, this.config.assetDecimals);
+    if (allowance === this._allowanceAmount()) {
+      return { allowance, reRegistered: false };
+    }
+
+    this.config.spendAllowance = allowance;
+    this.log.yellow.info(`🔐 Session key allowance → $${this._formatAmount(units)}`);
+
+    if (!this._canSendTips()) {
+      // Not registered right now — the next authentication uses a fresh key
+      if (this.sessionKey) {
+        this._generateSessionKey();
+        await this._persistSessionKey();
+        await this._clearStoredJwt();
+      }
+      return { allowance, reRegistered: false };
+    }
+
+    try {
+      await this.renewSessionKey();
+    } catch (error) {
+      this.config.spendAllowance = previous;
+      throw error;
+    }
+    return { allowance, reRegistered: true };
+  }
+
+  /**
+   * Allowance left on the current session key, as reported by ClearNode
+   * (`get_session_keys`). Null when ClearNode doesn't list the key.
+   *
+   * @returns {Promise<Object|null>} { asset, allowance, used, remaining } (asset units)
+   */
+  async getSessionKeyAllowance() {
+    if (!this._canSendTips()) {
+      throw this._notAuthenticatedError('Not authenticated with Yellow Network');
+    }
+
+    const payload = await createGetSessionKeysMessage(this.sessionSigner);
+    const response = await this._sendRequest(payload);
+    const address = this.sessionKey.address.toLowerCase();
+    const key = (response.params?.sessionKeys || []).find(
+      (entry) => entry.sessionKey?.toLowerCase() === address
+    );
+    const usage = key?.allowances?.find((entry) => entry.asset === this.config.defaultAsset);
+    if (!usage) return null;
+
+    const allowance = this._parseAmount(usage.allowance);
+    const used = this._parseAmount(usage.used);
+    return {
+      asset: usage.asset,
+      allowance,
+      used,
+      remaining: allowance > used ? allowance - used : 0n,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _generateSessionKey() {
     const privateKey = generatePrivateKey();
     const account = privateKeyToAccount(privateKey);
     this.sessionKey = { privateKey, address: account.address };
+    this.logger.addSecret(privateKey);
     this.sessionSigner = createECDSAMessageSigner(privateKey);
+    this.sessionKeyExpiresAt = null;
+  }
 
+  /**
+   * Save the current key with its expiry.
+   * @private
+   */
+  async _persistSessionKey() {
     try {
-      localStorage.setItem(
-        STORAGE_KEY,
-        JSON.stringify({ ...this.sessionKey, configFingerprint })
+      await this.secrets.setItem(
+        SESSION_KEY_STORAGE_KEY,
+        JSON.stringify({
+          ...this.sessionKey,
+          configFingerprint: this._sessionKeyFingerprint(),
+          expiresAt: this.sessionKeyExpiresAt,
+        })
       );
-    } catch {
-      /* non-critical */
+    } catch (err) {
+      this.log.local.warn('⚠️ Could not store session key:', err?.message);
+    }
+  }
+
+  /**
+   * Current session key and when its registration lapses.
+   *
+   * @returns {Object|null} { address, expiresAt, expired, expiringSoon }
+   */
+  getSessionKeyInfo() {
+    if (!this.sessionKey) return null;
+    const expiresAt = this.sessionKeyExpiresAt;
+    return {
+      address: this.sessionKey.address,
+      expiresAt,
+      expired: this._isSessionKeyExpired(),
+      expiringSoon:
+        expiresAt !== null && expiresAt - Date.now() <= this.config.renewBeforeExpiry,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _isSessionKeyExpired() {
+    return this.sessionKeyExpiresAt !== null && this.sessionKeyExpiresAt <= Date.now();
+  }
+
+  /**
+   * Authorize a fresh session key with one EIP-712 signature, whenever the
+   * user chooses (typically after `onSessionKeyExpiring`). Tips made while
+   * the wallet prompt is open are queued and sent with the new key. On
+   * failure the previous key stays in place.
+   *
+   * @returns {Promise<Object>} { address, expiresAt }
+   */
+  async renewSessionKey() {
+    if (!this.connected) {
+      throw new ConnectionError('Not connected to Yellow Network', {
+        code: ERROR_CODES.NOT_CONNECTED,
+      });
+    }
+    if (this.renewingSessionKey) {
+      throw new SessionKeyError('Session key renewal already in progress', {
+        code: ERROR_CODES.SESSION_KEY_BUSY,
+      });
+    }
+
+    const previous = {
+      sessionKey: this.sessionKey,
+      sessionSigner: this.sessionSigner,
+      sessionKeyExpiresAt: this.sessionKeyExpiresAt,
+    };
+
+    this.renewingSessionKey = true;
+    this._setState(AUTHENTICATING, { reason: 'renewing session key' });
+    try {
+      this.log.yellow.info('🔑 Renewing session key...');
+      this._generateSessionKey();
+      await this._authenticateWithNitrolite();
+    } catch (err) {
+      Object.assign(this, previous);
+      // The previous key is still authorized → back to ready
+      if (this.authenticated && this.state === AUTHENTICATING) {
+        this._setState(READY);
+      }
+      const error = toYellowTokError(err, 'Could not renew the session key');
+      this._reportError('session_key_error', error);
+      throw error;
+    } finally {
+      this.renewingSessionKey = false;
+    }
+
+    if (this.state === AUTHENTICATING) {
+      this._setState(READY);
+    }
+    const { address } = this.sessionKey;
+    this.log.yellow.info(
+      `✅ Session key renewed: ${address} (valid until ${new Date(this.sessionKeyExpiresAt).toLocaleTimeString()})`
+    );
+    this._triggerEvent('onSessionKeyRenewed', { address, expiresAt: this.sessionKeyExpiresAt });
+    this._flushTipQueue();
+
+    return { address, expiresAt: this.sessionKeyExpiresAt };
+  }
+
+  /**
+   * Revoke this device's session key: ClearNode stops accepting it, it is
+   * removed from storage and the service signs nothing more with it.
+   * Queued tips are dropped. Call `renewSessionKey()` to authorize a new one.
+   *
+   * @returns {Promise<Object>} { address, revokedOnClearNode }
+   */
+  async revokeSessionKey() {
+    if (!this.sessionKey) {
+      throw new SessionKeyError('No session key to revoke', {
+        code: ERROR_CODES.SESSION_KEY_MISSING,
+      });
+    }
+
+    const { address } = this.sessionKey;
+    let revokedOnClearNode = false;
+
+    // Best effort: an unreachable ClearNode must not keep the key on this device
+    if (this._canSendTips() && !this._isSessionKeyExpired()) {
+      try {
+        const payload = await createRevokeSessionKeyMessage(this.sessionSigner, address);
+        await this._sendRequest(payload);
+        revokedOnClearNode = true;
+      } catch (err) {
+        this.log.yellow.warn('⚠️ ClearNode did not confirm the session key revocation:', err.message);
+      }
+    }
+
+    this._dropQueuedTips(() => true, 'the session key was revoked');
+    this._clearSessionKeyTimers();
+    this.sessionKey = null;
+    this.sessionSigner = null;
+    this.sessionKeyExpiresAt = null;
+    this.authenticated = false;
+    if (this.state === READY) {
+      this._setState(AUTHENTICATING, { reason: 'session key revoked' });
+    }
+    await this.secrets.removeItem(SESSION_KEY_STORAGE_KEY).catch(() => {});
+    // The JWT was issued for the revoked key
+    await this._clearStoredJwt();
+
+    this.log.yellow.info(`🗑️ Session key ${address} revoked`);
+    this._triggerEvent('onSessionKeyRevoked', { address, revokedOnClearNode });
+
+    return { address, revokedOnClearNode };
+  }
+
+  /**
+   * Remind the user shortly before the key lapses, and stop signing with it
+   * once it has.
+   * @private
+   */
+  _scheduleSessionKeyExpiry() {
+    this._clearSessionKeyTimers();
+    if (this.sessionKeyExpiresAt === null) return;
+
+    const expiresAt = this.sessionKeyExpiresAt;
+    const untilExpiry = expiresAt - Date.now();
+    const untilReminder = Math.max(0, untilExpiry - this.config.renewBeforeExpiry);
+
+    this.sessionKeyTimers = [
+      setTimeout(() => {
+        this.log.yellow.info('⏳ Session key expires soon — renew to keep tipping');
+        this._triggerEvent('onSessionKeyExpiring', { expiresAt });
+      }, untilReminder),
+      setTimeout(() => this._expireSessionKey(), Math.max(0, untilExpiry)),
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _clearSessionKeyTimers() {
+    this.sessionKeyTimers.forEach(clearTimeout);
+    this.sessionKeyTimers = [];
+  }
+
+  /**
+   * The key's registration lapsed: ClearNode would reject anything it
+   * signs, so stop sending (new tips are queued until renewal).
+   * @private
+   */
+  _expireSessionKey() {
+    this.log.yellow.warn('⌛ Session key expired — tips are queued until it is renewed');
+    this.authenticated = false;
+    if (this.state === READY) {
+      this._setState(AUTHENTICATING, { reason: 'session key expired' });
     }
+    this._clearStoredJwt();
+    this._triggerEvent('onSessionKeyExpired', { expiresAt: this.sessionKeyExpiresAt });
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -182,17 +777,28 @@ class YellowTokService {
    */
   async _setupWallet(walletProvider) {
     if (!walletProvider) {
-      throw new Error(
-        'No wallet provider available. Please install MetaMask or another Web3 wallet.'
+      throw new WalletError(
+        'No wallet provider available. Please install MetaMask or another Web3 wallet.',
+        { code: ERROR_CODES.WALLET_NOT_FOUND }
       );
     }
 
-    const accounts = await walletProvider.request({
-      method: 'eth_requestAccounts',
-    });
+    let accounts;
+    try {
+      accounts = await walletProvider.request({ method: 'eth_requestAccounts' });
+    } catch (err) {
+      throw isUserRejection(err)
+        ? new WalletError('Wallet connection was rejected', {
+          code: ERROR_CODES.USER_REJECTED,
+          cause: err,
+        })
+        : toYellowTokError(err, 'Could not read the wallet accounts');
+    }
 
     if (!accounts || accounts.length === 0) {
-      throw new Error('No accounts found. Please unlock your wallet.');
+      throw new WalletError('No accounts found. Please unlock your wallet.', {
+        code: ERROR_CODES.NO_ACCOUNTS,
+      });
     }
 
     return { userAddress: getAddress(accounts[0]) };
@@ -207,43 +813,141 @@ class YellowTokService {
    */
   async _connectToClearNode() {
     return new Promise((resolve, reject) => {
-      console.log('[YELLOW] 🔌 Connecting to Yellow Network ClearNode...');
+      this.log.yellow.info('🔌 Connecting to Yellow Network ClearNode...');
 
-      this.ws = new WebSocket(this.config.clearnodeUrl);
+      this.ws = this.transport(this.config.clearnodeUrl);
 
       this.ws.onopen = () => {
-        console.log('[YELLOW] ✅ Connected to Yellow Network ClearNode');
+        this.log.yellow.info('✅ Connected to Yellow Network ClearNode');
         this.connected = true;
         this.reconnectAttempts = 0;
+        this.lastMessageAt = Date.now();
+        this._startHeartbeat();
         this._triggerEvent('onConnected');
         resolve();
       };
 
       // Persistent message handler for post-auth messages
       this.ws.addEventListener('message', (event) => {
+        this.lastMessageAt = Date.now();
         this._handleMessage(event.data);
       });
 
-      this.ws.onerror = (error) => {
-        console.error('❌ ClearNode connection error:', error);
-        this._triggerEvent('onError', {
-          type: 'connection_error',
-          message: 'Failed to connect to Yellow Network',
-          error,
+      this.ws.onerror = (event) => {
+        this.log.yellow.error('❌ ClearNode connection error:', event);
+        const error = new ConnectionError('Failed to connect to Yellow Network', {
+          code: ERROR_CODES.CONNECTION_FAILED,
+          cause: event,
         });
+        this._reportError('connection_error', error);
         reject(error);
       };
 
-      this.ws.onclose = () => {
-        console.log('[YELLOW] 🔌 Disconnected from Yellow Network');
-        this.connected = false;
-        this.authenticated = false;
-        this._triggerEvent('onDisconnected');
-        this._attemptReconnect();
-      };
+      this.ws.onclose = () => this._handleConnectionLost();
     });
   }
 
+  /**
+   * The socket closed (or was declared dead): fail in-flight requests and
+   * start reconnecting.
+   * @private
+   */
+  _handleConnectionLost() {
+    this.log.yellow.info('🔌 Disconnected from Yellow Network');
+    this.connected = false;
+    this.authenticated = false;
+    this._stopHeartbeat();
+    this._rejectPendingRequests(
+      new ConnectionError('Connection to Yellow Network lost before ClearNode replied', {
+        code: ERROR_CODES.CONNECTION_LOST,
+      })
+    );
+    this._triggerEvent('onDisconnected');
+
+    // While initialize() runs, its own failure handling applies
+    const established =
+      !this.initializing && [READY, AUTHENTICATING, RECONNECTING].includes(this.state);
+    if (established) {
+      this._setState(RECONNECTING, { reason: 'connection lost' });
+      this._attemptReconnect();
+    }
+  }
+
+  /**
+   * Close the socket without triggering the reconnect path.
+   * @private
+   */
+  _closeSocket() {
+    this._stopHeartbeat();
+    this.connected = false;
+    this.authenticated = false;
+    if (!this.ws) return;
+    this.ws.onopen = null;
+    this.ws.onclose = null;
+    this.ws.onerror = null;
+    try {
+      this.ws.close();
+    } catch {
+      /* already closed */
+    }
+    this.ws = null;
+  }
+
+  /**
+   * Abandon the current socket without waiting for a close handshake —
+   * a half-open socket may never deliver its close event.
+   * @private
+   */
+  _dropConnection(reason) {
+    this.log.yellow.warn(`💀 ${reason} — dropping the connection`);
+    this._closeSocket();
+    this._handleConnectionLost();
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // HEARTBEAT — detect half-open sockets
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    if (!this.config.heartbeatInterval) return;
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.config.heartbeatInterval);
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Ping ClearNode after a quiet period; no pong within `heartbeatTimeout`
+   * means the socket is dead even though it still looks open.
+   * @private
+   */
+  async _heartbeat() {
+    if (!this.connected || this.heartbeatInFlight) return;
+    if (Date.now() - this.lastMessageAt < this.config.heartbeatInterval) return;
+
+    const socket = this.ws;
+    this.heartbeatInFlight = true;
+    try {
+      await this._sendRequest(createPingMessageV2(), this.config.heartbeatTimeout);
+    } catch (err) {
+      // An error reply still proves the socket is alive
+      if (err.code !== ERROR_CODES.CLEARNODE_REJECTED && this.ws === socket && this.connected) {
+        this._dropConnection(`No pong within ${this.config.heartbeatTimeout / 1000}s`);
+      }
+    } finally {
+      this.heartbeatInFlight = false;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // NITROLITE AUTHENTICATION (EIP-712 challenge-response)
   // ═══════════════════════════════════════════════════════════════
@@ -260,15 +964,25 @@ class YellowTokService {
    * @private
    */
   async _authenticateWithNitrolite() {
-    if (!this.walletClient || !this.sessionKey) {
-      throw new Error('Wallet client and session key required for authentication');
+    // An expired (or revoked) key can't be registered again — use a fresh one
+    if (!this.sessionKey || this._isSessionKeyExpired()) {
+      this._generateSessionKey();
+    }
+
+    if (!this.walletClient) {
+      throw new WalletError('Wallet client and session key required for authentication', {
+        code: ERROR_CODES.WALLET_NOT_FOUND,
+      });
     }
 
     return new Promise(async (resolve, reject) => {
-      // Expire timestamp must be IDENTICAL in request and verify
+      // Expire timestamp and allowances must be IDENTICAL in request and verify
       const sessionExpire = String(
         Math.floor(Date.now() / 1000) + this.config.sessionDuration
       );
+      const allowances = [
+        { asset: this.config.defaultAsset, amount: this._allowanceAmount() },
+      ];
 
       let authTimeout;
       let onClose;
@@ -285,13 +999,21 @@ class YellowTokService {
       // Timeout (30s)
       authTimeout = setTimeout(() => {
         cleanup();
-        reject(new Error('Authentication timed out (30s). ClearNode may be unreachable.'));
+        reject(
+          new AuthError('Authentication timed out (30s). ClearNode may be unreachable.', {
+            code: ERROR_CODES.AUTH_TIMEOUT,
+          })
+        );
       }, 30000);
 
       // Handle disconnection during auth
       onClose = () => {
         cleanup();
-        reject(new Error('Connection lost during authentication'));
+        reject(
+          new ConnectionError('Connection lost during authentication', {
+            code: ERROR_CODES.CONNECTION_LOST,
+          })
+        );
       };
       this.ws.addEventListener('close', onClose);
 
@@ -311,7 +1033,7 @@ class YellowTokService {
 
           // ── Step 2: Challenge received → sign with EIP-712 ──
           if (response.method === RPCMethod.AuthChallenge) {
-            console.log('[YELLOW] 🔑 Auth challenge received, signing with EIP-712...');
+            this.log.yellow.info('🔑 Auth challenge received, signing with EIP-712...');
 
             try {
               // PartialEIP712AuthMessage requires: scope, session_key, expires_at, allowances
@@ -319,9 +1041,7 @@ class YellowTokService {
                 scope: this.config.authScope,
                 session_key: this.sessionKey.address,
                 expires_at: BigInt(sessionExpire),
-                allowances: [
-                  { asset: this.config.defaultAsset, amount: '10000' },
-                ],
+                allowances,
               };
 
               const eip712Signer = createEIP712AuthMessageSigner(
@@ -339,7 +1059,15 @@ class YellowTokService {
             } catch (signError) {
               cleanup();
               reject(
-                new Error('User rejected signature or signing failed')
+                isUserRejection(signError)
+                  ? new WalletError('User rejected the signature request', {
+                    code: ERROR_CODES.USER_REJECTED,
+                    cause: signError,
+                  })
+                  : new AuthError('Signing the authentication challenge failed', {
+                    code: ERROR_CODES.AUTH_FAILED,
+                    cause: signError,
+                  })
               );
             }
           }
@@ -347,21 +1075,17 @@ class YellowTokService {
           // ── Step 5: Auth verified → authenticated! ──
           if (response.method === RPCMethod.AuthVerify) {
             if (response.params?.success !== false) {
-              console.log('[YELLOW] ✅ Authenticated with Yellow Network via Nitrolite!');
+              this.log.yellow.info('✅ Authenticated with Yellow Network via Nitrolite!');
               this.authenticated = true;
               cleanup();
 
-              // Store JWT for potential re-auth
-              if (response.params?.jwtToken) {
-                try {
-                  localStorage.setItem(
-                    'yellowtok_jwt',
-                    response.params.jwtToken
-                  );
-                } catch {
-                  /* non-critical */
-                }
-              }
+              // ClearNode registered the key until `sessionExpire`
+              this.sessionKeyExpiresAt = Number(sessionExpire) * 1000;
+              this._persistSessionKey();
+              this._scheduleSessionKeyExpiry();
+
+              // Store JWT for silent re-auth after reconnects
+              this._storeJwt(response.params?.jwtToken);
 
               resolve();
             }
@@ -369,29 +1093,30 @@ class YellowTokService {
 
           // ── Error during auth ──
           if (response.method === RPCMethod.Error) {
-            console.error('❌ Auth error:', response.params);
+            this.log.yellow.error('❌ Auth error:', response.params);
             cleanup();
             reject(
-              new Error(response.params?.error || 'Authentication failed')
+              new AuthError(response.params?.error || 'Authentication failed', {
+                code: ERROR_CODES.AUTH_FAILED,
+                details: response.params,
+              })
             );
           }
         } catch (err) {
-          console.warn('⚠️ Parse error during auth:', err);
+          this.log.yellow.warn('⚠️ Parse error during auth:', err);
         }
       };
 
       this.ws.addEventListener('message', onAuthMessage);
 
       // ── Step 1: Send auth request ──
-      console.log('[YELLOW] 📤 Sending Nitrolite auth request...');
+      this.log.yellow.info('📤 Sending Nitrolite auth request...');
       try {
         const authPayload = await createAuthRequestMessage({
           address: this.userAddress,
           session_key: this.sessionKey.address,
           application: this.config.appName,
-          allowances: [
-            { asset: this.config.defaultAsset, amount: '10000' },
-          ],
+          allowances,
           expires_at: BigInt(sessionExpire),
           scope: this.config.authScope,
         });
@@ -399,233 +1124,548 @@ class YellowTokService {
         this.ws.send(authPayload);
       } catch (err) {
         cleanup();
-        reject(err);
+        reject(
+          toYellowTokError(err, 'Could not send the auth request', ERROR_CODES.AUTH_FAILED)
+        );
       }
     });
   }
 
   // ═══════════════════════════════════════════════════════════════
-  // CREATE STREAM SESSION (state channel)
+  // SILENT RE-AUTHENTICATION (stored JWT, no wallet popup)
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Create a streaming session.
-   * After Nitrolite auth, the session is essentially the authenticated
-   * connection. This method sets up local tracking and optionally
-   * fetches the ledger balance from ClearNode.
+   * Restore the authenticated state on a fresh connection.
+   * Replays the JWT saved by the last successful auth via auth_verify —
+   * no wallet popup. Only when the JWT is missing, expired or rejected does
+   * it fall back to the full EIP-712 challenge.
    *
-   * @param {string} streamerAddress
-   * @param {number} depositAmount — budget in USDC
-   * @param {Object} options — { isPartner }
-   * @returns {Promise<Object>}
+   * @returns {Promise<'jwt'|'challenge'>} which path authenticated us
+   * @private
    */
-  async createStreamSession(streamerAddress, depositAmount, options = {}) {
-    if (!this.connected || !this.authenticated) {
-      throw new Error(
-        'Not connected/authenticated to Yellow Network. Please initialize first.'
-      );
-    }
+  async _reauthenticate() {
+    const jwt = await this._readStoredJwt();
 
-    if (!streamerAddress || !depositAmount) {
-      throw new Error('Streamer address and deposit amount are required');
-    }
+    if (jwt) {
+      try {
+        this.log.yellow.info('🔁 Re-authenticating with stored JWT...');
+        const verifyPayload = await createAuthVerifyMessageWithJWT(jwt);
+        const response = await this._sendRequest(verifyPayload);
 
-    try {
-      console.log(`[LOCAL] 🎬 Creating stream session with ${streamerAddress}...`);
-      console.log(
-        `[LOCAL] 🔗 Session budget: $${depositAmount.toFixed(2)} USDC (backed by on-chain balance)`
-      );
+        if (response.params?.success === false) {
+          throw new AuthError('ClearNode did not accept the stored JWT', {
+            code: ERROR_CODES.JWT_REJECTED,
+          });
+        }
 
-      const isPartner = options.isPartner || false;
-      const commissionRate = isPartner
+        this.authenticated = true;
+        this._storeJwt(response.params?.jwtToken);
+        this._scheduleSessionKeyExpiry();
+        this.log.yellow.info('✅ Re-authenticated with stored JWT (no wallet popup)');
+        return 'jwt';
+      } catch (err) {
+        this.log.yellow.warn('⚠️ Stored JWT rejected, falling back to wallet signature:', err.message);
+        await this._clearStoredJwt();
+      }
+    }
+
+    await this._authenticateWithNitrolite();
+    return 'challenge';
+  }
+
+  /**
+   * Stored JWT if it has not expired yet, else null.
+   * @private
+   */
+  async _readStoredJwt() {
+    let token = null;
+    try {
+      token = await this.secrets.getItem(JWT_STORAGE_KEY);
+    } catch {
+      return null;
+    }
+    if (!token) return null;
+
+    const claims = this._decodeJwtClaims(token);
+    // Treat tokens about to lapse (< 30s) as expired
+    if (!claims || (claims.exp && claims.exp * 1000 <= Date.now() + 30000)) {
+      await this._clearStoredJwt();
+      return null;
+    }
+    return token;
+  }
+
+  /**
+   * @private
+   */
+  _decodeJwtClaims(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      return JSON.parse(atob(payload));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _storeJwt(token) {
+    if (!token) return;
+    try {
+      await this.secrets.setItem(JWT_STORAGE_KEY, token);
+    } catch {
+      /* non-critical */
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _clearStoredJwt() {
+    try {
+      await this.secrets.removeItem(JWT_STORAGE_KEY);
+    } catch {
+      /* non-critical */
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // CREATE STREAM SESSION (ClearNode app session)
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Create a streaming session: a ClearNode app session between viewer and
+   * streamer, funded from the viewer's ledger balance with the deposit.
+   * The viewer holds all the voting weight, so tips (state updates) need
+   * only the session-key signature — ClearNode checks every new allocation
+   * against the funds locked in the session.
+   *
+   * @param {string} streamerAddress
+   * @param {number|string} depositAmount — budget in USDC
+   * @param {Object} options — { isPartner, challengePeriod }
+   * @returns {Promise<Object>}
+   */
+  async createStreamSession(streamerAddress, depositAmount, options = {}) {
+    if (!this.connected || !this.authenticated) {
+      throw this._notAuthenticatedError(
+        'Not connected/authenticated to Yellow Network. Please initialize first.'
+      );
+    }
+
+    if (!streamerAddress || !depositAmount) {
+      throw new ValidationError('Streamer address and deposit amount are required', {
+        code: ERROR_CODES.INVALID_ARGUMENT,
+      });
+    }
+
+    const depositUnits = this._parseAmount(depositAmount);
+
+    if (this._findSessionByStreamer(streamerAddress)) {
+      throw new ValidationError(
+        `A stream session with ${streamerAddress} is already open. End it first.`,
+        { code: ERROR_CODES.SESSION_ALREADY_OPEN }
+      );
+    }
+
+    try {
+      this.log.local.info(`🎬 Creating stream session with ${streamerAddress}...`);
+      this.log.local.info(
+        `🔗 Session budget: $${this._formatAmount(depositUnits)} USDC (backed by on-chain balance)`
+      );
+
+      // Commission is only taken when there is a treasury to route it to
+      const treasuryAddress = this.config.treasuryAddress;
+      const isPartner = options.isPartner || false;
+      let commissionRate = isPartner
         ? this.config.partnerCommission
         : this.config.standardCommission;
+      if (!treasuryAddress) {
+        this.log.local.warn('⚠️ No platform treasury configured — the streamer receives 100% of tips');
+        commissionRate = 0;
+      }
+
+      const parties = { streamerAddress, treasuryAddress };
+      const createdAt = Date.now();
+      const appDefinition = {
+        application: this.config.appName,
+        protocol: RPCProtocolVersion.NitroRPC_0_4,
+        participants: [this.userAddress, streamerAddress, ...(treasuryAddress ? [treasuryAddress] : [])],
+        weights: treasuryAddress ? [100, 0, 0] : [100, 0],
+        quorum: 100,
+        challenge: options.challengePeriod || 0,
+        nonce: createdAt,
+        metadata: {
+          sessionType: 'stream',
+          commissionRate,
+          isPartner,
+          streamerId: streamerAddress,
+          viewerId: this.userAddress,
+          treasuryId: treasuryAddress,
+          timestamp: new Date(createdAt).toISOString(),
+        },
+      };
+      const allocations = this._appAllocations(parties, {
+        viewer: depositUnits,
+        streamer: 0n,
+        treasury: 0n,
+      });
+
+      const { metadata, ...definition } = appDefinition;
+      const createPayload = await createAppSessionMessage(this.sessionSigner, {
+        definition,
+        allocations,
+        session_data: this._stateData(metadata, allocations),
+      });
+      const response = await this._sendRequest(createPayload);
+      const sessionId = response.params.appSessionId;
+
+      this.log.yellow.info(`📜 App session opened on ClearNode: ${sessionId}`);
 
-      const sessionId = `stream_${Date.now()}`;
       const session = {
         sessionId,
+        clearnodeSessionId: sessionId,
         streamerAddress,
         viewerAddress: this.userAddress,
-        initialDeposit: depositAmount,
-        currentBalance: depositAmount,
-        spent: 0,
+        treasuryAddress,
+        // Amounts in asset units (bigint)
+        initialDeposit: depositUnits,
+        currentBalance: depositUnits,
+        spent: 0n,
+        commission: 0n, // part of `spent` allocated to the treasury
+        pendingAmount: 0n, // tips sent but not yet confirmed by ClearNode
         commissionRate,
         isPartner,
-        createdAt: Date.now(),
+        createdAt,
         status: 'active',
+        appDefinition,
+        allocations,
+        version: response.params.version, // last app state ClearNode accepted
+        verifiedBalance: null, // viewer allocation according to the ClearNode ledger
+        verifiedAt: null,
       };
 
       this.activeSessions.set(sessionId, session);
       this.activeStreamSession = session;
 
-      // Fetch ledger balance from ClearNode to confirm funds availability
-      if (this.sessionSigner) {
-        try {
-          const balancePayload = await createGetLedgerBalancesMessage(
-            this.sessionSigner,
-            this.userAddress
-          );
-          this.ws.send(balancePayload);
-        } catch (err) {
-          console.warn('⚠️ Could not fetch ledger balance:', err.message);
-        }
-      }
+      // Confirm the deposit landed on the ledger, then keep checking
+      this._verifyBalanceInBackground(session);
+      this._startBalanceChecks();
 
       this._triggerEvent('onSessionCreated', { sessionId, session });
 
-      console.log('[LOCAL] ✅ Stream session created:', sessionId);
-      console.log(
-        `[LOCAL] 💰 [USDC] Session budget: $${depositAmount.toFixed(2)} USDC`
+      this.log.local.info('✅ Stream session created:', sessionId);
+      this.log.local.info(
+        `💰 [USDC] Session budget: $${this._formatAmount(depositUnits)} USDC`
       );
-      console.log(
-        `[LOCAL] 💰 [USDC] Current balance: $${session.currentBalance.toFixed(2)} USDC | Spent: $${session.spent.toFixed(2)} USDC`
+      this.log.local.info(
+        `💰 [USDC] Current balance: $${this._formatAmount(session.currentBalance)} USDC | Spent: $${this._formatAmount(session.spent)} USDC`
       );
 
       return {
         success: true,
         sessionId,
-        deposit: depositAmount,
+        deposit: this._toNumber(depositUnits),
         commissionRate,
         session,
       };
-    } catch (error) {
-      console.error('❌ Failed to create stream session:', error);
-      this._triggerEvent('onError', {
-        type: 'session_creation_error',
-        message: error.message,
-        error,
-      });
+    } catch (err) {
+      const error = toYellowTokError(err, 'Failed to create the stream session');
+      this.log.local.error('❌ Failed to create stream session:', error);
+      this._reportError('session_creation_error', error);
       throw error;
     }
   }
 
   // ═══════════════════════════════════════════════════════════════
-  // SEND TIP — off-chain via Nitrolite createTransferMessage
+  // SEND TIP — off-chain app session state update
   // ═══════════════════════════════════════════════════════════════
 
   /**
    * Send an instant tip to the streamer.
-   * Uses createTransferMessage signed by session key — NO wallet popup!
+   * Submits the next app session state, signed by session key — NO wallet popup!
+   * Resolves only after ClearNode accepts the new state; the session
+   * balance is not touched if ClearNode rejects it or never answers.
+   * While the connection is down the tip is queued (budget reserved) and
+   * the promise settles once the queue is flushed or the tip is dropped.
+   * Tips the spend policy refuses reject with its check as `details`.
+   * With `aggregate` the tip waits up to `aggregationWindow` ms for more
+   * taps to the same streamer and goes out with them as one transfer.
    *
-   * @param {number} tipAmount — in USDC
+   * @param {number|string} tipAmount — in USDC, at most `assetDecimals` decimals
    * @param {string} streamerAddress
    * @param {string} message — optional message
+   * @param {Object} [options] — { confirmed } for tips above `confirmAbove`,
+   *   { aggregate } to combine rapid taps
    * @returns {Promise<Object>}
    */
-  async sendTip(tipAmount, streamerAddress, message = '') {
-    if (!this.activeStreamSession) {
-      throw new Error(
-        'No active stream session. Please create a session first.'
+  async sendTip(tipAmount, streamerAddress, message = '', options = {}) {
+    const session = this._findSessionByStreamer(streamerAddress);
+    if (!session) {
+      throw new ValidationError(
+        'No active stream session with this streamer. Please create a session first.',
+        { code: ERROR_CODES.NO_ACTIVE_SESSION }
       );
     }
 
-    if (this.activeStreamSession.streamerAddress !== streamerAddress) {
-      throw new Error('Active session is with a different streamer');
+    // Exact asset units — rejects amounts with too many decimals
+    const tipUnits = this._parseAmount(tipAmount);
+
+    if (tipUnits <= 0n) {
+      throw new ValidationError('Tip amount must be greater than 0', {
+        code: ERROR_CODES.INVALID_AMOUNT,
+      });
+    }
+
+    // Tips still waiting for ClearNode are reserved against the budget
+    if (tipUnits > session.currentBalance - session.pendingAmount) {
+      throw new ValidationError('Insufficient balance. Please deposit more funds.', {
+        code: ERROR_CODES.INSUFFICIENT_BALANCE,
+      });
+    }
+
+    // A tap joining a transfer still being collected adds no transfer, so
+    // it only counts against the caps, not the tips-per-minute limit
+    const joinsTransfer = this._joinsTransfer(session, options);
+    this._enforcePolicy(session, tipUnits, { ...options, joinsTransfer });
+
+    const tip = { tipUnits, streamerAddress, message };
+    const spend = this.policy.record(streamerAddress, tipUnits, this.userAddress, { joinsTransfer });
+
+    if (options.aggregate) return this._aggregateTip(session, tip, spend);
+    return this._dispatchTip(session, tip, [spend]);
+  }
+
+  /**
+   * Queue or journal + transmit a tip that passed validation. `spends` are
+   * its spend policy records, given back if it is never applied.
+   * @private
+   */
+  async _dispatchTip(session, tip, spends) {
+    const { tipUnits, streamerAddress, message, parts } = tip;
+
+    try {
+      // Offline, or older tips still waiting → queue to keep the order
+      if (!this._canSendTips() || this.tipQueue.length > 0 || this.flushingTipQueue) {
+        return await this._queueTip(session, tip);
+      }
+
+      session.pendingAmount += tipUnits;
+
+      // Journal the tip BEFORE it leaves, so a reload can never lose it
+      const entry = await this._journalRecord({
+        sessionId: session.sessionId,
+        appSessionId: session.sessionId,
+        streamer: streamerAddress,
+        sender: this.userAddress,
+        asset: this.config.defaultAsset,
+        amount: tipUnits.toString(),
+        message,
+        ...(parts && { parts }),
+      });
+
+      return await this._transmitTip(session, entry, tip);
+    } catch (err) {
+      // Never applied → give the amount back to today's limits
+      if (err?.code === ERROR_CODES.CLEARNODE_REJECTED || err?.code === ERROR_CODES.TIP_DROPPED) {
+        spends.forEach((spend) => this.policy.release(spend));
+      }
+      throw err;
     }
+  }
+
+  /**
+   * Throw if the spend policy refuses the tip; `details` is the full check.
+   * @private
+   */
+  _enforcePolicy(session, tipUnits, { confirmed = false, joinsTransfer = false } = {}) {
+    const check = this.policy.evaluate({
+      amount: tipUnits,
+      streamer: session.streamerAddress,
+      sessionSpent: session.spent + session.pendingAmount,
+      sender: this.userAddress,
+      joinsTransfer,
+    });
 
-    if (tipAmount <= 0) {
-      throw new Error('Tip amount must be greater than 0');
+    if (!check.allowed) {
+      const [violation] = check.violations;
+      this.log.local.warn(`🚦 Tip blocked by spend policy: ${violation.message}`);
+      throw new ValidationError(violation.message, {
+        code:
+          violation.rule === POLICY_RULES.RATE_LIMIT
+            ? ERROR_CODES.RATE_LIMITED
+            : ERROR_CODES.SPEND_LIMIT_EXCEEDED,
+        details: check,
+      });
     }
 
-    if (tipAmount > this.activeStreamSession.currentBalance) {
-      throw new Error('Insufficient balance. Please deposit more funds.');
+    if (check.requiresConfirmation && !confirmed) {
+      throw new ValidationError(
+        `Tips above $${this._formatAmount(this.policy.rules.confirmAbove)} need confirmation`,
+        { code: ERROR_CODES.CONFIRMATION_REQUIRED, details: check }
+      );
     }
+  }
+
+  /**
+   * Submit a journaled tip as the next app session state and wait for
+   * ClearNode to accept it. The caller has already reserved `tipUnits` in
+   * `session.pendingAmount`.
+   * @private
+   */
+  async _transmitTip(session, entry, { tipUnits, streamerAddress, message, parts }) {
+    const { commission, creatorReceives } = this._splitCommission(
+      tipUnits,
+      session.commissionRate
+    );
+    const tipAmount = this._toNumber(tipUnits);
+
+    this.inFlightTipIds.add(entry.id);
 
     try {
-      console.log(`[LOCAL] 💸 Sending tip of $${tipAmount} to ${streamerAddress}...`);
+      this.log.yellow.info(`💸 Sending tip of $${tipAmount} to ${streamerAddress}...`);
+
+      // ── Move the tip to the streamer's allocation (session-key signed, $0 gas!) ──
+      // Each state builds on the one before, so updates go out one at a time
+      const version = await this._serializeAppState(session, async () => {
+        if (session.needsSync) await this._syncAppSession(session);
+
+        const nextVersion = session.version + 1;
+        const spent = session.spent + tipUnits;
+        const totalCommission = session.commission + commission;
+        await this._journalUpdate(entry.id, { version: nextVersion });
+
+        const allocations = this._appAllocations(session, {
+          viewer: session.initialDeposit - spent,
+          streamer: spent - totalCommission,
+          treasury: totalCommission,
+        });
 
-      // Calculate commission
-      const commissionAmount =
-        tipAmount * (this.activeStreamSession.commissionRate / 100);
-      const creatorReceives = tipAmount - commissionAmount;
+        const statePayload = await createSubmitAppStateMessage(this.sessionSigner, {
+          app_session_id: session.sessionId,
+          intent: RPCAppStateIntent.Operate,
+          version: nextVersion,
+          allocations,
+          session_data: this._stateData(session.appDefinition.metadata, allocations, {
+            tipId: entry.id,
+            message,
+            ...(parts && { count: parts.length }),
+          }),
+        });
 
-      // ── Send transfer via Nitrolite SDK (session-key signed, $0 gas!) ──
-      if (this.sessionSigner && this.connected && this.authenticated) {
+        // Resolves with the accepted state, rejects with the ClearNode error
+        let response;
         try {
-          const transferPayload = await createTransferMessage(
-            this.sessionSigner,
-            {
-              destination: streamerAddress,
-              allocations: [
-                {
-                  asset: this.config.defaultAsset,
-                  amount: String(tipAmount),
-                },
-              ],
-            }
-          );
-
-          this.ws.send(transferPayload);
-        } catch (err) {
-          console.warn(
-            '⚠️ Nitrolite transfer failed, tracking locally:',
-            err.message
-          );
+          response = await this._sendRequest(statePayload);
+        } catch (error) {
+          // Unknown outcome → ask ClearNode for the version before the next update
+          if (error.code !== ERROR_CODES.CLEARNODE_REJECTED) session.needsSync = true;
+          throw error;
         }
-      }
 
-      // Update local session state (optimistic)
-      this.activeStreamSession.spent += tipAmount;
-      this.activeStreamSession.currentBalance -= tipAmount;
+        // ClearNode accepted → now the tip counts against the session
+        session.version = response.params.version;
+        this._recordSpend(session, tipUnits, commission);
+        return session.version;
+      });
+
+      await this._journalUpdate(entry.id, {
+        status: TIP_STATUS.CONFIRMED,
+        version,
+        confirmedAt: Date.now(),
+      });
 
       // Trigger event
       this._triggerEvent('onTipSent', {
+        tipId: entry.id,
         amount: tipAmount,
-        amountInUnits: this._toAssetUnits(tipAmount),
+        amountInUnits: tipUnits,
         recipient: streamerAddress,
         message,
-        commission: commissionAmount,
-        creatorReceives,
-        remainingBalance: this.activeStreamSession.currentBalance,
-        totalSpent: this.activeStreamSession.spent,
+        commission: this._toNumber(commission),
+        creatorReceives: this._toNumber(creatorReceives),
+        treasury: session.treasuryAddress,
+        remainingBalance: this._toNumber(session.currentBalance),
+        totalSpent: this._toNumber(session.spent),
+        sessionId: session.sessionId,
+        version,
       });
+      this._verifyBalanceInBackground(session);
 
-      console.log(
-        `[LOCAL] ✅ Tip sent! Creator receives $${creatorReceives.toFixed(2)} USDC (${this.activeStreamSession.commissionRate}% commission)`
+      this.log.yellow.info(
+        `✅ Tip confirmed by ClearNode! Creator receives $${this._formatAmount(creatorReceives)} USDC (${session.commissionRate}% commission)`
       );
-      console.log(
-        `[LOCAL] 💰 [USDC] Remaining: $${this.activeStreamSession.currentBalance.toFixed(2)} | Spent: $${this.activeStreamSession.spent.toFixed(2)}`
+      this.log.local.info(
+        `💰 [USDC] Remaining: $${this._formatAmount(session.currentBalance)} | Spent: $${this._formatAmount(session.spent)}`
       );
 
       return {
         success: true,
+        tipId: entry.id,
         tipAmount,
-        commission: commissionAmount,
-        creatorReceives,
-        remainingBalance: this.activeStreamSession.currentBalance,
-        totalSpent: this.activeStreamSession.spent,
+        tipUnits,
+        commission: this._toNumber(commission),
+        creatorReceives: this._toNumber(creatorReceives),
+        // Exact split of this tip
+        commissionUnits: commission,
+        creatorUnits: creatorReceives,
+        treasury: session.treasuryAddress,
+        remainingBalance: this._toNumber(session.currentBalance),
+        totalSpent: this._toNumber(session.spent),
+        sessionId: session.sessionId,
+        version,
       };
-    } catch (error) {
-      console.error('❌ Failed to send tip:', error);
-      this._triggerEvent('onError', {
-        type: 'tip_error',
-        message: error.message,
-        error,
-      });
+    } catch (err) {
+      const error = toYellowTokError(err, 'Failed to send the tip');
+      this.log.yellow.error('❌ Failed to send tip:', error);
+
+      // Only an explicit ClearNode rejection is final. A timeout or dropped
+      // connection may still have gone through — leave the entry pending so
+      // reconciliation can look it up on the ledger.
+      if (error.code === ERROR_CODES.CLEARNODE_REJECTED) {
+        await this._journalUpdate(entry.id, {
+          status: TIP_STATUS.FAILED,
+          error: error.message,
+        });
+      }
+
+      this._reportError('tip_error', error);
       throw error;
+    } finally {
+      session.pendingAmount -= tipUnits;
+      this.inFlightTipIds.delete(entry.id);
     }
   }
 
   /**
-   * Send multiple tips in a batch.
+   * Send multiple tips in a batch: tips to the same streamer go out as one
+   * combined transfer, without waiting for `aggregationWindow`.
    * @param {Array<Object>} tips
    * @returns {Promise<Object>}
    */
   async sendTipBatch(tips) {
-    const results = [];
-    let totalAmount = 0;
+    // sendTip adds aggregated tips synchronously, so every bucket is full
+    // here. Only the batch's sessions are flushed: taps collected for other
+    // streamers keep their own window.
+    const sent = tips.map((tip) =>
+      this.sendTip(tip.amount, tip.streamerAddress, tip.message || '', { aggregate: true })
+    );
+    const sessions = new Set(
+      tips.map((tip) => this._findSessionByStreamer(tip.streamerAddress)).filter(Boolean)
+    );
+    for (const session of sessions) {
+      this._flushAggregatedTips(session);
+    }
 
-    for (const tip of tips) {
-      try {
-        const result = await this.sendTip(
-          tip.amount,
-          tip.streamerAddress,
-          tip.message || ''
-        );
-        results.push({ ...result, success: true });
-        totalAmount += tip.amount;
-      } catch (error) {
-        results.push({ success: false, error: error.message });
+    const results = [];
+    let totalUnits = 0n;
+    for (const outcome of await Promise.allSettled(sent)) {
+      if (outcome.status === 'fulfilled') {
+        results.push({ ...outcome.value, success: true });
+        totalUnits += outcome.value.tipUnits;
+      } else {
+        results.push({ success: false, error: outcome.reason?.message });
       }
     }
 
@@ -633,84 +1673,1311 @@ class YellowTokService {
       success: true,
       totalTips: tips.length,
       successfulTips: results.filter((r) => r.success).length,
-      totalAmount,
+      totalAmount: this._toNumber(totalUnits),
       results,
     };
   }
 
-  // ═══════════════════════════════════════════════════════════════
-  // END SESSION
-  // ═══════════════════════════════════════════════════════════════
+  // ═══════════════════════════════════════════════════════════════
+  // TIP AGGREGATION — rapid taps combined into one transfer per streamer
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Whether a tip sent with these options would be added to a transfer
+   * already being collected for the session.
+   * @private
+   */
+  _joinsTransfer(session, options = {}) {
+    return Boolean(options.aggregate) && this.tipAggregates.has(session.sessionId);
+  }
+
+  /**
+   * Reserve the tip against the session budget and hold it until the
+   * session's aggregation window closes. Resolves with this tip's share of
+   * the combined transfer.
+   * @private
+   */
+  _aggregateTip(session, tip, spend) {
+    session.pendingAmount += tip.tipUnits;
+
+    let bucket = this.tipAggregates.get(session.sessionId);
+    if (!bucket) {
+      bucket = {
+        session,
+        parts: [],
+        timer: setTimeout(() => this._flushAggregatedTips(session), this.config.aggregationWindow),
+      };
+      this.tipAggregates.set(session.sessionId, bucket);
+    }
+
+    return new Promise((resolve, reject) => {
+      bucket.parts.push({ id: createTipId(), tip, spend, createdAt: Date.now(), resolve, reject });
+    });
+  }
+
+  /**
+   * Send the taps collected for a session as one transfer. Its journal
+   * entry keeps every tap in `parts`; each tap's promise settles with the
+   * transfer.
+   * @private
+   */
+  async _flushAggregatedTips(session) {
+    const bucket = this.tipAggregates.get(session.sessionId);
+    if (!bucket) return;
+    clearTimeout(bucket.timer);
+    this.tipAggregates.delete(session.sessionId);
+
+    const { parts } = bucket;
+    const tipUnits = parts.reduce((sum, part) => sum + part.tip.tipUnits, 0n);
+    // _dispatchTip reserves the combined amount again
+    session.pendingAmount -= tipUnits;
+
+    if (parts.length === 1) {
+      const [part] = parts;
+      return this._dispatchTip(session, part.tip, [part.spend]).then(part.resolve, part.reject);
+    }
+
+    const messages = [...new Set(parts.map((part) => part.tip.message).filter(Boolean))];
+    const combined = {
+      tipUnits,
+      streamerAddress: parts[0].tip.streamerAddress,
+      message: messages.join(' · '),
+      parts: parts.map(({ id, tip, createdAt }) => ({
+        id,
+        amount: tip.tipUnits.toString(),
+        message: tip.message,
+        createdAt,
+      })),
+    };
+    this.log.yellow.info(
+      `🧺 Combining ${parts.length} taps into one transfer of $${this._formatAmount(tipUnits)}`
+    );
+
+    try {
+      const result = await this._dispatchTip(session, combined, parts.map((part) => part.spend));
+      const shares = this._splitAcrossParts(combined.parts, result.commissionUnits, session.commissionRate);
+      parts.forEach((part, index) => {
+        const { amount, commission } = shares[index];
+        part.resolve({
+          ...result,
+          tipId: part.id,
+          transferId: result.tipId, // journal entry of the combined transfer
+          transferSize: parts.length,
+          tipAmount: this._toNumber(amount),
+          tipUnits: amount,
+          commission: this._toNumber(commission),
+          creatorReceives: this._toNumber(amount - commission),
+          commissionUnits: commission,
+          creatorUnits: amount - commission,
+        });
+      });
+    } catch (error) {
+      parts.forEach((part) => part.reject(error));
+    }
+  }
+
+  /**
+   * Share a combined transfer's commission among its parts: each part's
+   * own split, the last one taking what rounding left over, so the shares
+   * add up to `commission` exactly.
+   * @private
+   */
+  _splitAcrossParts(parts, commission, commissionRate) {
+    let left = commission;
+    return parts.map((part, index) => {
+      const amount = BigInt(part.amount);
+      const share =
+        index === parts.length - 1 ? left : this._splitCommission(amount, commissionRate).commission;
+      left -= share;
+      return { part, amount, commission: share };
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // OFFLINE TIP QUEUE — tips made while disconnected / re-authenticating
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Tips waiting for the connection to come back, oldest first.
+   *
+   * @returns {Array<Object>} { id, sessionId, streamer, amount, amountUnits, message, queuedAt }
+   */
+  getQueuedTips() {
+    return this.tipQueue.map(({ entry, session, tip, queuedAt }) => ({
+      id: entry.id,
+      sessionId: session.sessionId,
+      streamer: tip.streamerAddress,
+      amount: this._toNumber(tip.tipUnits),
+      amountUnits: tip.tipUnits,
+      message: tip.message,
+      queuedAt,
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _canSendTips() {
+    return Boolean(
+      this.sessionSigner && this.connected && this.authenticated && !this.renewingSessionKey
+    );
+  }
+
+  /**
+   * Error for a call that needs an authenticated connection: NOT_CONNECTED
+   * while the socket is down, NOT_AUTHENTICATED otherwise.
+   * @private
+   */
+  _notAuthenticatedError(message) {
+    return this.connected
+      ? new AuthError(message, { code: ERROR_CODES.NOT_AUTHENTICATED })
+      : new ConnectionError(message, { code: ERROR_CODES.NOT_CONNECTED });
+  }
+
+  /**
+   * Reserve the tip against the session budget and park it until
+   * `_flushTipQueue` sends it.
+   * @private
+   */
+  async _queueTip(session, tip) {
+    session.pendingAmount += tip.tipUnits;
+
+    const entry = await this._journalRecord({
+      sessionId: session.sessionId,
+      appSessionId: session.sessionId,
+      streamer: tip.streamerAddress,
+      sender: this.userAddress,
+      asset: this.config.defaultAsset,
+      amount: tip.tipUnits.toString(),
+      message: tip.message,
+      ...(tip.parts && { parts: tip.parts }),
+      status: TIP_STATUS.QUEUED,
+    });
+
+    const settled = new Promise((resolve, reject) => {
+      this.tipQueue.push({ entry, session, tip, queuedAt: Date.now(), resolve, reject });
+    });
+
+    this.log.local.info(
+      `📥 Tip of $${this._formatAmount(tip.tipUnits)} queued until Yellow Network is back (${this.tipQueue.length} queued)`
+    );
+    this._triggerEvent('onTipQueueChanged', { tips: this.getQueuedTips() });
+
+    // The connection may have come back while the entry was being journaled
+    if (this._canSendTips()) this._flushTipQueue();
+
+    return settled;
+  }
+
+  /**
+   * Send queued tips one by one, in the order they were made. Stops (and
+   * keeps the rest queued) as soon as the connection is lost again.
+   * @private
+   */
+  async _flushTipQueue() {
+    if (this.flushingTipQueue) return;
+    this.flushingTipQueue = true;
+
+    try {
+      if (this.tipQueue.length > 0) {
+        this.log.yellow.info(`📤 Flushing ${this.tipQueue.length} queued tip(s)...`);
+      }
+
+      while (this.tipQueue.length > 0 && this._canSendTips()) {
+        const item = this.tipQueue.shift();
+        this._triggerEvent('onTipQueueChanged', { tips: this.getQueuedTips() });
+
+        await this._journalUpdate(item.entry.id, { status: TIP_STATUS.PENDING });
+        try {
+          item.resolve(await this._transmitTip(item.session, item.entry, item.tip));
+        } catch (error) {
+          item.reject(error);
+        }
+      }
+    } finally {
+      this.flushingTipQueue = false;
+    }
+  }
+
+  /**
+   * Remove queued tips matching `predicate`, give their reserved amount back
+   * to the session budget and reject their `sendTip` promises. Taps still
+   * waiting to be aggregated are dropped the same way.
+   * @private
+   */
+  _dropQueuedTips(predicate, reason) {
+    for (const bucket of [...this.tipAggregates.values()]) {
+      if (!predicate(bucket)) continue;
+      clearTimeout(bucket.timer);
+      this.tipAggregates.delete(bucket.session.sessionId);
+      for (const part of bucket.parts) {
+        bucket.session.pendingAmount -= part.tip.tipUnits;
+        this.policy.release(part.spend);
+        part.reject(
+          new YellowTokError(`Tip was not sent: ${reason}`, { code: ERROR_CODES.TIP_DROPPED })
+        );
+      }
+    }
+
+    const dropped = this.tipQueue.filter(predicate);
+    if (dropped.length === 0) return;
+
+    this.tipQueue = this.tipQueue.filter((item) => !dropped.includes(item));
+
+    for (const item of dropped) {
+      item.session.pendingAmount -= item.tip.tipUnits;
+      this._journalUpdate(item.entry.id, { status: TIP_STATUS.DROPPED, error: reason });
+      item.reject(
+        new YellowTokError(`Tip was not sent: ${reason}`, { code: ERROR_CODES.TIP_DROPPED })
+      );
+    }
+
+    const refunded = dropped.reduce((sum, item) => sum + item.tip.tipUnits, 0n);
+    this.log.local.info(
+      `↩️ Dropped ${dropped.length} queued tip(s), $${this._formatAmount(refunded)} returned to the budget`
+    );
+    this._triggerEvent('onTipQueueChanged', { tips: this.getQueuedTips() });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // END SESSION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * End a streaming session by closing its app session with the final
+   * allocations: the streamer keeps the tips, the rest goes back to the
+   * viewer's ledger balance. Waits for tips still in flight so they are
+   * part of the final state. Other open sessions are not affected.
+   *
+   * @param {string} [sessionOrStreamerId] — session id or streamer address;
+   *   defaults to the most recently opened session
+   * @returns {Promise<Object>}
+   */
+  async endStreamSession(sessionOrStreamerId) {
+    const session = this._resolveSession(sessionOrStreamerId);
+    if (!session) {
+      throw new ValidationError('No active stream session to end', {
+        code: ERROR_CODES.NO_ACTIVE_SESSION,
+      });
+    }
+
+    if (!this._canSendTips()) {
+      throw this._notAuthenticatedError(
+        'Cannot end the stream session while disconnected from Yellow Network'
+      );
+    }
+
+    try {
+      this.log.settlement.info(`🔴 Ending stream session ${session.sessionId}...`);
+
+      // Taps still being collected go out before the final state
+      await this._flushAggregatedTips(session);
+
+      // Queued tips never left the device → refund them before the summary
+      this._dropQueuedTips(
+        (item) => item.session === session,
+        'the stream session ended before the connection came back'
+      );
+
+      // Final state after every accepted tip — ClearNode settles from this
+      await this._serializeAppState(session, async () => {
+        if (session.needsSync) await this._syncAppSession(session);
+
+        const closePayload = await createCloseAppSessionMessage(this.sessionSigner, {
+          app_session_id: session.sessionId,
+          allocations: session.allocations,
+        });
+        await this._sendRequest(closePayload);
+      });
+      this.appStateChains.delete(session.sessionId);
+
+      const streamerReceives = session.spent - session.commission;
+      this.log.settlement.info(
+        `📜 App session closed: $${this._formatAmount(streamerReceives)} to the streamer, $${this._formatAmount(session.commission)} to the treasury, $${this._formatAmount(session.currentBalance)} back to your balance`
+      );
+
+      session.status = 'closed';
+      session.closedAt = Date.now();
+
+      const sessionSummary = {
+        sessionId: session.sessionId,
+        streamer: session.streamerAddress,
+        duration: session.closedAt - session.createdAt,
+        totalDeposited: this._toNumber(session.initialDeposit),
+        totalSpent: this._toNumber(session.spent),
+        unusedBalance: this._toNumber(session.currentBalance),
+        commissionRate: session.commissionRate,
+        // Where `totalSpent` went
+        streamerReceives: this._toNumber(streamerReceives),
+        totalCommission: this._toNumber(session.commission),
+        treasury: session.treasuryAddress,
+        units: {
+          spent: session.spent,
+          streamerReceives,
+          commission: session.commission,
+          unused: session.currentBalance,
+        },
+        receipt: await this._issueReceipt(session),
+      };
+
+      this.log.settlement.info('🔴 Stream session ended.');
+      this.log.settlement.info(
+        `💰 [USDC] Final balance: $${this._formatAmount(session.currentBalance)} USDC (unused)`
+      );
+      this.log.settlement.info(
+        `💰 [USDC] Total spent in tips: $${this._formatAmount(session.spent)} USDC`
+      );
+      this.log.settlement.info(
+        `💰 [USDC] Initial deposit was: $${this._formatAmount(session.initialDeposit)} USDC`
+      );
+      this.log.settlement.info(
+        `💰 [USDC] Session duration: ${(sessionSummary.duration / 1000).toFixed(0)}s`
+      );
+
+      // Forget the session; fall back to the newest one still open
+      this.activeSessions.delete(session.sessionId);
+      if (this.activeStreamSession === session) {
+        this.activeStreamSession = [...this.activeSessions.values()].pop() || null;
+      }
+      if (this.activeSessions.size === 0) this._stopBalanceChecks();
+
+      this._triggerEvent('onSessionClosed', sessionSummary);
+
+      return { success: true, ...sessionSummary };
+    } catch (err) {
+      const error = toYellowTokError(err, 'Failed to end the stream session');
+      this.log.settlement.error('❌ Failed to end stream session:', error);
+      this._reportError('session_close_error', error);
+      throw error;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // APP SESSION STATE — versioned allocations shared with ClearNode
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Run `task` after every earlier state update of the session has settled,
+   * so versions reach ClearNode in order and each allocation builds on the
+   * last accepted one.
+   * @private
+   */
+  _serializeAppState(session, task) {
+    const previous = this.appStateChains.get(session.sessionId) || Promise.resolve();
+    const run = previous.then(task);
+    this.appStateChains.set(session.sessionId, run.catch(() => { }));
+    return run;
+  }
+
+  /**
+   * An earlier update timed out or was cut off, so ClearNode may or may not
+   * have applied it. Resolve that tip from the server state and adopt the
+   * server's version before building on it.
+   * @private
+   */
+  async _syncAppSession(session) {
+    await this.reconcileJournal();
+
+    const versions = await this._fetchAppSessionVersions();
+    const version = versions.get(session.sessionId.toLowerCase());
+    if (version !== undefined) session.version = version;
+    session.needsSync = false;
+  }
+
+  /**
+   * Current version of every app session the user takes part in.
+   * @private
+   * @returns {Promise<Map<string, number>>} lowercase app session id → version
+   */
+  async _fetchAppSessionVersions() {
+    const payload = await createGetAppSessionsMessage(this.sessionSigner, this.userAddress);
+    const response = await this._sendRequest(payload);
+    return new Map(
+      (response.params?.appSessions || []).map((appSession) => [
+        appSession.appSessionId.toLowerCase(),
+        appSession.version,
+      ])
+    );
+  }
+
+  /**
+   * `session_data` of an app state: the stream metadata and the state's
+   * allocations (ClearNode does not return allocations), plus `details`
+   * about the update. Enough to rebuild the session after a reload.
+   * @private
+   */
+  _stateData(metadata, allocations, details = {}) {
+    return JSON.stringify({ ...metadata, allocations, ...details });
+  }
+
+  /**
+   * Track the stream sessions this wallet opened and a previous page load
+   * left open on ClearNode again, so they can be tipped into and closed.
+   * Pending tips are reconciled first: the restored allocations already
+   * hold the confirmed ones. Failures are logged, never thrown.
+   * @private
+   * @returns {Promise<Array<Object>>} the restored sessions
+   */
+  async _restoreAppSessions() {
+    const restored = [];
+    try {
+      await this.reconcileJournal();
+
+      const payload = await createGetAppSessionsMessage(
+        this.sessionSigner,
+        this.userAddress,
+        RPCChannelStatus.Open
+      );
+      const response = await this._sendRequest(payload);
+      const tracked = new Set([...this.activeSessions.keys()].map((id) => id.toLowerCase()));
+
+      for (const appSession of response.params?.appSessions || []) {
+        if (tracked.has(appSession.appSessionId.toLowerCase())) continue;
+        const session = this._sessionFromAppSession(appSession);
+        if (!session) continue;
+
+        this.activeSessions.set(session.sessionId, session);
+        this.activeStreamSession = session;
+        restored.push(session);
+      }
+    } catch (err) {
+      this.log.yellow.warn('⚠️ Could not restore open stream sessions:', err.message);
+      return restored;
+    }
+
+    for (const session of restored) {
+      this.log.local.info(
+        `♻️ Restored stream session ${session.sessionId} with ${session.streamerAddress}: $${this._formatAmount(session.currentBalance)} USDC left`
+      );
+      this._verifyBalanceInBackground(session);
+      this._triggerEvent('onSessionRestored', { sessionId: session.sessionId, session });
+    }
+    if (restored.length > 0) this._startBalanceChecks();
+    return restored;
+  }
+
+  /**
+   * Session object for an open app session, rebuilt from the state data
+   * written by `_stateData`. Null unless it is a stream session of this
+   * app with this wallet as the viewer.
+   * @private
+   */
+  _sessionFromAppSession(appSession) {
+    let data;
+    try {
+      data = JSON.parse(appSession.sessionData || '{}');
+    } catch {
+      return null;
+    }
+
+    const { allocations, tipId, message, count, ...metadata } = data;
+    // Addresses as the session was opened with (ClearNode checksums them)
+    const [viewer, streamer, treasury = null] = appSession.participants;
+    const streamerAddress = metadata.streamerId || streamer;
+    const treasuryAddress = treasury && (metadata.treasuryId || treasury);
+    if (
+      appSession.application !== this.config.appName ||
+      metadata.sessionType !== 'stream' ||
+      !Array.isArray(allocations) ||
+      viewer?.toLowerCase() !== this.userAddress.toLowerCase()
+    ) {
+      return null;
+    }
+
+    const unitsOf = (participant) => {
+      const allocation = allocations.find(
+        (entry) =>
+          entry.asset === this.config.defaultAsset &&
+          entry.participant?.toLowerCase() === participant?.toLowerCase()
+      );
+      return allocation ? this._parseAmount(allocation.amount) : 0n;
+    };
+    const viewerUnits = unitsOf(viewer);
+    const spent = unitsOf(streamerAddress) + (treasuryAddress ? unitsOf(treasuryAddress) : 0n);
+    const commission = treasuryAddress ? unitsOf(treasuryAddress) : 0n;
+    const createdAt = Date.parse(metadata.timestamp) || new Date(appSession.createdAt).getTime();
+
+    const session = {
+      sessionId: appSession.appSessionId,
+      clearnodeSessionId: appSession.appSessionId,
+      streamerAddress,
+      viewerAddress: this.userAddress,
+      treasuryAddress,
+      initialDeposit: viewerUnits + spent,
+      currentBalance: viewerUnits,
+      spent,
+      commission,
+      pendingAmount: 0n,
+      commissionRate: metadata.commissionRate ?? 0,
+      isPartner: Boolean(metadata.isPartner),
+      createdAt,
+      status: 'active',
+      appDefinition: {
+        application: appSession.application,
+        protocol: appSession.protocol,
+        participants: appSession.participants,
+        weights: appSession.weights,
+        quorum: appSession.quorum,
+        challenge: appSession.challenge,
+        nonce: appSession.nonce,
+        metadata,
+      },
+      version: appSession.version,
+      verifiedBalance: null,
+      verifiedAt: null,
+    };
+    session.allocations = this._appAllocations(session, {
+      viewer: viewerUnits,
+      streamer: spent - commission,
+      treasury: commission,
+    });
+    return session;
+  }
+
+  /**
+   * Viewer/streamer(/treasury) allocations in ClearNode wire format, in
+   * participant order. The treasury only takes part when one is configured.
+   * @private
+   */
+  _appAllocations({ streamerAddress, treasuryAddress }, units) {
+    const asset = this.config.defaultAsset;
+    const decimals = this.config.assetDecimals;
+    const allocation = (participant, amount) => ({
+      participant,
+      asset,
+      amount: toDecimalString(amount, decimals),
+    });
+
+    const allocations = [
+      allocation(this.userAddress, units.viewer),
+      allocation(streamerAddress, units.streamer),
+    ];
+    if (treasuryAddress) allocations.push(allocation(treasuryAddress, units.treasury));
+    return allocations;
+  }
+
+  /**
+   * Count a tip ClearNode accepted against the session.
+   * @private
+   */
+  _recordSpend(session, tipUnits, commission) {
+    session.spent += tipUnits;
+    session.commission += commission;
+    session.currentBalance = session.initialDeposit - session.spent;
+    session.allocations = this._appAllocations(session, {
+      viewer: session.currentBalance,
+      streamer: session.spent - session.commission,
+      treasury: session.commission,
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // BALANCE RECONCILIATION — local session balance vs ClearNode ledger
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Compare the locally tracked balance of open sessions with the viewer's
+   * allocation on the ClearNode ledger. The ledger value is kept as the
+   * session's verified balance; when the two diverge `onBalanceDiscrepancy`
+   * is raised with both. Runs at session start, after confirmed tips and
+   * every `balanceCheckInterval` ms.
+   *
+   * @param {string} [sessionOrStreamerId] — defaults to every open session
+   * @returns {Promise<Array<Object>>} { sessionId, streamer, expected, verified, difference, inSync, units }
+   */
+  async reconcileBalances(sessionOrStreamerId) {
+    if (!this._canSendTips()) {
+      throw this._notAuthenticatedError('Cannot verify balances while not authenticated with Yellow Network');
+    }
+
+    const sessions =
+      sessionOrStreamerId === undefined
+        ? [...this.activeSessions.values()]
+        : [this._resolveSession(sessionOrStreamerId)].filter(Boolean);
+
+    const results = [];
+    for (const session of sessions) {
+      const result = await this._verifySessionBalance(session);
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Fetch the session's ledger balance between two state updates, so the
+   * local balance compared against it is exactly the last accepted state.
+   * @private
+   */
+  _verifySessionBalance(session) {
+    session.balanceCheckQueued = true;
+    return this._serializeAppState(session, async () => {
+      session.balanceCheckQueued = false;
+      if (session.status !== 'active') return null;
+      if (session.needsSync) await this._syncAppSession(session);
+
+      // The app session is its own ledger account; balances are per participant
+      const payload = await createGetLedgerBalancesMessage(this.sessionSigner, session.sessionId);
+      const response = await this._sendRequest(payload);
+      const verified = this._ledgerBalanceOf(response.params?.ledgerBalances);
+      const expected = session.currentBalance;
+
+      session.verifiedBalance = verified;
+      session.verifiedAt = Date.now();
+
+      const difference = verified - expected;
+      const result = {
+        sessionId: session.sessionId,
+        streamer: session.streamerAddress,
+        expected: this._toNumber(expected),
+        verified: this._toNumber(verified),
+        difference: this._toNumber(difference),
+        units: { expected, verified, difference },
+      };
+
+      this._triggerEvent('onSessionBalanceVerified', {
+        sessionId: session.sessionId,
+        streamer: session.streamerAddress,
+        balance: result.verified,
+        units: { balance: verified },
+        verifiedAt: session.verifiedAt,
+      });
+
+      if (difference !== 0n) {
+        this.log.yellow.warn(
+          `⚠️ Session ${session.sessionId} balance mismatch: ledger $${this._formatAmount(verified)}, local $${this._formatAmount(expected)}`
+        );
+        this._triggerEvent('onBalanceDiscrepancy', result);
+      }
+
+      return { ...result, inSync: difference === 0n };
+    });
+  }
+
+  /**
+   * Queue a balance check unless one is already waiting for this session.
+   * @private
+   */
+  _verifyBalanceInBackground(session) {
+    if (session.balanceCheckQueued || !this._canSendTips()) return;
+    this._verifySessionBalance(session).catch((err) => {
+      this.log.yellow.warn('⚠️ Could not verify session balance:', err.message);
+    });
+  }
+
+  /**
+   * Amount of the session asset in a ledger balance list (0 when absent).
+   * @private
+   */
+  _ledgerBalanceOf(ledgerBalances = []) {
+    const entry = ledgerBalances.find((balance) => balance.asset === this.config.defaultAsset);
+    return entry ? this._parseAmount(entry.amount) : 0n;
+  }
+
+  /**
+   * @private
+   */
+  _startBalanceChecks() {
+    if (this.balanceCheckTimer || !this.config.balanceCheckInterval) return;
+    this.balanceCheckTimer = setInterval(() => {
+      for (const session of this.activeSessions.values()) {
+        this._verifyBalanceInBackground(session);
+      }
+    }, this.config.balanceCheckInterval);
+  }
+
+  /**
+   * @private
+   */
+  _stopBalanceChecks() {
+    clearInterval(this.balanceCheckTimer);
+    this.balanceCheckTimer = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECEIVE MODE — tips credited to this wallet
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Tips received since the service was created, newest first. Bounded by
+   * `receivedTipsLimit`.
+   *
+   * @param {number} [limit]
+   * @returns {Array<Object>}
+   */
+  getReceivedTips(limit) {
+    return limit === undefined ? [...this.receivedTips] : this.receivedTips.slice(0, limit);
+  }
+
+  /**
+   * Empty the received tips feed.
+   */
+  clearReceivedTips() {
+    this.receivedTips = [];
+  }
+
+  /**
+   * Plain ledger transfers to this wallet (`tr` notification). Deposits,
+   * withdrawals and app session payouts are not tips.
+   * @private
+   */
+  _handleIncomingTransfers(transactions = []) {
+    const user = this.userAddress?.toLowerCase();
+    if (!user) return;
+
+    for (const tx of transactions) {
+      if (tx.txType !== RPCTxType.Transfer) continue;
+      if (tx.toAccount.toLowerCase() !== user || tx.fromAccount.toLowerCase() === user) continue;
+      if (tx.asset !== this.config.defaultAsset) continue;
+
+      const amountUnits = this._parseAmount(tx.amount);
+      this._receiveTip({
+        id: `tx_${tx.id}`,
+        source: 'transfer',
+        sender: tx.fromAccount,
+        asset: tx.asset,
+        amountUnits,
+        creatorUnits: amountUnits,
+        message: '',
+        timestamp: new Date(tx.createdAt).getTime(),
+      });
+    }
+  }
+
+  /**
+   * New state of an app session this wallet takes part in (`asu`
+   * notification). Whatever our allocation grew by since the last state is
+   * a tip; the participant whose allocation shrank sent it. Sessions first
+   * seen mid-way only set the baseline — earlier tips can't be told apart.
+   * @private
+   */
+  _handleAppSessionUpdate(update) {
+    const user = this.userAddress?.toLowerCase();
+    if (!user || !update?.appSessionId) return;
+    if (!update.participants.some((participant) => participant.toLowerCase() === user)) return;
+
+    const id = update.appSessionId.toLowerCase();
+    const previous = this.incomingAppSessions.get(id);
+
+    if (update.status === 'closed') {
+      this.incomingAppSessions.delete(id);
+      return;
+    }
+    if (previous && update.version <= previous.version) return; // duplicate or stale
+
+    const allocations = new Map(
+      update.participantAllocations
+        .filter((allocation) => allocation.asset === this.config.defaultAsset)
+        .map((allocation) => [
+          allocation.participant.toLowerCase(),
+          this._parseAmount(allocation.amount),
+        ])
+    );
+    this.incomingAppSessions.set(id, { version: update.version, allocations });
+
+    // Sessions we opened ourselves are tracked by sendTip
+    if ([...this.activeSessions.keys()].some((sessionId) => sessionId.toLowerCase() === id)) return;
+    if (!previous && update.version > 1) return;
+
+    const before = previous?.allocations || new Map();
+    const delta = (participant) => (allocations.get(participant) ?? 0n) - (before.get(participant) ?? 0n);
+    const creatorUnits = delta(user);
+    if (creatorUnits <= 0n) return;
+
+    // The biggest debit paid for it (tip + commission)
+    let sender = null;
+    let paid = 0n;
+    for (const participant of allocations.keys()) {
+      if (-delta(participant) > paid) {
+        sender = participant;
+        paid = -delta(participant);
+      }
+    }
+
+    let details = {};
+    try {
+      details = JSON.parse(update.sessionData || '{}');
+    } catch {
+      /* not ours */
+    }
+
+    this._receiveTip({
+      id: details.tipId || `${id}:${update.version}`,
+      source: 'app_session',
+      sender,
+      asset: this.config.defaultAsset,
+      amountUnits: paid || creatorUnits,
+      creatorUnits,
+      message: typeof details.message === 'string' ? details.message : '',
+      count: Number.isInteger(details.count) ? details.count : 1, // taps combined into this transfer
+      timestamp: new Date(update.updatedAt).getTime() || Date.now(),
+      appSessionId: update.appSessionId,
+      version: update.version,
+    });
+  }
+
+  /**
+   * Add a tip to the feed (once) and announce it.
+   * @private
+   */
+  _receiveTip({ amountUnits, creatorUnits, ...tip }) {
+    if (this.receivedTips.some((received) => received.id === tip.id)) return;
+
+    const received = {
+      ...tip,
+      amount: this._toNumber(amountUnits),
+      commission: this._toNumber(amountUnits - creatorUnits),
+      creatorReceives: this._toNumber(creatorUnits),
+      units: { amount: amountUnits, creatorReceives: creatorUnits },
+    };
+
+    this.receivedTips.unshift(received);
+    this.receivedTips.length = Math.min(this.receivedTips.length, this.config.receivedTipsLimit);
+
+    this.log.yellow.info(
+      `🎁 Tip received: $${this._formatAmount(creatorUnits)} from ${received.sender || 'unknown'}`
+    );
+    this._triggerEvent('onTipReceived', received);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // TRANSACTION HISTORY — the user's ClearNode ledger, as tips
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Page through the user's ledger transactions on ClearNode, newest first,
+   * normalised into sent/received tips and stream session movements.
+   * Asset filtering happens on ClearNode; counterparty, direction, kind and
+   * time range are applied here, scanning further pages until `limit`
+   * entries match. Pass the returned `nextCursor` back as `cursor` for the
+   * next page.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=20] — entries per page
+   * @param {number} [options.cursor=0] — `nextCursor` of the previous page
+   * @param {string} [options.counterparty] — address (or app session id) on the other side
+   * @param {string} [options.asset]
+   * @param {'sent'|'received'} [options.direction]
+   * @param {'tip'|'session_deposit'|'session_payout'} [options.kind]
+   * @param {number|Date} [options.from] — oldest time included
+   * @param {number|Date} [options.to] — newest time included
+   * @returns {Promise<Object>} { entries, nextCursor, hasMore }
+   */
+  async getTransactionHistory(options = {}) {
+    if (!this.sessionSigner || !this.connected || !this.authenticated) {
+      throw this._notAuthenticatedError('Cannot load history while not authenticated with Yellow Network');
+    }
+
+    const { limit = 20, cursor = 0, asset, direction, kind } = options;
+    const counterparty = options.counterparty?.toLowerCase();
+    const from = options.from === undefined ? -Infinity : Number(options.from);
+    const to = options.to === undefined ? Infinity : Number(options.to);
+    const pageSize = this.config.historyPageSize;
+
+    const entries = [];
+    let offset = cursor;
+    let exhausted = false;
+
+    for (let page = 0; page < HISTORY_MAX_PAGES && !exhausted && entries.length < limit; page++) {
+      const payload = await createGetLedgerTransactionsMessage(
+        this.sessionSigner,
+        this.userAddress,
+        { asset, sort: 'desc', offset, limit: pageSize }
+      );
+      const response = await this._sendRequest(payload);
+      const transactions = response.params?.ledgerTransactions || [];
+      if (transactions.length < pageSize) exhausted = true;
+
+      for (const tx of transactions) {
+        if (entries.length === limit) {
+          exhausted = false; // stopped mid-page — the rest is still to come
+          break;
+        }
+        offset++;
+
+        const entry = this._historyEntry(tx);
+        if (!entry || entry.timestamp > to) continue;
+        if (entry.timestamp < from) {
+          exhausted = true; // newest first: everything after is older still
+          break;
+        }
+        if (counterparty && entry.counterparty.toLowerCase() !== counterparty) continue;
+        if (direction && entry.direction !== direction) continue;
+        if (kind && entry.kind !== kind) continue;
+        entries.push(entry);
+      }
+    }
+
+    return { entries, nextCursor: exhausted ? null : offset, hasMore: !exhausted };
+  }
+
+  /**
+   * One ledger transaction as a history entry, or null when it isn't a tip
+   * or session movement of this user (e.g. on-chain deposits).
+   * @private
+   */
+  _historyEntry(tx) {
+    const kind = HISTORY_KINDS[tx.txType];
+    if (!kind) return null;
+
+    const user = this.userAddress.toLowerCase();
+    const sent = tx.fromAccount.toLowerCase() === user;
+    if (!sent && tx.toAccount.toLowerCase() !== user) return null;
+
+    let units = null; // exact units are only known for the configured asset
+    if (tx.asset === this.config.defaultAsset) {
+      try {
+        units = this._parseAmount(tx.amount);
+      } catch {
+        /* more decimals than the asset has — display value only */
+      }
+    }
+
+    return {
+      id: tx.id,
+      kind,
+      direction: sent ? 'sent' : 'received',
+      counterparty: sent ? tx.toAccount : tx.fromAccount,
+      counterpartyTag: (sent ? tx.toAccountTag : tx.fromAccountTag) || null,
+      asset: tx.asset,
+      amount: Number(tx.amount),
+      units,
+      timestamp: new Date(tx.createdAt).getTime(),
+      txType: tx.txType,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // TIP JOURNAL — persistent history + ledger reconciliation
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * List the connected wallet's journaled tips, newest first; none before
+   * `initialize()`.
+   *
+   * @param {Object} [filter] — { status, sessionId, streamer, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTipJournal(filter = {}) {
+    if (!this.userAddress) return [];
+    return this.journal.list({ ...filter, sender: this.userAddress });
+  }
+
+  /**
+   * Resolve journal entries still marked `pending` (tab closed or connection
+   * lost before ClearNode answered) against ClearNode: a tip is `confirmed`
+   * when its app session reached the state version the tip was submitted
+   * as, otherwise `failed`. Tips from before app sessions are looked up as
+   * transfers in the user's ledger. Nothing is ever re-sent. Leftover
+   * `queued` entries from an earlier page load become `dropped`. Only the
+   * connected wallet's entries are touched: another account's pending tips
+   * wait until that account connects again.
+   *
+   * @returns {Promise<Object>} { confirmed, failed, dropped }
+   */
+  async reconcileJournal() {
+    if (!this.userAddress) return { confirmed: 0, failed: 0, dropped: 0 };
+
+    // Queued entries not in this page's queue were lost with an earlier page
+    const queuedIds = new Set(this.tipQueue.map((item) => item.entry.id));
+    const sender = this.userAddress;
+    const stale = (await this.journal.list({ sender, status: TIP_STATUS.QUEUED }))
+      .filter((entry) => !queuedIds.has(entry.id));
+    for (const entry of stale) {
+      await this._journalUpdate(entry.id, {
+        status: TIP_STATUS.DROPPED,
+        error: 'Page closed before the tip could be sent',
+      });
+    }
+    const dropped = stale.length;
+
+    const pending = (await this.journal.list({ sender, status: TIP_STATUS.PENDING }))
+      .filter((entry) => !this.inFlightTipIds.has(entry.id))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    if (pending.length === 0) return { confirmed: 0, failed: 0, dropped };
+
+    if (!this.sessionSigner || !this.connected || !this.authenticated) {
+      throw this._notAuthenticatedError('Cannot reconcile tips while not authenticated with Yellow Network');
+    }
+
+    this.log.yellow.info(`🔍 Reconciling ${pending.length} pending tip(s) against ClearNode...`);
+
+    const stateTips = await this._reconcileAppStateTips(
+      pending.filter((entry) => entry.appSessionId)
+    );
+    const transferTips = await this._reconcileTransferTips(
+      pending.filter((entry) => !entry.appSessionId)
+    );
+    const confirmed = stateTips.confirmed + transferTips.confirmed;
+    const failed = stateTips.failed + transferTips.failed;
+
+    this.log.yellow.info(`✅ Reconciled tips: ${confirmed} confirmed, ${failed} failed`);
+    return { confirmed, failed, dropped };
+  }
+
+  /**
+   * Pending app session tips: confirmed once the session is at (or past)
+   * the version the tip was submitted as.
+   * @private
+   */
+  async _reconcileAppStateTips(entries) {
+    let confirmed = 0;
+    let failed = 0;
+    if (entries.length === 0) return { confirmed, failed };
+
+    const versions = await this._fetchAppSessionVersions();
+
+    for (const entry of entries) {
+      const serverVersion = versions.get(entry.appSessionId.toLowerCase());
+
+      if (entry.version !== undefined && serverVersion >= entry.version) {
+        confirmed++;
+        await this._journalUpdate(entry.id, {
+          status: TIP_STATUS.CONFIRMED,
+          confirmedAt: Date.now(),
+        });
+
+        // The tip belongs to a still-open session → count it now
+        const session = this.activeSessions.get(entry.sessionId);
+        if (session) {
+          const tipUnits = BigInt(entry.amount);
+          const { commission } = this._splitCommission(tipUnits, session.commissionRate);
+          this._recordSpend(session, tipUnits, commission);
+        }
+      } else {
+        failed++;
+        await this._journalUpdate(entry.id, {
+          status: TIP_STATUS.FAILED,
+          error:
+            entry.version === undefined
+              ? 'Never submitted to ClearNode'
+              : 'Not part of the app session state on ClearNode',
+        });
+      }
+    }
+
+    return { confirmed, failed };
+  }
+
+  /**
+   * Pending tips sent as plain ledger transfers (journaled before app
+   * sessions): matched against the user's ClearNode ledger.
+   * @private
+   */
+  async _reconcileTransferTips(entries) {
+    let confirmed = 0;
+    let failed = 0;
+    if (entries.length === 0) return { confirmed, failed };
+
+    const payload = await createGetLedgerTransactionsMessage(
+      this.sessionSigner,
+      this.userAddress,
+      {
+        asset: this.config.defaultAsset,
+        tx_type: RPCTxType.Transfer,
+        sort: 'desc',
+        limit: 100,
+      }
+    );
+    const response = await this._sendRequest(payload);
+    const transactions = response.params?.ledgerTransactions || [];
+
+    // Ledger transactions already credited to a confirmed tip can't match again
+    const claimed = new Set(
+      (await this.journal.list({ sender: this.userAddress, status: TIP_STATUS.CONFIRMED }))
+        .map((entry) => entry.transactionId)
+        .filter((id) => id !== undefined)
+    );
+
+    const user = this.userAddress.toLowerCase();
+    const clockSkew = 60 * 1000;
+
+    for (const entry of entries) {
+      const match = transactions.find(
+        (tx) =>
+          !claimed.has(tx.id) &&
+          tx.fromAccount.toLowerCase() === user &&
+          tx.toAccount.toLowerCase() === entry.streamer.toLowerCase() &&
+          tx.asset === entry.asset &&
+          this._ledgerAmountEquals(tx.amount, entry.amount) &&
+          new Date(tx.createdAt).getTime() >= entry.createdAt - clockSkew
+      );
+
+      if (match) {
+        claimed.add(match.id);
+        confirmed++;
+        await this._journalUpdate(entry.id, {
+          status: TIP_STATUS.CONFIRMED,
+          transactionId: match.id,
+          confirmedAt: new Date(match.createdAt).getTime(),
+        });
+      } else {
+        failed++;
+        await this._journalUpdate(entry.id, {
+          status: TIP_STATUS.FAILED,
+          error: 'Not found on the ClearNode ledger',
+        });
+      }
+    }
+
+    return { confirmed, failed };
+  }
+
+  /**
+   * @private
+   */
+  _reconcileJournalInBackground() {
+    this.reconcileJournal().catch((err) => {
+      this.log.local.warn('⚠️ Could not reconcile tip journal:', err.message);
+    });
+  }
+
+  /**
+   * Journal writes must never block a tip — fall back to an unsaved entry.
+   * @private
+   */
+  async _journalRecord(entry) {
+    try {
+      const stored = await this.journal.record(entry);
+      this._triggerEvent('onJournalUpdated', stored);
+      return stored;
+    } catch (err) {
+      this.log.local.warn('⚠️ Could not journal tip:', err.message);
+      return { id: createTipId(), ...entry };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _journalUpdate(id, patch) {
+    try {
+      const updated = await this.journal.update(id, patch);
+      if (updated) this._triggerEvent('onJournalUpdated', updated);
+      return updated;
+    } catch (err) {
+      this.log.local.warn('⚠️ Could not update tip journal:', err.message);
+      return null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECEIPTS — signed records of closed sessions
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * List the connected wallet's receipts of closed sessions, most recently
+   * closed first; none before `initialize()`.
+   *
+   * @param {Object} [filter] — { streamer, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async getReceipts(filter = {}) {
+    if (!this.userAddress) return [];
+    return this.receipts.list({ ...filter, viewer: this.userAddress });
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} the receipt, if the connected wallet was its viewer
+   */
+  async getReceipt(sessionId) {
+    const receipt = await this.receipts.get(sessionId);
+    return receipt && this.userAddress && receipt.viewer === this.userAddress ? receipt : null;
+  }
 
   /**
-   * End the current streaming session.
-   * Tips were already sent off-chain via Nitrolite transfers.
+   * Attach the on-chain settlement (see SettlementStore) to a session's
+   * receipt. It stays outside the signature, so the receipt still
+   * verifies; the tx hashes can be checked on-chain.
    *
-   * @returns {Promise<Object>}
+   * @param {string} sessionId
+   * @param {Object} settlement — { status, legs: [{ recipient, to, amount (units), txHash }] }
+   * @returns {Promise<Object|null>} the updated receipt, or null if unknown
    */
-  async endStreamSession() {
-    if (!this.activeStreamSession) {
-      throw new Error('No active stream session to end');
-    }
+  async attachSettlement(sessionId, settlement) {
+    const receipt = await this.receipts.get(sessionId);
+    if (!receipt) return null;
+
+    return this.receipts.put({
+      ...receipt,
+      settlement: {
+        status: settlement.status,
+        legs: settlement.legs.map((leg) => ({
+          recipient: leg.recipient,
+          to: leg.to,
+          amount: toDecimalString(BigInt(leg.amount), receipt.decimals),
+          txHash: leg.txHash,
+        })),
+        updatedAt: Date.now(),
+      },
+    });
+  }
 
+  /**
+   * Build, sign (session key, EIP-191) and store the receipt of a session
+   * that just closed. A receipt must never fail the close, so errors are
+   * logged and null returned.
+   * @private
+   */
+  async _issueReceipt(session) {
     try {
-      console.log('[LOCAL] 🔴 Ending stream session...');
-
-      const session = this.activeStreamSession;
-      session.status = 'closed';
-      session.closedAt = Date.now();
+      const { assetDecimals: decimals, defaultAsset: asset } = this.config;
+      const toDecimal = (units) => toDecimalString(units, decimals);
+      const tips = (await this.journal.list({ sessionId: session.sessionId, status: TIP_STATUS.CONFIRMED }))
+        .reverse()
+        .flatMap((entry) => {
+          const { commission } = this._splitCommission(BigInt(entry.amount), session.commissionRate);
+          // A combined transfer is listed as the taps it was made of
+          const parts = entry.parts || [
+            { id: entry.id, amount: entry.amount, message: entry.message, createdAt: entry.createdAt },
+          ];
+          return this._splitAcrossParts(parts, commission, session.commissionRate).map(
+            ({ part, amount, commission: share }) => ({
+              id: part.id,
+              ...(entry.parts && { transferId: entry.id }),
+              sentAt: part.createdAt,
+              amount: toDecimal(amount),
+              streamerReceives: toDecimal(amount - share),
+              commission: toDecimal(share),
+              message: part.message || '',
+            })
+          );
+        });
 
-      const sessionSummary = {
+      const receipt = {
+        id: session.sessionId,
+        receiptVersion: RECEIPT_VERSION,
         sessionId: session.sessionId,
-        duration: session.closedAt - session.createdAt,
-        totalDeposited: session.initialDeposit,
-        totalSpent: session.spent,
-        unusedBalance: session.currentBalance,
+        viewer: this.userAddress,
+        streamer: session.streamerAddress,
+        treasury: session.treasuryAddress,
+        asset,
+        decimals,
+        openedAt: session.createdAt,
+        closedAt: session.closedAt,
+        deposited: toDecimal(session.initialDeposit),
+        spent: toDecimal(session.spent),
+        unused: toDecimal(session.currentBalance),
         commissionRate: session.commissionRate,
+        streamerReceives: toDecimal(session.spent - session.commission),
+        commission: toDecimal(session.commission),
+        tips,
+        signer: this.sessionKey?.address ?? null,
       };
-
-      console.log('[LOCAL] 🔴 Stream session ended.');
-      console.log(
-        `[LOCAL] 💰 [USDC] Final balance: $${session.currentBalance.toFixed(2)} USDC (unused)`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Total spent in tips: $${session.spent.toFixed(2)} USDC`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Initial deposit was: $${session.initialDeposit.toFixed(2)} USDC`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Session duration: ${((Date.now() - session.createdAt) / 1000).toFixed(0)}s`
-      );
-
-      console.log('[LOCAL] 🔴 Stream session ended.');
-      console.log(
-        `[YELLOW] 💰 [YTEST.USD] Final balance: $${session.currentBalance.toFixed(2)} (unused)`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Total spent in tips: $${session.spent.toFixed(2)} USDC`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Initial deposit was: $${session.initialDeposit.toFixed(2)} USDC`
-      );
-      console.log(
-        `[LOCAL] 💰 [USDC] Session duration: ${((Date.now() - session.createdAt) / 1000).toFixed(0)}s`
-      );
-
-      this._triggerEvent('onSessionClosed', sessionSummary);
-
-      // Clear active session
-      this.activeStreamSession = null;
-
-      return { success: true, ...sessionSummary };
-    } catch (error) {
-      console.error('❌ Failed to end stream session:', error);
-      this._triggerEvent('onError', {
-        type: 'session_close_error',
-        message: error.message,
-        error,
-      });
-      throw error;
+      receipt.signature = this.sessionKey
+        ? await privateKeyToAccount(this.sessionKey.privateKey).signMessage({
+            message: receiptMessage(receipt),
+          })
+        : null;
+      receipt.settlement = null;
+
+      await this.receipts.put(receipt);
+      this.log.settlement.info(`🧾 Receipt for session ${session.sessionId}: ${tips.length} tips, signed by ${receipt.signer}`);
+      return receipt;
+    } catch (err) {
+      this.log.settlement.warn('⚠️ Could not issue the session receipt:', err);
+      return null;
     }
   }
 
@@ -729,17 +2996,67 @@ class YellowTokService {
       try {
         parsed = JSON.parse(raw);
       } catch {
-        console.warn('⚠️ Non-JSON message from ClearNode:', raw);
+        this.log.yellow.warn('⚠️ Non-JSON message from ClearNode:', raw);
         return;
       }
 
       // Use Nitrolite SDK parser for structured response handling
-      const response = parseAnyRPCResponse(JSON.stringify(parsed));
+      let response;
+      try {
+        response = parseAnyRPCResponse(JSON.stringify(parsed));
+      } catch (parseError) {
+        // A reply we cannot parse must still fail the request it answers
+        this._takePendingRequest(parsed?.res?.[0])?.reject(
+          new ClearNodeError(`Unreadable reply from ClearNode: ${parseError.message}`, {
+            code: ERROR_CODES.INVALID_RESPONSE,
+            cause: parseError,
+          })
+        );
+        throw parseError;
+      }
+
+      // ── Reply to one of our requests → settle its promise ──
+      const pending = this._takePendingRequest(response.requestId);
+      if (pending) {
+        if (response.method === RPCMethod.Error) {
+          this.log.yellow.error(`❌ ClearNode rejected ${pending.method}:`, response.params);
+          pending.reject(
+            new ClearNodeError(response.params?.error || `ClearNode rejected ${pending.method}`, {
+              code: ERROR_CODES.CLEARNODE_REJECTED,
+              details: response.params,
+            })
+          );
+          return;
+        }
+        pending.resolve(response);
+      }
 
       switch (response.method) {
         // ── Transfer confirmation ──
         case RPCMethod.Transfer: {
-          console.log('[YELLOW] ✅ Transfer confirmed by ClearNode:', response.params);
+          this.log.yellow.debug('✅ Transfer confirmed by ClearNode:', response.params);
+          break;
+        }
+
+        // ── App session state accepted / closed ──
+        case RPCMethod.CreateAppSession:
+        case RPCMethod.SubmitAppState:
+        case RPCMethod.CloseAppSession: {
+          this.log.yellow.debug(
+            `📜 App session ${response.params?.appSessionId} at version ${response.params?.version} (${response.params?.status})`
+          );
+          break;
+        }
+
+        // ── Incoming transfers (real-time push from ClearNode) ──
+        case RPCMethod.TransferNotification: {
+          this._handleIncomingTransfers(response.params?.transactions);
+          break;
+        }
+
+        // ── App session state pushed to every participant ──
+        case RPCMethod.AppSessionUpdate: {
+          this._handleAppSessionUpdate(response.params);
           break;
         }
 
@@ -747,64 +3064,141 @@ class YellowTokService {
         case RPCMethod.BalanceUpdate: {
           const balances =
             response.params?.balanceUpdates || response.params?.ledgerBalances;
+          // Ledger balance excludes funds locked in app sessions, so it is
+          // never copied into a session — session balances follow app state.
+          // Credits it reports also arrive as `tr`/`asu`, where tips are counted.
           if (balances) {
-            console.log('[YELLOW] 💰 Balance update from ClearNode:', balances);
-            const assetEntry = Array.isArray(balances)
-              ? balances.find((b) => b.asset === this.config.defaultAsset)
-              : null;
-            if (assetEntry && this.activeStreamSession) {
-              this.activeStreamSession.currentBalance = parseFloat(
-                assetEntry.amount
-              );
-            }
+            this.log.yellow.debug('💰 Balance update from ClearNode:', balances);
           }
-          this._triggerEvent('onBalanceUpdate', response.params);
+          this._triggerEvent('onBalanceUpdate', { balance: balances || [] });
           break;
         }
 
         // ── Ledger balance query response ──
         case RPCMethod.GetLedgerBalances: {
+          if (pending) break; // answer to a balance check, handled by the caller
           const ledgerBalances = response.params?.ledgerBalances;
           if (ledgerBalances) {
-            console.log('[YELLOW] 📊 Ledger balances:', ledgerBalances);
+            this.log.yellow.debug('📊 Ledger balances:', ledgerBalances);
           }
-          this._triggerEvent('onBalanceUpdate', { balance: ledgerBalances });
+          this._triggerEvent('onBalanceUpdate', { balance: ledgerBalances || [] });
           break;
         }
 
         // ── Channels update ──
         case RPCMethod.ChannelsUpdate: {
-          console.log('[YELLOW] 📡 Channels update:', response.params);
+          this.log.yellow.debug('📡 Channels update:', response.params);
           break;
         }
 
         // ── Assets info ──
         case RPCMethod.Assets: {
-          console.log('[YELLOW] 📋 Assets info:', response.params);
+          this.log.yellow.debug('📋 Assets info:', response.params);
           break;
         }
 
         // ── Error from ClearNode ──
         case RPCMethod.Error: {
-          console.error('❌ ClearNode error:', response.params);
-          this._triggerEvent('onError', {
-            type: 'clearnode_error',
-            message: response.params?.error || 'Unknown ClearNode error',
-            details: response.params,
-          });
+          this.log.yellow.error('❌ ClearNode error:', response.params);
+          this._reportError(
+            'clearnode_error',
+            new ClearNodeError(response.params?.error || 'Unknown ClearNode error', {
+              code: ERROR_CODES.CLEARNODE_REJECTED,
+              details: response.params,
+            })
+          );
           break;
         }
 
         // ── Auth messages (handled by _authenticateWithNitrolite, skip here) ──
         case RPCMethod.AuthChallenge:
         case RPCMethod.AuthVerify:
+        case RPCMethod.Pong:
           break;
 
         default:
-          console.log('[YELLOW] 📩 ClearNode message:', response.method, response.params);
+          this.log.yellow.debug('📩 ClearNode message:', response.method, response.params);
       }
     } catch (error) {
-      console.error('Failed to handle ClearNode message:', error);
+      this.log.yellow.error('Failed to handle ClearNode message:', error);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // RPC REQUEST / RESPONSE MATCHING
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Send a Nitrolite payload and wait for the ClearNode reply carrying the
+   * same request id. Rejects with the ClearNode error message, on timeout,
+   * or when the connection drops before the reply arrives.
+   *
+   * @param {string} payload — serialized message from a create*Message helper
+   * @param {number} [timeoutMs]
+   * @returns {Promise<Object>} parsed RPC response
+   * @private
+   */
+  _sendRequest(payload, timeoutMs = this.config.requestTimeout) {
+    if (!this.ws || !this.connected) {
+      return Promise.reject(
+        new ConnectionError('Not connected to Yellow Network', { code: ERROR_CODES.NOT_CONNECTED })
+      );
+    }
+
+    const [requestId, method] = JSON.parse(payload).req || [];
+    if (requestId === undefined) {
+      return Promise.reject(
+        new YellowTokError('Cannot track an RPC payload without a request id', {
+          code: ERROR_CODES.INVALID_ARGUMENT,
+        })
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(
+          new ConnectionError(`ClearNode did not answer ${method} within ${timeoutMs / 1000}s`, {
+            code: ERROR_CODES.REQUEST_TIMEOUT,
+          })
+        );
+      }, timeoutMs);
+
+      this.pendingRequests.set(requestId, { method, resolve, reject, timer });
+
+      try {
+        this.ws.send(payload);
+      } catch (err) {
+        this._takePendingRequest(requestId);
+        reject(
+          new ConnectionError(`Could not send ${method} to ClearNode`, {
+            code: ERROR_CODES.CONNECTION_LOST,
+            cause: err,
+          })
+        );
+      }
+    });
+  }
+
+  /**
+   * Remove and return the pending request for a reply, if we sent it.
+   * @private
+   */
+  _takePendingRequest(requestId) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return null;
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+    return pending;
+  }
+
+  /**
+   * Fail every in-flight request (connection closed).
+   * @private
+   */
+  _rejectPendingRequests(error) {
+    for (const requestId of [...this.pendingRequests.keys()]) {
+      this._takePendingRequest(requestId).reject(error);
     }
   }
 
@@ -813,31 +3207,165 @@ class YellowTokService {
   // ═══════════════════════════════════════════════════════════════
 
   /**
+   * Schedule the next reconnect attempt according to `config.reconnect`.
    * @private
    */
   _attemptReconnect() {
-    if (this.reconnectAttempts < this.maxReconnectAttempts) {
+    if (this.reconnectTimer) return; // one attempt at a time
+
+    if (!this._isOnline()) {
+      this.log.yellow.info('📴 Browser is offline — reconnecting once the network is back');
+      return;
+    }
+
+    const { maxAttempts } = this.config.reconnect;
+    if (this.reconnectAttempts < maxAttempts) {
       this.reconnectAttempts++;
-      const delay = Math.min(
-        1000 * Math.pow(2, this.reconnectAttempts),
-        30000
-      );
+      // The first retry waits `baseDelay`
+      const delay = this._reconnectDelay(this.reconnectAttempts - 1);
 
-      console.log(
-        `[YELLOW] 🔄 Attempting reconnect ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms...`
+      this.log.yellow.info(
+        `🔄 Attempting reconnect ${this.reconnectAttempts}/${maxAttempts === Infinity ? '∞' : maxAttempts} in ${delay}ms...`
       );
+      this._triggerEvent('onReconnecting', {
+        attempt: this.reconnectAttempts,
+        maxAttempts,
+        delay,
+      });
 
-      setTimeout(() => {
-        this._connectToClearNode().catch((err) => {
-          console.error('Reconnect failed:', err);
-        });
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this._reconnect();
       }, delay);
     } else {
-      console.error('❌ Max reconnection attempts reached');
-      this._triggerEvent('onError', {
-        type: 'max_reconnect_attempts',
-        message: 'Could not reconnect to Yellow Network',
+      this.log.yellow.error('❌ Max reconnection attempts reached');
+      this._setState(FAILED, { reason: 'max reconnect attempts reached' });
+      this._reportError(
+        'max_reconnect_attempts',
+        new ConnectionError('Could not reconnect to Yellow Network', {
+          code: ERROR_CODES.RECONNECT_FAILED,
+        })
+      );
+    }
+  }
+
+  /**
+   * Exponential backoff capped at `maxDelay`, with jitter so many clients
+   * don't retry in lockstep.
+   * @private
+   */
+  _reconnectDelay(attempt) {
+    const { baseDelay, maxDelay, jitter } = this.config.reconnect;
+    const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    return Math.round(delay * (1 - jitter * Math.random()));
+  }
+
+  /**
+   * Open a new socket and restore auth. A socket that closes schedules the
+   * next attempt itself; one that never opens (the transport threw, or it
+   * errored without closing) is dropped and the next attempt scheduled here.
+   * @private
+   */
+  _reconnect() {
+    this._connectToClearNode()
+      .then(async () => {
+        // Socket is back — restore auth before anything else is sent
+        this._setState(AUTHENTICATING);
+        try {
+          const method = await this._reauthenticate();
+          this._setState(READY);
+          this._triggerEvent('onReauthenticated', { method });
+          this._flushTipQueue();
+          this._reconcileJournalInBackground();
+        } catch (err) {
+          // Lost the socket again → the reconnect loop already took over
+          if (this.state !== AUTHENTICATING) return;
+          this.log.yellow.error('❌ Re-authentication after reconnect failed:', err);
+          this._closeSocket();
+          this._setState(FAILED, { reason: 're-authentication failed' });
+          this._reportError(
+            'reauthentication_error',
+            toYellowTokError(err, 'Could not re-authenticate with Yellow Network')
+          );
+        }
+      })
+      .catch((err) => {
+        this.log.yellow.error('Reconnect failed:', err);
+        if (this.state !== RECONNECTING) return;
+        this._closeSocket();
+        this._attemptReconnect();
       });
+  }
+
+  /**
+   * @private
+   */
+  _cancelReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // BROWSER NETWORK STATUS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * @private
+   */
+  _isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * React to the browser's online/offline events: drop the socket as soon
+   * as the network goes away, reconnect right away when it returns.
+   * @private
+   */
+  _watchNetwork() {
+    if (this.networkListeners || typeof window === 'undefined' || !window.addEventListener) {
+      return;
+    }
+    this.networkListeners = {
+      online: () => this._handleOnline(),
+      offline: () => this._handleOffline(),
+    };
+    for (const [event, handler] of Object.entries(this.networkListeners)) {
+      window.addEventListener(event, handler);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unwatchNetwork() {
+    if (!this.networkListeners) return;
+    for (const [event, handler] of Object.entries(this.networkListeners)) {
+      window.removeEventListener(event, handler);
+    }
+    this.networkListeners = null;
+  }
+
+  /**
+   * @private
+   */
+  _handleOnline() {
+    if (![RECONNECTING, FAILED].includes(this.state)) return;
+    if (this.connected || this.ws?.readyState === WS_CONNECTING) return;
+    this.log.yellow.info('🌐 Network is back — reconnecting now');
+    this._cancelReconnect();
+    this.reconnectAttempts = 0;
+    this._setState(RECONNECTING, { reason: 'network is back' });
+    this._reconnect();
+  }
+
+  /**
+   * @private
+   */
+  _handleOffline() {
+    // Retrying without a network only burns attempts
+    this._cancelReconnect();
+    if (this.connected) {
+      this._dropConnection('Browser went offline');
     }
   }
 
@@ -846,89 +3374,304 @@ class YellowTokService {
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Convert dollar amount to asset units (considering decimals).
+   * Parse a USDC amount (number or decimal string) into bigint asset units.
+   * Throws a ValidationError (INVALID_AMOUNT) for amounts finer than
+   * `assetDecimals`, with money's InvalidAmountError as the cause.
+   * @private
+   */
+  _parseAmount(amount) {
+    try {
+      return parseAmount(amount, this.config.assetDecimals);
+    } catch (err) {
+      throw toYellowTokError(err);
+    }
+  }
+
+  /**
+   * Asset units → number, for public results and display only.
+   * @private
+   */
+  _toNumber(units) {
+    return toNumber(units, this.config.assetDecimals);
+  }
+
+  /**
+   * Asset units → "12.34" for logs.
+   * @private
+   */
+  _formatAmount(units) {
+    return formatAmount(units, this.config.assetDecimals);
+  }
+
+  /**
+   * Split a tip into commission and creator share. Commission is rounded
+   * down to whole units, so both parts always add up to the tip exactly.
    * @private
    */
-  _toAssetUnits(dollarAmount) {
-    return Math.floor(dollarAmount * Math.pow(10, this.config.assetDecimals));
+  _splitCommission(tipUnits, commissionRate) {
+    const basisPoints = BigInt(Math.round(commissionRate * 100));
+    const commission = (tipUnits * basisPoints) / 10000n;
+    return { commission, creatorReceives: tipUnits - commission };
   }
 
   /**
-   * Convert asset units to dollar amount.
+   * Whether a ledger amount (decimal string) equals journaled asset units.
    * @private
    */
-  _fromAssetUnits(units) {
-    return units / Math.pow(10, this.config.assetDecimals);
+  _ledgerAmountEquals(ledgerAmount, units) {
+    try {
+      return this._parseAmount(ledgerAmount) === BigInt(units);
+    } catch {
+      return false;
+    }
   }
 
   /**
-   * Register event handler.
+   * Subscribe to a service event. Any number of handlers may listen to the
+   * same event; `'*'` listens to all of them and is called as
+   * `handler(event, data)`.
+   *
+   * @returns {() => void} unsubscribe function
    */
   on(event, handler) {
-    if (this.eventHandlers.hasOwnProperty(event)) {
-      this.eventHandlers[event] = handler;
+    const handlers = this.listeners.get(event);
+    if (!handlers) {
+      this.log.local.warn(`Unknown event: ${event}`);
+      return () => { };
+    }
+    handlers.add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Subscribe for the next occurrence of an event only.
+   *
+   * @returns {() => void} unsubscribe function (no-op once fired)
+   */
+  once(event, handler) {
+    const unsubscribe = this.on(event, (...args) => {
+      unsubscribe();
+      handler(...args);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Remove a handler added with `on`. Without a handler, removes every
+   * handler of that event; without arguments, every handler of every event.
+   */
+  off(event, handler) {
+    if (event === undefined) {
+      this.listeners.forEach((handlers) => handlers.clear());
+      return;
+    }
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    if (handler === undefined) {
+      handlers.clear();
     } else {
-      console.warn(`Unknown event: ${event}`);
+      handlers.delete(handler);
     }
   }
 
   /**
-   * Trigger event handler.
+   * Number of handlers subscribed to an event.
+   */
+  listenerCount(event) {
+    return this.listeners.get(event)?.size || 0;
+  }
+
+  /**
+   * Call every handler of `event`, then the wildcard handlers. A throwing
+   * handler is logged and does not stop the others.
    * @private
    */
   _triggerEvent(event, data) {
-    if (this.eventHandlers[event]) {
+    // Copy first: handlers may unsubscribe (once) while we iterate
+    const handlers = [...(this.listeners.get(event) || [])];
+    for (const handler of handlers) {
+      try {
+        handler(data);
+      } catch (error) {
+        this.log.local.error(`Error in ${event} handler:`, error);
+      }
+    }
+    for (const handler of [...this.listeners.get(WILDCARD_EVENT)]) {
       try {
-        this.eventHandlers[event](data);
+        handler(event, data);
       } catch (error) {
-        console.error(`Error in ${event} handler:`, error);
+        this.log.local.error(`Error in ${WILDCARD_EVENT} handler for ${event}:`, error);
       }
     }
   }
 
   /**
-   * Get current session info.
+   * Emit `onError` for a YellowTokError: `type` says where it happened,
+   * `code` and `retryable` what it was.
+   * @private
+   */
+  _reportError(type, error) {
+    this._triggerEvent('onError', {
+      type,
+      code: error.code,
+      retryable: error.retryable,
+      message: error.message,
+      error,
+      ...(error.details !== undefined && { details: error.details }),
+    });
+  }
+
+  /**
+   * Get info for one open session.
+   *
+   * @param {string} [sessionOrStreamerId] — session id or streamer address;
+   *   defaults to the most recently opened session
+   * @returns {Object|null}
    */
-  getSessionInfo() {
-    if (!this.activeStreamSession) {
-      return null;
+  getSessionInfo(sessionOrStreamerId) {
+    const session = this._resolveSession(sessionOrStreamerId);
+    return session ? this._sessionInfo(session) : null;
+  }
+
+  /**
+   * Info for every open session, oldest first.
+   *
+   * @returns {Array<Object>}
+   */
+  getOpenSessions() {
+    return [...this.activeSessions.values()].map((session) => this._sessionInfo(session));
+  }
+
+  /**
+   * Session by id or streamer address (default: most recent).
+   * @private
+   */
+  _resolveSession(sessionOrStreamerId) {
+    if (!sessionOrStreamerId) return this.activeStreamSession;
+    return (
+      this.activeSessions.get(sessionOrStreamerId) ||
+      this._findSessionByStreamer(sessionOrStreamerId)
+    );
+  }
+
+  /**
+   * Open session with a streamer (addresses compared case-insensitively).
+   * @private
+   */
+  _findSessionByStreamer(streamerAddress) {
+    const streamer = streamerAddress?.toLowerCase();
+    for (const session of this.activeSessions.values()) {
+      if (session.streamerAddress.toLowerCase() === streamer) return session;
     }
+    return null;
+  }
 
+  /**
+   * @private
+   */
+  _sessionInfo(session) {
     return {
-      sessionId: this.activeStreamSession.sessionId,
-      streamer: this.activeStreamSession.streamerAddress,
-      initialDeposit: this.activeStreamSession.initialDeposit,
-      currentBalance: this.activeStreamSession.currentBalance,
-      spent: this.activeStreamSession.spent,
-      commissionRate: this.activeStreamSession.commissionRate,
-      isPartner: this.activeStreamSession.isPartner,
-      status: this.activeStreamSession.status,
+      sessionId: session.sessionId,
+      streamer: session.streamerAddress,
+      initialDeposit: this._toNumber(session.initialDeposit),
+      currentBalance: this._toNumber(session.currentBalance),
+      // Last balance read back from the ClearNode ledger (null = not checked yet)
+      verifiedBalance:
+        session.verifiedBalance === null ? null : this._toNumber(session.verifiedBalance),
+      verifiedAt: session.verifiedAt,
+      spent: this._toNumber(session.spent),
+      commission: this._toNumber(session.commission),
+      pending: this._toNumber(session.pendingAmount),
+      // Exact values for anything that does arithmetic
+      units: {
+        initialDeposit: session.initialDeposit,
+        currentBalance: session.currentBalance,
+        verifiedBalance: session.verifiedBalance,
+        spent: session.spent,
+        commission: session.commission,
+        pending: session.pendingAmount,
+      },
+      commissionRate: session.commissionRate,
+      treasury: session.treasuryAddress,
+      isPartner: session.isPartner,
+      status: session.status,
     };
   }
 
+  // ═══════════════════════════════════════════════════════════════
+  // SPEND POLICY — caps, rate limit, confirmation threshold
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * What sendTip would decide for this tip, without sending it: violations,
+   * warnings near a cap, whether it needs confirmation and the usage per
+   * rule. Works without an open session (session usage is then 0).
+   *
+   * @param {number|string} tipAmount
+   * @param {string} streamerAddress
+   * @param {Object} [options] — { aggregate }, as it would be passed to sendTip
+   * @returns {Object}
+   */
+  checkTipPolicy(tipAmount, streamerAddress, options = {}) {
+    const session = this._findSessionByStreamer(streamerAddress);
+    return this.policy.evaluate({
+      amount: this._parseAmount(tipAmount),
+      streamer: streamerAddress,
+      sessionSpent: session ? session.spent + session.pendingAmount : 0n,
+      sender: this.userAddress,
+      joinsTransfer: Boolean(session) && this._joinsTransfer(session, options),
+    });
+  }
+
+  /**
+   * Current rules, amounts as decimal strings (null = no limit).
+   */
+  getSpendPolicy() {
+    return this.policy.getRules();
+  }
+
   /**
-   * Check if spending limit would be exceeded.
+   * Replace the spend policy rules; today's totals are kept.
+   *
+   * @param {Object|null} rules — see ./SpendPolicy; null removes every limit
+   * @returns {Object} the rules as stored
+   */
+  setSpendPolicy(rules) {
+    this.policy.setRules(rules);
+    this.config.spendPolicy = rules;
+    this.log.local.info('🚦 Spend policy updated:', this.policy.getRules());
+    return this.policy.getRules();
+  }
+
+  /**
+   * Check if a tip would exceed a session's spending limit.
+   *
+   * @deprecated one fixed limit and a fixed 90% warning — use checkTipPolicy
+   * @param {string} [sessionOrStreamerId] — defaults to the most recent session
    */
-  checkSpendingLimit(tipAmount, spendingLimit) {
-    if (!this.activeStreamSession) {
+  checkSpendingLimit(tipAmount, spendingLimit, sessionOrStreamerId) {
+    const session = this._resolveSession(sessionOrStreamerId);
+    if (!session) {
       return { allowed: false, reason: 'No active session', percentUsed: 0 };
     }
 
-    const newTotal = this.activeStreamSession.spent + tipAmount;
+    const spent = session.spent;
+    const limitUnits = this._parseAmount(spendingLimit);
+    const newTotal = spent + this._parseAmount(tipAmount);
 
-    if (newTotal > spendingLimit) {
+    if (newTotal > limitUnits) {
       return {
         allowed: false,
         reason: 'Spending limit exceeded',
-        currentSpent: this.activeStreamSession.spent,
-        limit: spendingLimit,
-        wouldBe: newTotal,
-        percentUsed: (this.activeStreamSession.spent / spendingLimit) * 100,
+        currentSpent: this._toNumber(spent),
+        limit: this._toNumber(limitUnits),
+        wouldBe: this._toNumber(newTotal),
+        percentUsed: percentOf(spent, limitUnits),
       };
     }
 
     // Warning at 90%
-    const percentUsed = (newTotal / spendingLimit) * 100;
+    const percentUsed = percentOf(newTotal, limitUnits);
     if (percentUsed >= 90) {
       return {
         allowed: true,
@@ -941,17 +3684,46 @@ class YellowTokService {
     return { allowed: true, percentUsed };
   }
 
+  /**
+   * JSON debug report for bug reports: the logger's recent entries plus a
+   * snapshot of the connection, session key and open sessions. Secrets
+   * are redacted by the logger.
+   *
+   * @returns {string}
+   */
+  exportDebugReport() {
+    const { transport, journal, secretStore, receiptStore, policyStorage, logger, ...config } =
+      this.config;
+    return this.logger.exportDebugReport({
+      state: this.state,
+      address: this.userAddress,
+      sessionKey: this.sessionKey?.address ?? null,
+      sessionKeyExpiresAt: this.sessionKeyExpiresAt,
+      openSessions: this.getOpenSessions(),
+      queuedTips: this.tipQueue.length,
+      reconnectAttempts: this.reconnectAttempts,
+      config,
+    });
+  }
+
   /**
    * Disconnect from Yellow Network.
    */
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
-    }
-    this.connected = false;
-    this.authenticated = false;
-    console.log('[YELLOW] 👋 Disconnected from Yellow Network');
+    this._rejectPendingRequests(
+      new ConnectionError('Disconnected from Yellow Network', { code: ERROR_CODES.NOT_CONNECTED })
+    );
+    this._dropQueuedTips(() => true, 'disconnected from Yellow Network');
+    this._cancelReconnect();
+    this._unwatchNetwork();
+    this._stopBalanceChecks();
+    // Intentional close — must not trigger the reconnect/re-auth path
+    this._closeSocket();
+    this._setState(CLOSED);
+    this._clearSessionKeyTimers();
+    // An explicit disconnect ends the auth session — don't replay it later
+    this._clearStoredJwt();
+    this.log.yellow.info('👋 Disconnected from Yellow Network');
   }
 }
 
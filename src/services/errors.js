@@ -0,0 +1,220 @@
+/**
+ * errors — typed failures for YellowTok.
+ *
+ * Everything the service throws or reports through `onError` is a
+ * YellowTokError with a stable `code` (see ERROR_CODES), a `retryable` flag
+ * and, when it wraps another failure, the original as `cause`. Match on
+ * `code`, never on `message`: messages are written for people and may
+ * change.
+ */
+
+export const ERROR_CODES = Object.freeze({
+  // Caller input
+  INVALID_AMOUNT: 'INVALID_AMOUNT', // not a number, ≤ 0 or too many decimals
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE', // session budget too small for the tip
+  NO_ACTIVE_SESSION: 'NO_ACTIVE_SESSION',
+  SESSION_ALREADY_OPEN: 'SESSION_ALREADY_OPEN',
+  SPEND_LIMIT_EXCEEDED: 'SPEND_LIMIT_EXCEEDED', // a session, daily or per-streamer cap (see ./SpendPolicy)
+  RATE_LIMITED: 'RATE_LIMITED', // too many tips per minute — `details` says when to retry
+  CONFIRMATION_REQUIRED: 'CONFIRMATION_REQUIRED', // tip above `confirmAbove`, resend with `{ confirmed: true }`
+
+  // Service configuration
+  INVALID_CONFIG: 'INVALID_CONFIG', // e.g. a treasury that is not an address
+
+  // Wallet
+  WALLET_NOT_FOUND: 'WALLET_NOT_FOUND', // no injected provider
+  NO_ACCOUNTS: 'NO_ACCOUNTS', // wallet locked
+  USER_REJECTED: 'USER_REJECTED', // user declined the signature
+  CANCELLED: 'CANCELLED', // aborted through an AbortSignal
+
+  // Connection to ClearNode
+  NOT_CONNECTED: 'NOT_CONNECTED',
+  CONNECTION_FAILED: 'CONNECTION_FAILED', // socket could not be opened
+  CONNECTION_LOST: 'CONNECTION_LOST', // dropped while a request was in flight
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT', // no reply in time — the request may still have been applied
+  RECONNECT_FAILED: 'RECONNECT_FAILED', // gave up after `reconnect.maxAttempts`
+
+  // Authentication
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+  AUTH_TIMEOUT: 'AUTH_TIMEOUT',
+  AUTH_FAILED: 'AUTH_FAILED', // ClearNode refused the challenge, or signing failed
+  JWT_REJECTED: 'JWT_REJECTED', // stored JWT no longer accepted
+
+  // Session key
+  SESSION_KEY_MISSING: 'SESSION_KEY_MISSING',
+  SESSION_KEY_BUSY: 'SESSION_KEY_BUSY', // a renewal is already running
+
+  // ClearNode replies
+  CLEARNODE_REJECTED: 'CLEARNODE_REJECTED', // explicit error reply — nothing was applied
+  INVALID_RESPONSE: 'INVALID_RESPONSE', // reply we could not parse
+
+  // Tips and settlement
+  TIP_DROPPED: 'TIP_DROPPED', // queued tip discarded before it was sent
+  BALANCE_MISMATCH: 'BALANCE_MISMATCH', // local session balance differs from the ClearNode ledger
+  SETTLEMENT_FAILED: 'SETTLEMENT_FAILED', // on-chain payout after the session closed
+  SETTLEMENT_PENDING: 'SETTLEMENT_PENDING', // an earlier payout is unresolved — no new session until it is
+  WRONG_PAYER: 'WRONG_PAYER', // the settlement is owed by another wallet than the connected one
+
+  UNKNOWN: 'UNKNOWN',
+});
+
+const {
+  INVALID_AMOUNT, USER_REJECTED, CANCELLED, NOT_CONNECTED, CONNECTION_FAILED,
+  CONNECTION_LOST, REQUEST_TIMEOUT, RECONNECT_FAILED, NOT_AUTHENTICATED,
+  AUTH_TIMEOUT, SESSION_KEY_BUSY, TIP_DROPPED, SETTLEMENT_FAILED, RATE_LIMITED,
+  INVALID_CONFIG, UNKNOWN,
+} = ERROR_CODES;
+
+/** Codes where trying the same call again later may succeed */
+const RETRYABLE_CODES = new Set([
+  USER_REJECTED,
+  NOT_CONNECTED,
+  CONNECTION_FAILED,
+  CONNECTION_LOST,
+  REQUEST_TIMEOUT,
+  RECONNECT_FAILED,
+  NOT_AUTHENTICATED,
+  AUTH_TIMEOUT,
+  SESSION_KEY_BUSY,
+  TIP_DROPPED,
+  SETTLEMENT_FAILED,
+  RATE_LIMITED,
+]);
+
+export class YellowTokError extends Error {
+  /**
+   * @param {string} message — for people; match on `code` instead
+   * @param {Object} [options]
+   * @param {string} [options.code] — one of ERROR_CODES (default UNKNOWN)
+   * @param {boolean} [options.retryable] — defaults from the code
+   * @param {*} [options.cause] — the failure this one wraps
+   * @param {*} [options.details] — extra data, e.g. ClearNode's error params
+   */
+  constructor(message, options = {}) {
+    const { code = UNKNOWN, retryable, cause, details } = options;
+    super(message);
+    this.name = 'YellowTokError';
+    this.code = code;
+    this.retryable = retryable ?? RETRYABLE_CODES.has(code);
+    if (cause !== undefined) this.cause = cause;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/** Invalid input from the caller: amounts, addresses, missing session */
+export class ValidationError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/** The service was constructed with a config it cannot run with */
+export class ConfigError extends YellowTokError {
+  constructor(message, options = {}) {
+    super(message, { code: INVALID_CONFIG, ...options });
+    this.name = 'ConfigError';
+  }
+}
+
+/** No wallet, locked wallet or a declined signature */
+export class WalletError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'WalletError';
+  }
+}
+
+/** Aborted through an AbortSignal; named like the DOM's AbortError */
+export class CancelledError extends YellowTokError {
+  constructor(message = 'Cancelled', options = {}) {
+    super(message, { code: CANCELLED, ...options });
+    this.name = 'AbortError';
+  }
+}
+
+/** Socket failures and requests left without a reply */
+export class ConnectionError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConnectionError';
+  }
+}
+
+/** Challenge-response or JWT authentication failed */
+export class AuthError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/** Session key missing or busy being renewed */
+export class SessionKeyError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'SessionKeyError';
+  }
+}
+
+/** ClearNode answered with an error, or with something unreadable */
+export class ClearNodeError extends YellowTokError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ClearNodeError';
+  }
+}
+
+/** The on-chain payout after a session closed did not go through */
+export class SettlementError extends YellowTokError {
+  constructor(message, options = {}) {
+    super(message, { code: SETTLEMENT_FAILED, ...options });
+    this.name = 'SettlementError';
+  }
+}
+
+// Wallet wording for a declined request; the Nitrolite signer re-throws
+// wallet errors as plain Errors, keeping only the message
+const USER_REJECTION_PATTERN = /user (?:rejected|denied)/i;
+
+/**
+ * Whether a wallet error means the user declined (EIP-1193 code 4001,
+ * viem's UserRejectedRequestError, or the wallet's wording), anywhere in
+ * the cause chain.
+ *
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isUserRejection(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (current.code === 4001 || current.name === 'UserRejectedRequestError') return true;
+    if (USER_REJECTION_PATTERN.test(current.message || '')) return true;
+  }
+  return false;
+}
+
+/**
+ * Any thrown value as a YellowTokError; YellowTokErrors pass through
+ * unchanged, anything else becomes the `cause`.
+ *
+ * @param {*} error
+ * @param {string} [fallbackMessage] — used when `error` has no message
+ * @param {string} [code] — for errors that are not recognised (default UNKNOWN)
+ * @returns {YellowTokError}
+ */
+export function toYellowTokError(error, fallbackMessage = 'Something went wrong', code = UNKNOWN) {
+  if (error instanceof YellowTokError) return error;
+
+  const message = (error instanceof Error && error.message) || fallbackMessage;
+  if (error?.name === 'InvalidAmountError') {
+    return new ValidationError(message, { code: INVALID_AMOUNT, cause: error });
+  }
+  if (error?.name === 'AbortError') {
+    return new CancelledError(message, { cause: error });
+  }
+  if (isUserRejection(error)) {
+    return new WalletError(message, { code: USER_REJECTED, cause: error });
+  }
+  return new YellowTokError(message, { code, cause: error });
+}
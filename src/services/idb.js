@@ -0,0 +1,195 @@
+/**
+ * idb — minimal promise wrappers around IndexedDB for YellowTok's local stores.
+ *
+ * Every store lives in the single `yellowtok` database; its schema is
+ * declared here so version upgrades happen in one place. `KeyedStore` is
+ * the record store the tip journal, settlements and receipts are built on.
+ */
+
+import { logger, LOG_NAMESPACES } from './logger';
+
+const DB_NAME = 'yellowtok';
+const DB_VERSION = 6;
+
+const log = logger.child(LOG_NAMESPACES.LOCAL);
+
+/** Object stores and their key paths / indexes */
+const STORES = {
+  tips: {
+    keyPath: 'id',
+    indexes: ['status', 'sessionId', 'createdAt', 'sender'],
+  },
+  // Non-extractable WebCrypto keys (see SecretStore)
+  keys: {
+    keyPath: 'id',
+    indexes: [],
+  },
+  // On-chain payouts of closed sessions (see SettlementStore)
+  settlements: {
+    keyPath: 'id',
+    indexes: ['status', 'createdAt'],
+  },
+  // Signed receipts of closed sessions (see ReceiptStore)
+  receipts: {
+    keyPath: 'id',
+    indexes: ['closedAt', 'viewer'],
+  },
+};
+
+/**
+ * Whether IndexedDB can be used in this environment.
+ */
+export function isIndexedDBAvailable(factory = globalThis.indexedDB) {
+  return typeof factory !== 'undefined' && factory !== null;
+}
+
+/**
+ * Open (and upgrade if needed) the YellowTok database.
+ *
+ * @param {IDBFactory} [factory] — defaults to globalThis.indexedDB
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(factory = globalThis.indexedDB) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, { keyPath, indexes }] of Object.entries(STORES)) {
+        // Existing stores keep their data and only gain the indexes added since
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath });
+        for (const index of indexes) {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        }
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+/**
+ * Run `fn(store)` inside a transaction and resolve with its result once
+ * the transaction commits.
+ *
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} fn
+ */
+export function withStore(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Records of one object store, by key. Without IndexedDB (tests, private
+ * browsing), or when the database cannot be opened, records are kept in
+ * memory only.
+ */
+export class KeyedStore {
+  /**
+   * @param {string} name — object store declared in STORES
+   * @param {Object} [options]
+   * @param {IDBFactory|null} [options.indexedDB] — pass null to force memory mode
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.keyPath = STORES[name].keyPath;
+    this.factory =
+      options.indexedDB !== undefined ? options.indexedDB : globalThis.indexedDB;
+    this.dbPromise = null;
+    this.memory = new Map(); // fallback when IndexedDB is unavailable
+  }
+
+  /**
+   * @private
+   */
+  async _db() {
+    if (!isIndexedDBAvailable(this.factory)) return null;
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase(this.factory).catch((err) => {
+        log.warn(`⚠️ IndexedDB store "${this.name}" falling back to memory:`, err?.message);
+        this.factory = null;
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const db = await this._db();
+    if (!db) return this.memory.get(key) || null;
+    const record = await withStore(db, this.name, 'readonly', (store) => store.get(key));
+    return record || null;
+  }
+
+  /**
+   * Every record, or with `index` only those whose indexed field equals `value`.
+   *
+   * @param {string} [index] — one of the store's indexes
+   * @param {*} [value]
+   * @returns {Promise<Object[]>}
+   */
+  async getAll(index, value) {
+    const db = await this._db();
+    if (!db) {
+      const all = [...this.memory.values()];
+      return index ? all.filter((record) => record[index] === value) : all;
+    }
+    return withStore(db, this.name, 'readonly', (store) =>
+      index ? store.index(index).getAll(value) : store.getAll()
+    );
+  }
+
+  /**
+   * Store a record, replacing any with the same key.
+   *
+   * @returns {Promise<Object>} the record
+   */
+  async put(record) {
+    const db = await this._db();
+    if (!db) {
+      this.memory.set(record[this.keyPath], record);
+    } else {
+      await withStore(db, this.name, 'readwrite', (store) => store.put(record));
+    }
+    return record;
+  }
+
+  /**
+   * Remove one record.
+   */
+  async delete(key) {
+    const db = await this._db();
+    if (!db) {
+      this.memory.delete(key);
+      return;
+    }
+    await withStore(db, this.name, 'readwrite', (store) => store.delete(key));
+  }
+
+  /**
+   * Remove every record.
+   */
+  async clear() {
+    const db = await this._db();
+    if (!db) {
+      this.memory.clear();
+      return;
+    }
+    await withStore(db, this.name, 'readwrite', (store) => store.clear());
+  }
+}
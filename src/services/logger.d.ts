@@ -0,0 +1,81 @@
+/**
+ * logger — TypeScript Type Definitions
+ *
+ * Leveled, namespaced logging with redaction and a ring buffer for debug reports.
+ */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export const LOG_LEVELS: readonly LogLevel[];
+
+export const LOG_NAMESPACES: {
+  readonly YELLOW: 'yellow';
+  readonly LOCAL: 'local';
+  readonly SETTLEMENT: 'settlement';
+};
+
+export type LogNamespace = (typeof LOG_NAMESPACES)[keyof typeof LOG_NAMESPACES];
+
+export interface LogEntry {
+  /** ISO timestamp */
+  time: string;
+  level: Exclude<LogLevel, 'silent'>;
+  namespace: string;
+  /** Redacted message */
+  message: string;
+  /** Extra values, redacted JSON-safe copies */
+  data?: unknown[];
+}
+
+/** Receives every entry at or above the logger's level */
+export type LogSink = (entry: LogEntry) => void;
+
+export interface NamespacedLogger {
+  readonly namespace: string;
+  debug(message: string, ...data: unknown[]): void;
+  info(message: string, ...data: unknown[]): void;
+  warn(message: string, ...data: unknown[]): void;
+  error(message: string, ...data: unknown[]): void;
+}
+
+export interface LoggerOptions {
+  /** Lowest level handed to the sinks (default 'debug') */
+  level?: LogLevel;
+  /** Destinations for entries (default: the console) */
+  sinks?: LogSink[];
+  /** Entries kept for the debug report (default 500) */
+  bufferSize?: number;
+}
+
+/** Default sink: `[NAMESPACE] message` on the matching console method */
+export function consoleSink(entry: LogEntry): void;
+
+declare class Logger {
+  constructor(options?: LoggerOptions);
+
+  readonly level: LogLevel;
+
+  /** Lowest level handed to the sinks; the ring buffer keeps every level */
+  setLevel(level: LogLevel): void;
+  /** Add a destination; returns a function that removes it */
+  addSink(sink: LogSink): () => void;
+  /** Redact this exact value from every later entry */
+  addSecret(value: string): void;
+  /** Logger bound to a namespace */
+  child(namespace: LogNamespace | string): NamespacedLogger;
+  log(level: Exclude<LogLevel, 'silent'>, namespace: string, message: string, ...data: unknown[]): void;
+
+  /** Ring buffer contents, oldest first */
+  getEntries(filter?: { namespace?: string; level?: LogLevel }): LogEntry[];
+  /** Empty the ring buffer */
+  clear(): void;
+  /** The ring buffer (plus `context`) as a JSON debug report */
+  exportDebugReport(context?: Record<string, unknown>): string;
+  /** JSON-safe copy of a value with secrets removed */
+  redact<T>(value: T): unknown;
+}
+
+/** Shared logger used by the service, the hooks and the stores */
+export const logger: Logger;
+
+export default Logger;
@@ -0,0 +1,255 @@
+/**
+ * logger — leveled, namespaced logging for YellowTok.
+ *
+ * Every entry is redacted (private keys, JWTs, signatures) and kept in an
+ * in-memory ring buffer whatever the level; entries at or above `level`
+ * are also handed to the sinks (the console by default). Production builds
+ * set the level to 'silent', so nothing is printed but the buffer can still
+ * be exported as a JSON debug report for bug reports.
+ *
+ * Namespaces:
+ *   yellow     — ClearNode connection, authentication and RPC traffic
+ *   local      — session bookkeeping done in the browser
+ *   settlement — closing sessions and paying out
+ */
+
+export const LOG_LEVELS = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+
+export const LOG_NAMESPACES = Object.freeze({
+  YELLOW: 'yellow',
+  LOCAL: 'local',
+  SETTLEMENT: 'settlement',
+});
+
+const DEFAULT_BUFFER_SIZE = 500; // entries kept for the debug report
+const MAX_DEPTH = 6; // nesting kept when copying logged objects
+
+const REDACTED = '[redacted]';
+// Object keys whose values are secret, whatever they look like
+const SECRET_KEY_PATTERN =
+  /^(?:private_?key|secret|password|mnemonic|jwt(?:_?token)?|(?:access|auth|refresh)?_?token|sigs?|signatures?)$/i;
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+// 65-byte ECDSA signatures (and longer signed blobs)
+const SIGNATURE_PATTERN = /\b0x[0-9a-fA-F]{130,}\b/g;
+
+/**
+ * Default sink: `[NAMESPACE] message` on the matching console method.
+ *
+ * @param {Object} entry
+ */
+export function consoleSink(entry) {
+  const method = entry.level === 'info' ? 'log' : entry.level;
+  console[method](`[${entry.namespace.toUpperCase()}] ${entry.message}`, ...(entry.data || []));
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] — lowest level handed to the sinks (default 'debug')
+   * @param {Array<Function>} [options.sinks] — receive each entry (default: the console)
+   * @param {number} [options.bufferSize] — entries kept for the debug report (default 500)
+   */
+  constructor(options = {}) {
+    this.setLevel(options.level || 'debug');
+    this.sinks = [...(options.sinks || [consoleSink])];
+    this.bufferSize = options.bufferSize ?? DEFAULT_BUFFER_SIZE;
+    this.entries = []; // ring buffer, oldest first
+    this.secrets = []; // exact values to redact wherever they appear
+    this.namespaces = new Map(); // namespace → child logger
+  }
+
+  /**
+   * Change the lowest level handed to the sinks ('silent' = none).
+   * The ring buffer keeps recording every level.
+   *
+   * @param {string} level — one of LOG_LEVELS
+   */
+  setLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+  }
+
+  /**
+   * Send entries to another destination as well.
+   *
+   * @param {Function} sink — called with each entry at or above the level
+   * @returns {Function} removes the sink again
+   */
+  addSink(sink) {
+    this.sinks.push(sink);
+    return () => {
+      this.sinks = this.sinks.filter((existing) => existing !== sink);
+    };
+  }
+
+  /**
+   * Redact this exact value (e.g. a freshly generated private key) from
+   * every later entry, wherever it shows up.
+   *
+   * @param {string} value
+   */
+  addSecret(value) {
+    if (!value || typeof value !== 'string') return;
+    const pattern = new RegExp(escapeRegExp(value), 'gi');
+    if (!this.secrets.some((secret) => secret.source === pattern.source)) {
+      this.secrets.push(pattern);
+    }
+  }
+
+  /**
+   * Logger bound to a namespace: `{ debug, info, warn, error }`.
+   *
+   * @param {string} namespace — see LOG_NAMESPACES
+   */
+  child(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      const bound = { namespace };
+      LOG_LEVELS.filter((level) => level !== 'silent').forEach((level) => {
+        bound[level] = (message, ...data) => this.log(level, namespace, message, ...data);
+      });
+      this.namespaces.set(namespace, Object.freeze(bound));
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Record an entry and hand it to the sinks if its level is enabled.
+   *
+   * @param {string} level
+   * @param {string} namespace
+   * @param {string} message
+   * @param {...*} data — extra values, copied and redacted
+   */
+  log(level, namespace, message, ...data) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      namespace,
+      message: this._redactString(String(message)),
+    };
+    if (data.length > 0) entry.data = data.map((value) => this.redact(value));
+
+    this.entries.push(entry);
+    if (this.entries.length > this.bufferSize) {
+      this.entries.splice(0, this.entries.length - this.bufferSize);
+    }
+
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.level)) return;
+    for (const sink of this.sinks) {
+      try {
+        sink(entry);
+      } catch {
+        // A broken sink must never break the caller
+      }
+    }
+  }
+
+  /**
+   * Entries in the ring buffer, oldest first.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.namespace]
+   * @param {string} [filter.level] — this level and above
+   * @returns {Array<Object>}
+   */
+  getEntries(filter = {}) {
+    const minimum = filter.level ? LOG_LEVELS.indexOf(filter.level) : 0;
+    return this.entries.filter(
+      (entry) =>
+        (!filter.namespace || entry.namespace === filter.namespace) &&
+        LOG_LEVELS.indexOf(entry.level) >= minimum
+    );
+  }
+
+  /**
+   * Empty the ring buffer.
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * The ring buffer as a JSON debug report, for attaching to bug reports.
+   *
+   * @param {Object} [context] — extra state to include (redacted as well)
+   * @returns {string}
+   */
+  exportDebugReport(context = {}) {
+    return JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        userAgent: globalThis.navigator?.userAgent ?? null,
+        level: this.level,
+        context: this.redact(context),
+        entries: this.entries,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * JSON-safe copy of a value with secrets removed: secret-looking keys,
+   * JWTs, signatures and registered secrets. bigints become strings.
+   *
+   * @param {*} value
+   * @returns {*}
+   */
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return this._redactString(value);
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value === 'function') return `[function ${value.name || 'anonymous'}]`;
+    if (value === null || typeof value !== 'object') return value;
+
+    if (seen.has(value)) return '[circular]';
+    if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[array]' : '[object]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this._redactString(value.message),
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.stack && { stack: this._redactString(value.stack) }),
+      };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SECRET_KEY_PATTERN.test(key) && item != null
+        ? REDACTED
+        : this.redact(item, depth + 1, seen);
+    }
+    return copy;
+  }
+
+  /**
+   * @private
+   */
+  _redactString(text) {
+    let redacted = text
+      .replace(JWT_PATTERN, '[redacted jwt]')
+      .replace(SIGNATURE_PATTERN, '[redacted signature]');
+    for (const secret of this.secrets) {
+      redacted = redacted.replace(secret, REDACTED);
+    }
+    return redacted;
+  }
+}
+
+/** Shared logger used by the service, the hooks and the stores */
+export const logger = new Logger();
+
+export default Logger;
@@ -0,0 +1,20 @@
+/**
+ * money — TypeScript Type Definitions
+ *
+ * Exact bigint amount helpers shared by the service and the UI.
+ */
+
+/** Parse a decimal amount into asset units; throws `InvalidAmountError` on bad input or excess decimals */
+export function parseAmount(value: string | number, decimals: number): bigint;
+
+/** Exact decimal string without trailing zeros (ClearNode wire format) */
+export function toDecimalString(units: bigint, decimals: number): string;
+
+/** Display string with `fractionDigits` decimals (default 2), rounded half away from zero */
+export function formatAmount(units: bigint, decimals: number, fractionDigits?: number): string;
+
+/** Closest JS number — display and ratios only */
+export function toNumber(units: bigint, decimals: number): number;
+
+/** `part` as a percentage of `whole`, two decimals of precision */
+export function percentOf(part: bigint, whole: bigint): number;
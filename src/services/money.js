@@ -0,0 +1,123 @@
+/**
+ * money — exact amount handling for YellowTok.
+ *
+ * Amounts are kept as bigint asset units (1 USDC = 10^6 units) and only
+ * turned into decimal strings at the edges: user input, the ClearNode wire
+ * format and the UI. Floats are never used for accounting, so a long
+ * session of small tips adds up to exactly what the ClearNode ledger says.
+ */
+
+const AMOUNT_PATTERN = /^(-)?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * @private
+ */
+function invalidAmount(message) {
+  const error = new Error(message);
+  error.name = 'InvalidAmountError';
+  return error;
+}
+
+/**
+ * Parse a decimal amount ("1.5", 2, "0.000001") into asset units.
+ * Rejects amounts with more significant decimals than the asset has —
+ * they would otherwise be silently rounded.
+ *
+ * @param {string|number} value — amount in whole tokens (e.g. USDC)
+ * @param {number} decimals — asset decimals
+ * @returns {bigint}
+ */
+export function parseAmount(value, decimals) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw invalidAmount(`Invalid amount: ${value}`);
+  }
+
+  const text = String(value).trim();
+  const match = AMOUNT_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw invalidAmount(`Invalid amount: "${text}"`);
+  }
+
+  const [, sign, whole = '', fraction = ''] = match;
+  const significant = fraction.replace(/0+$/, '');
+  if (significant.length > decimals) {
+    throw invalidAmount(
+      `Amount ${text} has more than ${decimals} decimal places`
+    );
+  }
+
+  const units =
+    BigInt(whole || '0') * 10n ** BigInt(decimals) +
+    BigInt(significant.padEnd(decimals, '0') || '0');
+  return sign ? -units : units;
+}
+
+/**
+ * Exact decimal string for asset units, without trailing zeros
+ * (1500000n, 6 → "1.5"). This is the ClearNode wire format.
+ *
+ * @param {bigint} units
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function toDecimalString(units, decimals) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const base = 10n ** BigInt(decimals);
+  const whole = (abs / base).toString();
+  const fraction = (abs % base)
+    .toString()
+    .padStart(decimals, '0')
+    .replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Display string with a fixed number of decimals, rounded half away from
+ * zero (1234567n, 6 → "1.23").
+ *
+ * @param {bigint} units
+ * @param {number} decimals
+ * @param {number} [fractionDigits=2]
+ * @returns {string}
+ */
+export function formatAmount(units, decimals, fractionDigits = 2) {
+  if (fractionDigits >= decimals) {
+    const [whole, fraction = ''] = toDecimalString(units, decimals).split('.');
+    return `${whole}.${fraction.padEnd(fractionDigits, '0')}`;
+  }
+
+  const step = 10n ** BigInt(decimals - fractionDigits);
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const rounded = ((abs + step / 2n) / step) * step;
+  const text = toDecimalString(rounded, decimals);
+  const [whole, fraction = ''] = text.split('.');
+  const digits = fractionDigits > 0 ? `.${fraction.padEnd(fractionDigits, '0')}` : '';
+  return `${negative && rounded > 0n ? '-' : ''}${whole}${digits}`;
+}
+
+/**
+ * Closest JS number to an amount — for display and ratios only, never for
+ * further accounting.
+ *
+ * @param {bigint} units
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function toNumber(units, decimals) {
+  return Number(toDecimalString(units, decimals));
+}
+
+/**
+ * `part` as a percentage of `whole` (0 when `whole` is 0).
+ *
+ * @param {bigint} part
+ * @param {bigint} whole
+ * @returns {number}
+ */
+export function percentOf(part, whole) {
+  if (whole === 0n) return 0;
+  // Two decimals of precision, computed on integers
+  return Number((part * 10000n) / whole) / 100;
+}
@@ -0,0 +1,140 @@
+/**
+ * receipts — signed records of closed stream sessions, for accounting.
+ *
+ * When a session closes the service issues a receipt listing every
+ * confirmed tip and the commission split, signed by the session key
+ * (EIP-191 `personal_sign`) so anyone can check it was produced by the
+ * wallet that authorized that key. The on-chain settlement is attached
+ * later, outside the signature: its transaction hashes are verifiable on
+ * the chain itself.
+ */
+
+import { verifyMessage } from 'viem';
+
+export const RECEIPT_VERSION = 1;
+
+const RECEIPT_PREFIX = 'YellowTok session receipt\n';
+
+const CSV_COLUMNS = [
+  'session_id',
+  'closed_at',
+  'viewer',
+  'streamer',
+  'type', // tip | total | settlement_streamer | settlement_treasury
+  'tip_id',
+  'sent_at',
+  'amount',
+  'streamer_receives',
+  'commission',
+  'asset',
+  'message',
+  'tx_hash',
+];
+
+/**
+ * @private
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * The text the session key signs: every field except `signature` and
+ * `settlement`, as JSON with sorted keys.
+ *
+ * @param {Object} receipt
+ * @returns {string}
+ */
+export function receiptMessage(receipt) {
+  const { signature: _signature, settlement: _settlement, ...signed } = receipt;
+  return RECEIPT_PREFIX + canonicalJSON(signed);
+}
+
+/**
+ * Whether `receipt.signature` is the session key's (`receipt.signer`)
+ * signature over the receipt.
+ *
+ * @param {Object} receipt
+ * @returns {Promise<boolean>}
+ */
+export async function verifyReceipt(receipt) {
+  if (!receipt?.signature || !receipt.signer) return false;
+  try {
+    return await verifyMessage({
+      address: receipt.signer,
+      message: receiptMessage(receipt),
+      signature: receipt.signature,
+    });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Receipts as a JSON document (signatures included, so they can be verified).
+ *
+ * @param {Array<Object>} receipts
+ * @returns {string}
+ */
+export function receiptsToJSON(receipts) {
+  return JSON.stringify({ version: RECEIPT_VERSION, receipts }, null, 2);
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Tip messages are user input — keep spreadsheets from running them as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Receipts as CSV: one row per tip, a `total` row per session and one
+ * row per settlement transfer.
+ *
+ * @param {Array<Object>} receipts
+ * @returns {string}
+ */
+export function receiptsToCSV(receipts) {
+  const rows = [CSV_COLUMNS];
+  for (const receipt of receipts) {
+    const base = {
+      session_id: receipt.sessionId,
+      closed_at: new Date(receipt.closedAt).toISOString(),
+      viewer: receipt.viewer,
+      streamer: receipt.streamer,
+      asset: receipt.asset,
+    };
+    const row = (fields) => CSV_COLUMNS.map((column) => ({ ...base, ...fields })[column]);
+
+    for (const tip of receipt.tips) {
+      rows.push(row({
+        type: 'tip',
+        tip_id: tip.id,
+        sent_at: new Date(tip.sentAt).toISOString(),
+        amount: tip.amount,
+        streamer_receives: tip.streamerReceives,
+        commission: tip.commission,
+        message: tip.message,
+      }));
+    }
+    rows.push(row({
+      type: 'total',
+      amount: receipt.spent,
+      streamer_receives: receipt.streamerReceives,
+      commission: receipt.commission,
+    }));
+    for (const leg of receipt.settlement?.legs ?? []) {
+      rows.push(row({ type: `settlement_${leg.recipient}`, amount: leg.amount, tx_hash: leg.txHash }));
+    }
+  }
+  return `${rows.map((cells) => cells.map(csvCell).join(',')).join('\n')}\n`;
+}
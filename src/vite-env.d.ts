@@ -2,6 +2,12 @@
 
 interface ImportMetaEnv {
   readonly VITE_STREAMER_ADDRESS: string
+  readonly VITE_TREASURY_ADDRESS?: string
+  readonly VITE_NITROLITE_WS_URL?: string
+  /** 'true' runs against the in-process ClearNodeSimulator */
+  readonly VITE_YELLOW_SIMULATOR?: string
+  /** Console log level: debug | info | warn | error | silent (default: silent in production) */
+  readonly VITE_LOG_LEVEL?: string
 }
 
 interface ImportMeta {